@@ -8,38 +8,165 @@
  */
 
 import {
+  PAUTTI_NETERU,
   getDailyNeter,
   getNeterById,
   createInitialState,
   updateNeterInState,
   togglePlaying as pureTogglePlaying,
-  toggleMute as pureToggleMute
+  toggleMute as pureToggleMute,
+  getBrainwaveBand,
+  formatDuration,
+  getIntervalBellOffsets,
+  TIMER_LENGTHS,
+  BELL_INTERVALS,
+  ISOCHRONIC_SHAPES,
+  ISOCHRONIC_RAMP_MINUTES,
+  GLIDE_CURVES,
+  CHORD_DEFAULT_BALANCE,
+  toggleChordNeter,
+  getChordName,
+  JOURNAL_LOCK_MINUTES,
+  isSealedEntry,
+  reviseJournalEntry,
+  restoreJournalRevision,
+  getPassphraseError
 } from '../core/pure.js';
 
 import {
   loadSettings,
   updateSetting,
   getSetting,
+  setNeterTimbre,
+  updateSoundscapeLevel,
   applyAllSettings,
   applyReduceMotion,
   applyReduceEffects
 } from '../core/settings.js';
 
+import {
+  JOURNEY_PRESETS,
+  getJourneyErrors,
+  normalizeJourney,
+  getJourneySegment
+} from '../core/journeys.js';
+
+import {
+  WAV_BIT_DEPTHS,
+  EXPORT_DURATIONS,
+  EXPORT_SAMPLE_RATE,
+  MAX_EXPORT_SECONDS,
+  createNeterExportPlan,
+  createJourneyExportPlan,
+  getExportPlanDuration,
+  getExportFilename
+} from '../core/wav.js';
+
+import {
+  HEARING_OFFSET_RANGE,
+  clampHearingOffset,
+  createHearingCurve,
+  getHearingCurveDb
+} from '../core/loudness.js';
+
+import {
+  createBackup,
+  getBackupFilename,
+  getBackupErrors,
+  summarizeBackup,
+  planRestore
+} from '../core/backup.js';
+
+import {
+  HISTORY_VIEWS,
+  HISTORY_PAGE_SIZE,
+  groupRollups,
+  getHistoryTotals
+} from '../core/history.js';
+
+import {
+  detectPitch,
+  getPitchDeviation,
+  createResonanceTally,
+  addResonanceFrame,
+  getResonanceScore
+} from '../core/pitch.js';
+
+import { createInsights } from '../core/insights.js';
+
+import {
+  MOOD_LEVELS,
+  JOURNAL_TYPES,
+  setJournalDetails,
+  getJournalTags,
+  hasJournalFilters,
+  parseSearchQuery,
+  buildSearchIndex,
+  searchJournal
+} from '../core/journal.js';
+
+import {
+  JOURNAL_EXPORT_FORMATS,
+  filterExportEntries,
+  createJournalExport
+} from '../core/export.js';
+
 import {
   ensureAudioContext,
   playFrequency,
   stopSound,
   transitionFrequency,
+  playChord,
+  setChordBalance,
   setMuteState,
+  setSoundscapeLevel,
+  playBell,
+  initStorage,
   logSession,
   saveJournalEntry,
+  updateJournalEntry,
+  loadJournalEntry,
   deleteJournalEntry,
-  loadSessions,
+  loadSessionPage,
+  loadRollups,
+  compactHistory,
   loadJournals,
+  loadSessions,
+  clearSessions,
+  clearJournals,
+  clearAllData,
+  loadAllUserData,
+  applyRestorePlan,
+  loadJournalLock,
+  saveJournalVault,
+  isJournalEncryptionSupported,
+  createJournalLock,
+  unlockJournalKeys,
+  sealJournalEntry,
+  openJournalEntry,
   setVolume,
   getVolume,
   saveLastNeter,
-  loadLastNeter
+  loadLastNeter,
+  loadCustomJourneys,
+  saveCustomJourney,
+  deleteCustomJourney,
+  getAudioAnalysis,
+  exportSessionWav,
+  downloadBlob,
+  playCalibrationTone,
+  setCalibrationOffset,
+  stopCalibrationTone,
+  initMediaSession,
+  updateMediaMetadata,
+  setMediaPlaybackState,
+  startMicrophone,
+  readMicrophone,
+  stopMicrophone,
+  setSpatialOrientationSource,
+  refreshSpatialMode,
+  initTabSync,
+  announceAudio
 } from '../infra/messenger.js';
 
 import {
@@ -49,18 +176,57 @@ import {
   renderNeterGrid,
   renderSidePanel,
   renderSidePanelList,
+  renderTimbreOptions,
+  renderNeterTimbre,
   renderSessionLog,
+  renderRollupLog,
+  renderHistoryViews,
+  renderHistoryTotals,
+  renderInsights,
   renderJournalEntries,
+  renderJournalFilterOptions,
+  renderJournalTagOptions,
+  renderJournalMoodOptions,
+  renderJournalSearchStatus,
+  getJournalFilters,
+  resetJournalFilters,
+  showJournalEntryModal,
+  renderJourneyList,
+  renderJourneyStatus,
+  renderChordStatus,
+  renderAudioElsewhere,
+  renderTimerOptions,
+  renderIsochronicOptions,
+  renderGlideCurveOptions,
+  renderTimerRemaining,
+  renderExportOptions,
+  renderExportStatus,
+  renderNeterArtwork,
+  renderCalibrationList,
+  renderCalibrationPlaying,
+  renderBackupSummary,
+  renderJournalPrivacy,
+  renderJournalLockOptions,
+  renderJournalExportOptions,
+  getJournalExportOptions,
+  renderVaultPrompt,
+  renderVaultError,
+  renderVaultBusy,
+  getVaultInput,
+  renderTuner,
+  setTunerVisible,
   updatePlayButton,
   updateMuteButton,
   openModal,
   closeModal,
   getJournalText,
+  getJournalDetails,
   clearJournalText,
   openSidePanel,
   closeSidePanel,
   isSidePanelOpen,
-  setThreeAudioState,
+  setThreeAudioSource,
+  getAnkhOrientation,
   setThreeReducedEffects
 } from '../ui/scribe.js';
 
@@ -71,70 +237,223 @@ import {
 let state = createInitialState();
 let sceneController = null;
 
+/**
+ * Running journey, or null.
+ * { plan, index, playedMs, segmentEndsAt, remainingMs, paused, timerId, tickId }
+ * playedMs accumulates heard time on the current segment across pauses.
+ */
+let activeJourney = null;
+
+/**
+ * User-imported journeys, loaded at startup and replaced by every save/delete
+ * so the journey list can render without waiting on storage
+ */
+let customJourneys = [];
+
+/**
+ * Running meditation timer, or null.
+ * { minutes, startedAt, endsAt, bellOffsets, nextBell, ending, tickId }
+ */
+let sessionTimer = null;
+
+/**
+ * Open hearing calibration wizard, or null.
+ * { offsets: { [neterId]: dB }, playingId }
+ */
+let calibration = null;
+
+/**
+ * Open microphone for vocal toning, or null.
+ * { intervalId }
+ */
+let toning = null;
+
+/**
+ * How closely the voice has held the tone since the current session began.
+ * Kept apart from toning so the mic can be switched off mid-session.
+ */
+let resonanceTally = createResonanceTally();
+
+/**
+ * What the practice history modal shows.
+ * { view: HISTORY_VIEWS id, sessions: pages loaded so far, hasMore,
+ *   groups: every period of a rollup view, shown: how many are rendered,
+ *   insights: createInsights() result for the insights view, else null }
+ */
+let historyLog = {
+  view: 'sessions',
+  sessions: [],
+  hasMore: false,
+  groups: [],
+  shown: 0,
+  insights: null
+};
+
+/**
+ * Backup waiting in the restore preview, or null.
+ * Already validated by getBackupErrors.
+ */
+let pendingRestore = null;
+
+/**
+ * Private journal lock record from storage, or null when the journal isn't
+ * encrypted. { salt, iterations, check }
+ */
+let journalLock = null;
+
+/**
+ * Journal entries as last read for the panel, and their search index.
+ * { entries, index }
+ * Rebuilt on every journal change; searching and filtering only re-rank.
+ */
+let journalListing = { entries: [], index: [] };
+
+/**
+ * Unlocked private journal, or null while locked.
+ * { keys: Map(salt → CryptoKey), timerId }
+ * The keys only ever live here; journal use restarts the auto-lock timer.
+ */
+let vault = null;
+
+/**
+ * Open passphrase prompt, or null.
+ * { mode: 'create' | 'unlock' | 'decrypt', resolve, over }
+ * over is the modal the prompt replaced, shown again when it closes.
+ */
+let vaultPrompt = null;
+
+/**
+ * Spheres sounding together, or null.
+ * { neterIds, balance: { [neterId]: 0-100 }, heardIds }
+ * neterIds starts with the root (state.currentNeter); heardIds collects every
+ * sphere that joined, since the whole chord is logged as one session.
+ */
+let chord = null;
+
+/**
+ * ID of another tab of the app that is playing, or null when this tab may.
+ * Only one tab owns audio; starting here waits for "Take over".
+ */
+let audioOwner = null;
+
+/**
+ * Replace the application state.
+ * The OS media controls (lock screen, headphone buttons) follow every change
+ * of the current neter and of isPlaying from here.
+ * @param {Object} nextState - New state object
+ */
+const setState = (nextState) => {
+  const previous = state;
+  state = nextState;
+
+  if (nextState.currentNeter !== previous.currentNeter) {
+    updateMediaMetadata(nextState.currentNeter, renderNeterArtwork(nextState.currentNeter));
+  }
+  if (nextState.isPlaying !== previous.isPlaying) {
+    setMediaPlaybackState(nextState.isPlaying);
+  }
+};
+
 // ============================================================================
 // NETER SELECTION
 // ============================================================================
 
 /**
- * Select a specific neter by ID
+ * Persist and render state.currentNeter everywhere it appears
+ * @param {Object|null} [glide] - Pitch glide from transitionFrequency; the
+ *   scene's colour follows its timing
  */
-export const selectNeter = async (neterId) => {
-  console.log('Selecting neter:', neterId);
-  
-  const wasPlaying = state.isPlaying;
-  
-  // Update state
-  state = updateNeterInState(state, neterId);
-  
-  // Persist the selection for returning users
-  saveLastNeter(neterId);
+const renderCurrentNeter = (glide = null) => {
+  // Persist the selection for returning users - from the tab they're
+  // looking at, not a journey moving on in a background tab
+  if (!document.hidden) saveLastNeter(state.currentNeter.id);
   
   // Update UI
   renderNeterInfo(state.currentNeter);
-  renderNeterGrid(state.currentNeter.id, selectNeter);
+  renderChord();
   renderSidePanel(state.currentNeter);
+  renderNeterTimbre(getSetting('neterTimbres')[state.currentNeter.id]);
   renderSidePanelList(state.currentNeter.id, selectNeter);
   
   // Update THREE.js scene if available
   if (sceneController && sceneController.updateNeterVisuals) {
-    sceneController.updateNeterVisuals(state.currentNeter);
+    sceneController.updateNeterVisuals(state.currentNeter, glide);
+  }
+};
+
+/**
+ * Select a specific neter by ID
+ */
+export const selectNeter = async (neterId) => {
+  console.log('Selecting neter:', neterId);
+  
+  // Manual navigation takes over from a running journey or chord
+  if (activeJourney) {
+    endJourney();
+  }
+  if (chord) {
+    logChordSession();
+    chord = null;
   }
   
-  // Handle audio based on state and autoplay setting
+  const wasPlaying = state.isPlaying;
   const autoplayEnabled = getSetting('autoplay');
+
+  // Update state - an autoplay transition keeps playing, so the OS media
+  // controls shouldn't see a pause between the two frequencies
+  const selected = updateNeterInState(state, neterId);
+  setState(wasPlaying && autoplayEnabled ? { ...selected, isPlaying: true } : selected);
+
+  // Handle audio based on state and autoplay setting.
+  // A transition renders once the sound has started moving, so a pitch
+  // glide can set the colour's timing
+  if (!(wasPlaying && autoplayEnabled)) {
+    renderCurrentNeter();
+  }
   
   if (wasPlaying && autoplayEnabled) {
     // Autoplay ON: Transition to new frequency smoothly
     try {
       console.log('🎵 Autoplay ON - transitioning to:', state.currentNeter.frequency);
-      await transitionFrequency(state.currentNeter.frequency);
+      const glide = await transitionFrequency(state.currentNeter.frequency, state.currentNeter.id);
+      renderCurrentNeter(glide);
+      setState({
+        ...state,
+        isPlaying: true,
+        sessionStart: Date.now()
+      });
+      resonanceTally = createResonanceTally();
       console.log('✅ Successfully transitioned to new frequency:', state.currentNeter.frequency);
     } catch (err) {
+      renderCurrentNeter();
+      setState({ ...state, isPlaying: false });
       console.error('❌ Failed to transition frequency:', err);
     }
   } else if (wasPlaying && !autoplayEnabled) {
     // Autoplay OFF: Stop audio when navigating (user has manual control)
     console.log('🔇 Autoplay OFF - stopping audio on navigation');
+    cancelSessionTimer();
     await stopSound();
-    state = {
+    setState({
       ...state,
       isPlaying: false,
       sessionStart: null
-    };
+    });
     updatePlayButton(false);
-    setThreeAudioState(false);
   } else if (!wasPlaying && autoplayEnabled) {
     // Autoplay ON + not playing: Auto-start the new frequency
+    if (!claimAudio()) return;
     console.log('🔊 Autoplay ON - starting frequency:', state.currentNeter.frequency);
     try {
-      const timestamp = await playFrequency(state.currentNeter.frequency);
-      state = {
+      const timestamp = await playFrequency(state.currentNeter.frequency, state.currentNeter.id);
+      setState({
         ...state,
         sessionStart: timestamp,
         isPlaying: true
-      };
+      });
+      resonanceTally = createResonanceTally();
       updatePlayButton(true);
-      setThreeAudioState(true);
+      startSessionTimer(getSetting('timerMinutes'), { ringStart: true });
     } catch (err) {
       console.error('❌ Failed to auto-start audio:', err);
     }
@@ -168,6 +487,12 @@ export const handlePrevNeter = () => {
  * Toggle play/pause for current neter
  */
 export const handlePlayPause = async () => {
+  // During a journey the play button pauses/resumes the journey
+  if (activeJourney) {
+    await (activeJourney.paused ? handleResumeJourney() : handlePauseJourney());
+    return;
+  }
+
   if (state.isPlaying) {
     await handleStopSound();
   } else {
@@ -179,60 +504,370 @@ export const handlePlayPause = async () => {
  * Start playing current neter frequency
  */
 const handleStartSound = async () => {
+  if (!claimAudio()) return;
   try {
-    const timestamp = await playFrequency(state.currentNeter.frequency);
+    const timestamp = await playFrequency(state.currentNeter.frequency, state.currentNeter.id);
     
     // Update state (using pure function)
-    state = pureTogglePlaying(state);
-    state = {
+    setState(pureTogglePlaying(state));
+    setState({
       ...state,
       sessionStart: timestamp,
       isPlaying: true
-    };
+    });
     
+    resonanceTally = createResonanceTally();
+
     // Update UI
     updatePlayButton(true);
-    setThreeAudioState(true);
+
+    startSessionTimer(getSetting('timerMinutes'), { ringStart: true });
   } catch (err) {
     console.error('Failed to start sound:', err);
   }
 };
 
+/**
+ * Log a practice session and refresh the log modal if it's open.
+ * Adds the resonance score when the user toned along, then starts a new tally.
+ * @param {Object} sessionData - { neterId, neterName, duration, ... }
+ */
+const recordSession = async (sessionData) => {
+  const resonanceScore = getResonanceScore(resonanceTally);
+  resonanceTally = createResonanceTally();
+
+  await logSession(
+    resonanceScore === null ? sessionData : { ...sessionData, resonanceScore }
+  );
+  const logModal = document.getElementById('log-modal');
+  if (logModal && logModal.classList.contains('visible')) {
+    showHistory(historyLog.view);
+  }
+};
+
 /**
  * Stop playing and log session
+ * @param {Object} [sessionExtras] - Extra fields for the logged session
  */
-const handleStopSound = async () => {
+const handleStopSound = async (sessionExtras = {}) => {
+  cancelSessionTimer();
   const stopTime = await stopSound();
+  releaseAudio();
   
   // Log session if it was playing
   if (state.sessionStart && stopTime) {
     const duration = Math.floor((stopTime - state.sessionStart) / 1000);
     
     if (duration > 0) {
-      const sessionData = {
-        neterId: state.currentNeter.id,
-        neterName: state.currentNeter.name,
-        duration
-      };
-
-      const sessions = logSession(sessionData);
-      const logModal = document.getElementById('log-modal');
-      if (logModal && logModal.classList.contains('visible')) {
-        renderSessionLog(sessions);
-      }
+      recordSession({
+        ...getSessionSubject(),
+        duration,
+        ...sessionExtras
+      });
     }
   }
 
   // Update state
-  state = {
+  setState({
     ...state,
     isPlaying: false,
     sessionStart: null
-  };
+  });
 
   // Update UI
   updatePlayButton(false);
-  setThreeAudioState(false);
+  if (chord) {
+    chord = null;
+    renderChord();
+  }
+};
+
+// ============================================================================
+// CHORDS
+// ============================================================================
+
+/**
+ * Neteru in the playing chord, root first
+ * @returns {Object[]}
+ */
+const getChordNeters = () => chord.neterIds.map(getNeterById);
+
+/**
+ * Voices for playChord, one per sphere with its balance
+ * @returns {Object[]} [{ neterId, frequency, balance }]
+ */
+const getChordParts = () =>
+  getChordNeters().map((neter) => ({
+    neterId: neter.id,
+    frequency: neter.frequency,
+    balance: chord.balance[neter.id]
+  }));
+
+/**
+ * What the practice log records a session under: the chord as one combined
+ * session, or the current neter
+ * @returns {Object} { neterId, neterName, chordNeterIds? }
+ */
+const getSessionSubject = () => {
+  if (!chord) {
+    return { neterId: state.currentNeter.id, neterName: state.currentNeter.name };
+  }
+  return {
+    neterId: chord.neterIds[0],
+    neterName: getChordName(chord.heardIds.map(getNeterById)),
+    chordNeterIds: chord.heardIds
+  };
+};
+
+/**
+ * Log the chord heard since the session began (when a chord ends without
+ * the sound stopping)
+ */
+const logChordSession = () => {
+  if (!chord || !state.isPlaying || !state.sessionStart) return;
+  const duration = Math.floor((Date.now() - state.sessionStart) / 1000);
+  if (duration > 0) {
+    recordSession({ ...getSessionSubject(), duration });
+  }
+};
+
+/**
+ * Render the neter grid (chord spheres highlighted) and the chord balance bar
+ */
+const renderChord = () => {
+  renderNeterGrid(state.currentNeter.id, selectNeter, {
+    chordIds: chord ? chord.neterIds : [],
+    onChordSelect: handleChordSelect
+  });
+  renderChordStatus(
+    chord
+      ? getChordNeters().map((neter) => ({ ...neter, balance: chord.balance[neter.id] }))
+      : null,
+    handleChordBalance
+  );
+};
+
+/**
+ * Add a sphere to the chord around the current neter, or take it out.
+ * Starts the chord if nothing is playing; removing the last partner
+ * resolves back to the root's single tone.
+ * @param {number} neterId - Neter to toggle (grid modifier-click or long-press)
+ */
+export const handleChordSelect = async (neterId) => {
+  const current = chord ? chord.neterIds : [state.currentNeter.id];
+  const neterIds = toggleChordNeter(current, neterId);
+  if (neterIds === current) return; // Chord is full, or the root tapped alone
+  if (!claimAudio()) return;
+
+  if (activeJourney) {
+    endJourney();
+  }
+
+  // Taking the root out hands the root to the next sphere
+  const rootChanged = neterIds[0] !== state.currentNeter.id;
+  if (rootChanged) {
+    setState({ ...state, currentNeter: getNeterById(neterIds[0]) });
+  }
+
+  if (neterIds.length === 1) {
+    logChordSession();
+    chord = null;
+    if (rootChanged) renderCurrentNeter();
+    else renderChord();
+    try {
+      await transitionFrequency(state.currentNeter.frequency, state.currentNeter.id);
+      setState({ ...state, sessionStart: Date.now() });
+    } catch (err) {
+      console.error('❌ Failed to resolve chord:', err);
+    }
+    return;
+  }
+
+  const wasPlaying = state.isPlaying;
+  chord = {
+    neterIds,
+    balance: Object.fromEntries(
+      neterIds.map((id) => [id, chord?.balance[id] ?? CHORD_DEFAULT_BALANCE])
+    ),
+    heardIds: [...new Set([...(chord ? chord.heardIds : []), ...neterIds])]
+  };
+  if (rootChanged) renderCurrentNeter();
+  else renderChord();
+
+  try {
+    const timestamp = await playChord(getChordParts());
+    console.log('🎶 Chord:', getChordName(getChordNeters()));
+
+    if (!wasPlaying) {
+      setState({ ...state, isPlaying: true, sessionStart: timestamp });
+      resonanceTally = createResonanceTally();
+      updatePlayButton(true);
+      startSessionTimer(getSetting('timerMinutes'), { ringStart: true });
+    }
+  } catch (err) {
+    console.error('❌ Failed to play chord:', err);
+  }
+};
+
+/**
+ * Change one chord voice's balance
+ * @param {number} neterId - Neter whose voice to adjust
+ * @param {number} balance - Balance 0-100
+ */
+const handleChordBalance = (neterId, balance) => {
+  if (!chord) return;
+  chord.balance[neterId] = balance;
+  setChordBalance(neterId, balance);
+};
+
+// ============================================================================
+// SESSION TIMER
+// ============================================================================
+
+/**
+ * Start (or restart) the meditation timer from now
+ * @param {number} minutes - Session length (0 = no timer)
+ * @param {Object} options - { ringStart } rings the opening bell
+ */
+const startSessionTimer = (minutes, { ringStart }) => {
+  cancelSessionTimer();
+  if (!(minutes > 0)) return;
+
+  const startedAt = Date.now();
+  sessionTimer = {
+    minutes,
+    startedAt,
+    endsAt: startedAt + minutes * 60 * 1000,
+    bellOffsets: getIntervalBellOffsets(minutes, getSetting('bellIntervalMinutes')),
+    nextBell: 0,
+    ending: false,
+    tickId: setInterval(tickSessionTimer, 1000)
+  };
+
+  if (ringStart) {
+    playBell('start').catch((err) => console.warn('Start bell failed:', err));
+  }
+  renderTimerRemaining(minutes * 60);
+  console.log('⏱ Session timer started:', minutes, 'min');
+};
+
+/**
+ * Cancel the meditation timer without ringing the closing bell
+ */
+const cancelSessionTimer = () => {
+  if (!sessionTimer) return;
+  clearInterval(sessionTimer.tickId);
+  sessionTimer = null;
+  renderTimerRemaining(null);
+};
+
+/**
+ * Once a second: update the countdown, ring interval bells, end on time
+ */
+const tickSessionTimer = () => {
+  if (!sessionTimer || sessionTimer.ending) return;
+
+  const now = Date.now();
+  const elapsed = (now - sessionTimer.startedAt) / 1000;
+  const nextOffset = sessionTimer.bellOffsets[sessionTimer.nextBell];
+
+  if (nextOffset !== undefined && elapsed >= nextOffset) {
+    sessionTimer.nextBell += 1;
+    playBell('interval').catch((err) => console.warn('Interval bell failed:', err));
+  }
+
+  if (now >= sessionTimer.endsAt) {
+    completeSessionTimer();
+    return;
+  }
+
+  renderTimerRemaining((sessionTimer.endsAt - now) / 1000);
+};
+
+/**
+ * Ring the closing bells, then fade the tone out and log the timed session
+ */
+const completeSessionTimer = async () => {
+  const timer = sessionTimer;
+  timer.ending = true;
+  renderTimerRemaining(0);
+
+  try {
+    const lastStrike = await playBell('end');
+    // Let the closing strikes land over the tone before fading out
+    await new Promise((resolve) => setTimeout(resolve, lastStrike * 1000 + 1500));
+  } catch (err) {
+    console.warn('End bell failed:', err);
+  }
+
+  // The user may have stopped or restarted while the bells rang
+  if (sessionTimer !== timer) return;
+
+  console.log('⏱ Timed session complete');
+  if (state.isPlaying) {
+    await handleStopSound({ timerMinutes: timer.minutes });
+  } else {
+    cancelSessionTimer();
+  }
+};
+
+// ============================================================================
+// VOCAL TONING
+// ============================================================================
+
+const TONING_INTERVAL_MS = 50;
+
+/**
+ * Switch the microphone tuner on or off
+ */
+export const handleToggleToning = async () => {
+  if (toning) {
+    stopToning();
+    return;
+  }
+
+  try {
+    await startMicrophone();
+  } catch (err) {
+    console.error('Failed to open microphone:', err);
+    alert('Could not access the microphone. Please allow microphone access to use vocal toning.');
+    return;
+  }
+
+  toning = { intervalId: setInterval(tickToning, TONING_INTERVAL_MS) };
+  setTunerVisible(true);
+  console.log('🎤 Vocal toning on');
+};
+
+/**
+ * Close the microphone and hide the tuner
+ */
+const stopToning = () => {
+  if (!toning) return;
+  clearInterval(toning.intervalId);
+  toning = null;
+  stopMicrophone();
+  setTunerVisible(false);
+  console.log('🎤 Vocal toning off');
+};
+
+/**
+ * Detect the sung pitch, show it against the current neter (any octave)
+ * and, while a tone plays, add it to the session's resonance tally
+ */
+const tickToning = () => {
+  const input = readMicrophone();
+  if (!input) return;
+
+  const pitch = detectPitch(input.samples, input.sampleRate);
+  const reading = pitch
+    ? { frequency: pitch.frequency, ...getPitchDeviation(pitch.frequency, state.currentNeter.frequency) }
+    : null;
+  renderTuner(reading);
+
+  if (state.isPlaying) {
+    resonanceTally = addResonanceFrame(resonanceTally, reading ? reading.cents : null);
+  }
 };
 
 /**
@@ -240,7 +875,7 @@ const handleStopSound = async () => {
  */
 export const handleMute = async () => {
   // Update state (using pure function)
-  state = pureToggleMute(state);
+  setState(pureToggleMute(state));
   
   // Apply to audio
   await setMuteState(state.isMuted);
@@ -258,29 +893,922 @@ export const handleJumpToDaily = () => {
 };
 
 // ============================================================================
-// JOURNAL ACTIONS
+// GUIDED JOURNEYS
 // ============================================================================
 
 /**
- * Save journal entry
+ * All journeys that can be started: built-in presets, then user imports
+ * @returns {Array} Journey objects
  */
-export const handleSaveJournal = () => {
-  const text = getJournalText();
-  
-  if (!text) {
-    console.warn('No journal text to save');
+const getAvailableJourneys = () => [
+  ...JOURNEY_PRESETS,
+  ...customJourneys.map((journey) => ({ ...journey, custom: true }))
+];
+
+/**
+ * Re-render the journey list in the side panel
+ */
+const refreshJourneyList = () => {
+  renderJourneyList(
+    getAvailableJourneys(),
+    { onStart: handleStartJourney, onDelete: handleDeleteJourney },
+    activeJourney ? activeJourney.plan.id : null
+  );
+  refreshExportOptions();
+};
+
+/**
+ * Render the journey control bar from the running journey
+ */
+const renderActiveJourney = () => {
+  if (!activeJourney) {
+    renderJourneyStatus(null);
     return;
   }
 
-  const journalData = {
-    neterId: state.currentNeter.id,
+  const remainingMs = activeJourney.paused
+    ? activeJourney.remainingMs
+    : activeJourney.segmentEndsAt - Date.now();
+
+  renderJourneyStatus({
+    name: activeJourney.plan.name,
     neterName: state.currentNeter.name,
-    text,
-    type: 'written'
-  };
+    index: activeJourney.index,
+    count: activeJourney.plan.segments.length,
+    remaining: remainingMs / 1000,
+    paused: activeJourney.paused
+  });
+};
 
-  saveJournalEntry(journalData);
-  clearJournalText();
+/**
+ * Log the time actually heard on the current journey segment
+ */
+const logJourneySegment = () => {
+  if (!activeJourney) return;
+
+  let playedMs = activeJourney.playedMs;
+  if (state.isPlaying && state.sessionStart) {
+    playedMs += Date.now() - state.sessionStart;
+  }
+  activeJourney.playedMs = 0;
+
+  const duration = Math.floor(playedMs / 1000);
+  if (duration > 0) {
+    recordSession({
+      neterId: state.currentNeter.id,
+      neterName: state.currentNeter.name,
+      duration,
+      journeyId: activeJourney.plan.id,
+      journeyName: activeJourney.plan.name
+    });
+  }
+};
+
+/**
+ * Advance to the next segment when the current one's time is up
+ * @param {number} ms - Milliseconds until the segment ends
+ */
+const scheduleJourneySegment = (ms) => {
+  clearTimeout(activeJourney.timerId);
+  activeJourney.segmentEndsAt = Date.now() + ms;
+  activeJourney.timerId = setTimeout(() => {
+    playJourneySegment(activeJourney.index + 1);
+  }, ms);
+};
+
+/**
+ * Log the finished segment, then move the scene and tone to segment `index`.
+ * Past the last segment the journey completes and the tone fades out.
+ * @param {number} index - Segment index to play
+ */
+const playJourneySegment = async (index) => {
+  if (!activeJourney) return;
+
+  logJourneySegment();
+
+  const segment = getJourneySegment(activeJourney.plan, index);
+  if (!segment) {
+    console.log('🧭 Journey complete:', activeJourney.plan.name);
+    await handleStopJourney();
+    return;
+  }
+
+  activeJourney.index = index;
+  activeJourney.paused = false;
+  setState({ ...state, currentNeter: segment.neter });
+
+  let glide = null;
+  try {
+    if (state.isPlaying) {
+      glide = await transitionFrequency(segment.neter.frequency, segment.neter.id);
+    } else {
+      await playFrequency(segment.neter.frequency, segment.neter.id);
+      updatePlayButton(true);
+    }
+  } catch (err) {
+    console.error('❌ Journey segment failed to play:', err);
+    renderCurrentNeter();
+    endJourney();
+    return;
+  }
+  renderCurrentNeter(glide);
+
+  setState({ ...state, isPlaying: true, sessionStart: Date.now() });
+  scheduleJourneySegment(segment.duration * 1000);
+  renderActiveJourney();
+  console.log(`🧭 Journey segment ${index + 1}/${segment.count}:`, segment.neter.name);
+};
+
+/**
+ * Stop the journey timeline, log the current segment and hide its controls.
+ * Audio keeps playing - callers decide what happens to the tone.
+ */
+const endJourney = () => {
+  if (!activeJourney) return;
+
+  clearTimeout(activeJourney.timerId);
+  clearInterval(activeJourney.tickId);
+  logJourneySegment();
+  activeJourney = null;
+
+  // Whatever keeps playing is now an ordinary session
+  if (state.isPlaying) {
+    setState({ ...state, sessionStart: Date.now() });
+  }
+
+  renderJourneyStatus(null);
+  refreshJourneyList();
+};
+
+/**
+ * Start a guided journey from its first segment
+ * @param {Object} plan - Journey object
+ */
+export const handleStartJourney = async (plan) => {
+  if (!claimAudio()) return;
+  cancelSessionTimer();
+
+  if (activeJourney) {
+    endJourney();
+  } else if (state.isPlaying && state.sessionStart) {
+    // Close out the free-play session before the journey takes over
+    const duration = Math.floor((Date.now() - state.sessionStart) / 1000);
+    if (duration > 0) {
+      recordSession({
+        ...getSessionSubject(),
+        duration
+      });
+    }
+    setState({ ...state, sessionStart: null });
+  }
+  if (chord) {
+    chord = null;
+    renderChord();
+  }
+
+  console.log('🧭 Starting journey:', plan.name);
+  activeJourney = {
+    plan,
+    index: 0,
+    playedMs: 0,
+    segmentEndsAt: 0,
+    remainingMs: 0,
+    paused: false,
+    timerId: null,
+    tickId: setInterval(renderActiveJourney, 1000)
+  };
+  refreshJourneyList();
+
+  await playJourneySegment(0);
+};
+
+/**
+ * Pause the journey: fade the tone out and freeze the segment countdown
+ */
+export const handlePauseJourney = async () => {
+  if (!activeJourney || activeJourney.paused) return;
+
+  clearTimeout(activeJourney.timerId);
+  activeJourney.remainingMs = Math.max(0, activeJourney.segmentEndsAt - Date.now());
+  if (state.sessionStart) {
+    activeJourney.playedMs += Date.now() - state.sessionStart;
+  }
+  activeJourney.paused = true;
+
+  setState({ ...state, isPlaying: false, sessionStart: null });
+  updatePlayButton(false);
+  renderActiveJourney();
+
+  await stopSound();
+  releaseAudio();
+};
+
+/**
+ * Resume a paused journey where its countdown stopped
+ */
+export const handleResumeJourney = async () => {
+  if (!activeJourney || !activeJourney.paused) return;
+  if (!claimAudio()) return;
+
+  try {
+    await playFrequency(state.currentNeter.frequency, state.currentNeter.id);
+  } catch (err) {
+    console.error('❌ Failed to resume journey:', err);
+    return;
+  }
+
+  activeJourney.paused = false;
+  setState({ ...state, isPlaying: true, sessionStart: Date.now() });
+  updatePlayButton(true);
+  scheduleJourneySegment(activeJourney.remainingMs);
+  renderActiveJourney();
+};
+
+/**
+ * Skip to the next sphere of the journey
+ */
+export const handleSkipJourneySegment = async () => {
+  if (!activeJourney) return;
+  clearTimeout(activeJourney.timerId);
+  await playJourneySegment(activeJourney.index + 1);
+};
+
+/**
+ * End the journey and fade the tone out
+ */
+export const handleStopJourney = async () => {
+  endJourney();
+  await stopSound();
+  releaseAudio();
+  setState({ ...state, isPlaying: false, sessionStart: null });
+  updatePlayButton(false);
+};
+
+/**
+ * Delete a user-imported journey
+ * @param {string} journeyId - Journey ID
+ */
+const handleDeleteJourney = async (journeyId) => {
+  if (activeJourney && activeJourney.plan.id === journeyId) {
+    handleStopJourney();
+  }
+  customJourneys = await deleteCustomJourney(journeyId);
+  refreshJourneyList();
+};
+
+/**
+ * Import a journey definition from a JSON file
+ * @param {File} file - Selected .json file
+ */
+const handleImportJourney = async (file) => {
+  try {
+    const data = JSON.parse(await file.text());
+    const errors = getJourneyErrors(data);
+    if (errors.length > 0) {
+      alert(`This journey can't be imported:\n\n${errors.join('\n')}`);
+      return;
+    }
+    const journey = normalizeJourney(data, customJourneys.map((saved) => saved.id));
+    customJourneys = await saveCustomJourney(journey);
+    refreshJourneyList();
+    console.log('🧭 Journey imported:', journey.name);
+  } catch (err) {
+    console.error('Journey import failed:', err);
+    alert('Could not read this file. Journeys must be valid JSON.');
+  }
+};
+
+// ============================================================================
+// AUDIO EXPORT
+// ============================================================================
+
+/**
+ * Re-render the export selects (journeys may have changed)
+ */
+const refreshExportOptions = () => {
+  renderExportOptions(getAvailableJourneys(), EXPORT_DURATIONS, WAV_BIT_DEPTHS);
+};
+
+/**
+ * Render the chosen sphere or journey offline and download it as a WAV file
+ */
+const handleExportAudio = async () => {
+  const sourceId = document.getElementById('export-source')?.value || '';
+  const minutes =
+    parseInt(document.getElementById('export-duration')?.value, 10) || EXPORT_DURATIONS[0];
+  const bitDepth =
+    parseInt(document.getElementById('export-bit-depth')?.value, 10) || WAV_BIT_DEPTHS[0];
+
+  const journey = sourceId
+    ? getAvailableJourneys().find((j) => j.id === sourceId)
+    : null;
+  const plan = journey
+    ? createJourneyExportPlan(journey, getNeterById)
+    : createNeterExportPlan(state.currentNeter, minutes * 60);
+
+  const seconds = getExportPlanDuration(plan);
+  if (seconds > MAX_EXPORT_SECONDS) {
+    alert(
+      `Exports are limited to ${MAX_EXPORT_SECONDS / 60} minutes. ` +
+      `"${plan.label}" is ${formatDuration(seconds)}.`
+    );
+    return;
+  }
+
+  renderExportStatus(`Rendering ${plan.label} (${formatDuration(seconds)})…`, true);
+  try {
+    const blob = await exportSessionWav(plan, bitDepth, EXPORT_SAMPLE_RATE);
+    downloadBlob(blob, getExportFilename(plan.label, bitDepth));
+    renderExportStatus(
+      `Saved ${plan.label} · ${(blob.size / (1024 * 1024)).toFixed(1)} MB`,
+      false
+    );
+    console.log('📦 WAV exported:', plan.label, `${bitDepth}-bit`, blob.size, 'bytes');
+  } catch (err) {
+    console.error('WAV export failed:', err);
+    renderExportStatus('', false);
+    alert(`Could not export audio: ${err.message}`);
+  }
+};
+
+// ============================================================================
+// HEARING CALIBRATION
+// ============================================================================
+
+/**
+ * Spheres from lowest to highest tone, the order they're balanced in
+ * @returns {Array} Neter objects
+ */
+const getNetersByFrequency = () =>
+  Object.values(PAUTTI_NETERU).sort((a, b) => a.frequency - b.frequency);
+
+/**
+ * Render the wizard rows from the current calibration offsets
+ */
+const renderCalibration = () => {
+  renderCalibrationList(getNetersByFrequency(), calibration.offsets, HEARING_OFFSET_RANGE, {
+    onPlay: handleCalibrationPlay,
+    onChange: handleCalibrationChange
+  });
+  renderCalibrationPlaying(calibration.playingId);
+};
+
+/**
+ * Open the hearing calibration wizard with the saved curve loaded
+ */
+export const handleOpenCalibration = async () => {
+  // Tones are compared one at a time, so the session ends here
+  if (activeJourney) {
+    await handleStopJourney();
+  } else if (state.isPlaying) {
+    await handleStopSound();
+  }
+
+  const curve = getSetting('hearingCurve');
+  calibration = {
+    offsets: Object.fromEntries(
+      getNetersByFrequency().map((neter) => [
+        neter.id,
+        clampHearingOffset(getHearingCurveDb(curve, neter.frequency))
+      ])
+    ),
+    playingId: null
+  };
+
+  renderCalibration();
+  closeModal('settings');
+  openModal('calibration');
+  console.log('🎚️ Hearing calibration opened');
+};
+
+/**
+ * Play a sphere's tone, or stop it if it's the one playing
+ * @param {Object} neter - Neter object
+ */
+const handleCalibrationPlay = async (neter) => {
+  if (!calibration) return;
+
+  if (calibration.playingId === neter.id) {
+    stopCalibrationTone();
+    calibration.playingId = null;
+  } else {
+    try {
+      await playCalibrationTone(neter.frequency, neter.id, calibration.offsets[neter.id]);
+      calibration.playingId = neter.id;
+    } catch (err) {
+      console.error('❌ Calibration tone failed:', err);
+    }
+  }
+  renderCalibrationPlaying(calibration.playingId);
+};
+
+/**
+ * Apply a slider change, live if that sphere is playing
+ * @param {Object} neter - Neter object
+ * @param {number} db - New personal offset
+ */
+const handleCalibrationChange = (neter, db) => {
+  if (!calibration) return;
+  calibration.offsets[neter.id] = clampHearingOffset(db);
+  setCalibrationOffset(neter.frequency, calibration.offsets[neter.id]);
+};
+
+/**
+ * Set every sphere back to 0 dB (not saved until Save)
+ */
+const handleResetCalibration = () => {
+  if (!calibration) return;
+  Object.keys(calibration.offsets).forEach((id) => {
+    calibration.offsets[id] = 0;
+  });
+
+  const playing = getNetersByFrequency().find((n) => n.id === calibration.playingId);
+  if (playing) setCalibrationOffset(playing.frequency, 0);
+  renderCalibration();
+};
+
+/**
+ * Save the offsets as the personal hearing curve and close the wizard
+ */
+const handleSaveCalibration = () => {
+  if (!calibration) return;
+  updateSetting('hearingCurve', createHearingCurve(calibration.offsets));
+  console.log('🎚️ Hearing calibration saved:', calibration.offsets);
+  handleCloseCalibration();
+};
+
+/**
+ * Close the wizard without saving
+ */
+export const handleCloseCalibration = () => {
+  stopCalibrationTone();
+  calibration = null;
+  closeModal('calibration');
+};
+
+// ============================================================================
+// BACKUP & RESTORE
+// ============================================================================
+
+/**
+ * Download every piece of user data as one versioned JSON file
+ */
+const handleBackup = async () => {
+  try {
+    const journals = await getExportJournals();
+    if (!journals) return;
+    const backup = createBackup({ ...(await loadAllUserData()), journals });
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, getBackupFilename());
+    console.log('💾 Backup saved:', summarizeBackup(backup));
+  } catch (err) {
+    console.error('Backup failed:', err);
+    alert('Could not create the backup. Please try again.');
+  }
+};
+
+/**
+ * Validate a chosen backup file and show what it holds
+ * @param {File} file - Selected .json file
+ */
+const handleRestoreFile = async (file) => {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (err) {
+    console.error('Backup read failed:', err);
+    alert('Could not read this file. Backups must be valid JSON.');
+    return;
+  }
+
+  const errors = getBackupErrors(backup);
+  if (errors.length > 0) {
+    alert(`This backup can't be restored:\n\n${errors.join('\n')}`);
+    return;
+  }
+
+  pendingRestore = backup;
+  renderBackupSummary(summarizeBackup(backup));
+  closeModal('settings');
+  openModal('restore');
+};
+
+/**
+ * Restore the previewed backup, then reload so every part of the app
+ * starts from the restored data
+ * @param {string} mode - 'merge' | 'replace'
+ */
+const handleRestore = async (mode) => {
+  if (!pendingRestore) return;
+
+  if (state.isPlaying) {
+    await (activeJourney ? handleStopJourney() : handleStopSound());
+  }
+
+  const plan = planRestore(await loadAllUserData(), pendingRestore, mode);
+  const saved = await applyRestorePlan(plan);
+  if (!saved) {
+    alert('Restore failed. Your existing data was not changed.');
+    return;
+  }
+
+  const { added, duplicates, renamed } = plan.report;
+  console.log('📂 Backup restored:', mode, plan.report);
+  alert(
+    `Restored ${added.sessions} sessions, ${added.journals} journal entries ` +
+      `and ${added.journeys} journeys.` +
+      (duplicates ? `\n${duplicates} entries were already here and were skipped.` : '') +
+      (renamed ? `\n${renamed} entries shared an ID with different data and were kept as new entries.` : '')
+  );
+  pendingRestore = null;
+  window.location.reload();
+};
+
+/**
+ * Close the restore preview without restoring
+ */
+const handleCloseRestore = () => {
+  pendingRestore = null;
+  closeModal('restore');
+};
+
+// ============================================================================
+// PRIVATE JOURNAL
+// ============================================================================
+
+/**
+ * Where the private journal stands, for the UI
+ * @returns {string} 'off' | 'unsupported' | 'locked' | 'unlocked'
+ */
+const getJournalPrivacy = () => {
+  if (!journalLock) return isJournalEncryptionSupported() ? 'off' : 'unsupported';
+  return vault ? 'unlocked' : 'locked';
+};
+
+/**
+ * Journal entries for display: private ones opened while unlocked,
+ * marked locked otherwise
+ * @returns {Promise<Array>} Entries, newest first
+ */
+const readJournals = async () => {
+  const entries = await loadJournals();
+  return Promise.all(entries.map((entry) => openJournalEntry(entry, vault ? vault.keys : null)));
+};
+
+/**
+ * Show the journal entries that match the panel's search and filters
+ */
+const renderJournalListing = () => {
+  const filters = getJournalFilters();
+  const results = searchJournal(journalListing.index, filters);
+  const filtered = hasJournalFilters(filters);
+  renderJournalEntries(results, { terms: parseSearchQuery(filters.query), filtered });
+  renderJournalSearchStatus(results.length, journalListing.entries.length, filtered);
+};
+
+/**
+ * Re-read the journal and re-render the list and lock controls
+ * @returns {Promise<number>} How many entries the journal has
+ */
+const refreshJournal = async () => {
+  const entries = await readJournals();
+  journalListing = { entries, index: buildSearchIndex(entries) };
+  renderJournalTagOptions(getJournalTags(entries));
+  renderJournalListing();
+  renderJournalPrivacy(getJournalPrivacy());
+  return entries.length;
+};
+
+/**
+ * Restart the auto-lock countdown (called on every use of the journal)
+ */
+const touchVault = () => {
+  if (!vault) return;
+  clearTimeout(vault.timerId);
+  vault.timerId = setTimeout(lockJournal, getSetting('journalLockMinutes') * 60 * 1000);
+};
+
+/**
+ * Forget the keys. Private entries show as locked until the passphrase
+ * is entered again.
+ */
+const lockJournal = () => {
+  if (!vault) return;
+  clearTimeout(vault.timerId);
+  vault = null;
+
+  // An entry left open would stay readable on screen
+  const entryModal = document.getElementById('entry-detail-modal');
+  if (entryModal) entryModal.remove();
+
+  refreshJournal();
+  console.log('🔒 Journal locked');
+};
+
+/**
+ * Seal entries still stored as plain text, e.g. merged in from a backup
+ * that was made with "Decrypt private entries"
+ */
+const sealPlainEntries = async () => {
+  const plain = (await loadJournals()).filter((entry) => !isSealedEntry(entry));
+  if (plain.length === 0) return;
+
+  const key = vault.keys.get(journalLock.salt);
+  const sealed = await Promise.all(plain.map((entry) => sealJournalEntry(entry, key, journalLock)));
+  if (await saveJournalVault(sealed, journalLock)) {
+    console.log('🔐 Sealed plain journal entries:', sealed.length);
+  }
+};
+
+/**
+ * Turn encryption on: seal every entry under a new passphrase and leave
+ * the journal unlocked
+ * @param {string} passphrase - The new passphrase
+ * @returns {Promise<boolean>} True if saved
+ */
+const enableJournalEncryption = async (passphrase) => {
+  const { lock, key } = await createJournalLock(passphrase);
+  const entries = (await loadJournals()).filter((entry) => !isSealedEntry(entry));
+  const sealed = await Promise.all(entries.map((entry) => sealJournalEntry(entry, key, lock)));
+  if (!(await saveJournalVault(sealed, lock))) return false;
+
+  journalLock = lock;
+  vault = { keys: new Map([[lock.salt, key]]), timerId: null };
+  touchVault();
+  console.log('🔐 Journal encrypted:', sealed.length, 'entries');
+  return true;
+};
+
+/**
+ * Turn encryption off: store every entry as plain text again. Refused while
+ * some entries don't open with this passphrase, since removing the lock
+ * would strand them.
+ * @returns {Promise<boolean>} True if saved
+ */
+const disableJournalEncryption = async () => {
+  const entries = await readJournals();
+  const unreadable = entries.filter((entry) => entry.locked).length;
+  if (unreadable > 0) {
+    alert(
+      `${unreadable} journal entries were encrypted with a different passphrase, ` +
+        'so encryption stays on. Delete them first to turn it off.'
+    );
+    return false;
+  }
+  if (!(await saveJournalVault(entries, null))) return false;
+
+  clearTimeout(vault.timerId);
+  vault = null;
+  journalLock = null;
+  console.log('🔓 Journal encryption removed:', entries.length, 'entries');
+  return true;
+};
+
+/**
+ * Ask for a passphrase in the vault modal. The modal stays open until the
+ * passphrase works or the user closes it.
+ * @param {string} mode - 'create' | 'unlock' | 'decrypt'
+ * @returns {Promise<boolean>} True once the journal is encrypted/unlocked
+ */
+const requestPassphrase = (mode) =>
+  new Promise((resolve) => {
+    if (vaultPrompt) closeVaultPrompt(false);
+
+    // Modals share one layer: step the open one aside while the prompt shows
+    const over = ['journal', 'settings'].find((id) =>
+      document.getElementById(`${id}-modal`)?.classList.contains('visible')
+    ) || null;
+    if (over) closeModal(over);
+
+    vaultPrompt = { mode, resolve, over };
+    renderVaultPrompt(mode);
+    openModal('vault');
+  });
+
+/**
+ * Close the passphrase prompt and report the outcome to whoever asked
+ * @param {boolean} done - Whether the prompt succeeded
+ */
+const closeVaultPrompt = (done) => {
+  if (!vaultPrompt) return;
+  const { resolve, over } = vaultPrompt;
+  vaultPrompt = null;
+  closeModal('vault');
+  if (over) openModal(over);
+  resolve(done);
+};
+
+/**
+ * Close the passphrase prompt without unlocking
+ */
+const handleCloseVault = () => closeVaultPrompt(false);
+
+/**
+ * Check the typed passphrase and encrypt or unlock the journal
+ */
+const handleVaultSubmit = async () => {
+  if (!vaultPrompt) return;
+  const { mode } = vaultPrompt;
+  const { passphrase, confirmation } = getVaultInput();
+
+  if (mode === 'create') {
+    const error = getPassphraseError(passphrase, confirmation);
+    if (error) {
+      renderVaultError(error);
+      return;
+    }
+  } else if (!passphrase) {
+    return;
+  }
+
+  renderVaultBusy(true);
+  try {
+    if (mode === 'create') {
+      if (!(await enableJournalEncryption(passphrase))) {
+        renderVaultError('Could not save the encrypted journal. Nothing was changed.');
+        return;
+      }
+    } else {
+      const keys = await unlockJournalKeys(journalLock, passphrase, await loadJournals());
+      if (!keys) {
+        renderVaultError('That passphrase does not open this journal.');
+        return;
+      }
+      vault = { keys, timerId: vault ? vault.timerId : null };
+      touchVault();
+      if (mode === 'unlock') await sealPlainEntries();
+      console.log('🔓 Journal unlocked');
+    }
+  } catch (err) {
+    console.error('Journal encryption failed:', err);
+    renderVaultError('Something went wrong. Please try again.');
+    return;
+  } finally {
+    renderVaultBusy(false);
+  }
+
+  closeVaultPrompt(true);
+  refreshJournal();
+};
+
+/**
+ * Make sure private entries can be read and written, asking for the
+ * passphrase if needed
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+const ensureUnlocked = async () => {
+  if (!journalLock || vault) return true;
+  return requestPassphrase('unlock');
+};
+
+/**
+ * Settings button: encrypt the journal, or decrypt it after the passphrase
+ * is entered once more
+ */
+const handleJournalEncryption = async () => {
+  if (!journalLock) {
+    await requestPassphrase('create');
+    return;
+  }
+  if (await requestPassphrase('decrypt')) {
+    await disableJournalEncryption();
+    refreshJournal();
+  }
+};
+
+/**
+ * Journal panel button: lock now, or ask for the passphrase
+ */
+const handleJournalLockButton = async () => {
+  if (vault) {
+    lockJournal();
+  } else {
+    await ensureUnlocked();
+  }
+};
+
+/**
+ * Store a new journal entry, sealed when the journal is private
+ * @param {Object} journalData - { neterId, neterName, text, type }
+ * @returns {Promise<boolean>} False if the user didn't unlock
+ */
+const storeJournalEntry = async (journalData) => {
+  if (!(await ensureUnlocked())) return false;
+
+  const entry = journalLock
+    ? await sealJournalEntry(journalData, vault.keys.get(journalLock.salt), journalLock)
+    : journalData;
+  await saveJournalEntry(entry);
+  touchVault();
+  await refreshJournal();
+  return true;
+};
+
+/**
+ * Journal entries for a backup or export. Private entries stay sealed
+ * unless "Decrypt private entries" is ticked, which needs the passphrase.
+ * @returns {Promise<Array|null>} Entries, newest first, or null if the
+ *   user didn't unlock
+ */
+const getExportJournals = async () => {
+  const decryptBox = document.getElementById('settings-decrypt-exports');
+  if (!journalLock || !decryptBox || !decryptBox.checked) return loadJournals();
+  if (!(await ensureUnlocked())) return null;
+
+  touchVault();
+  const entries = await loadJournals();
+  return Promise.all(
+    entries.map(async (entry) => {
+      const opened = await openJournalEntry(entry, vault.keys);
+      return opened.locked ? entry : opened;
+    })
+  );
+};
+
+// ============================================================================
+// JOURNAL EXPORT
+// ============================================================================
+
+/**
+ * Open an export page in a new tab, for printing or saving as PDF
+ * @param {string} html - Page from createJournalHtml
+ */
+const openPrintableExport = (html) => {
+  // Blob URL for a cleaner print header (not about:blank)
+  const blob = new Blob([html], { type: 'text/html' });
+  const blobUrl = URL.createObjectURL(blob);
+  const printWindow = window.open(blobUrl, '_blank');
+  if (printWindow) {
+    // Clean up blob URL after printing
+    printWindow.onafterprint = () => URL.revokeObjectURL(blobUrl);
+  } else {
+    URL.revokeObjectURL(blobUrl);
+    alert('Please allow popups to export your journal.');
+  }
+};
+
+/**
+ * Export the journal in the format, sphere and date range chosen in settings
+ */
+const handleExportJournal = async () => {
+  const { format, neterId, from, to } = getJournalExportOptions();
+  const journals = await getExportJournals();
+  if (!journals) return;
+
+  if (journals.length === 0) {
+    alert('No journal entries to export.');
+    return;
+  }
+  const entries = filterExportEntries(journals, { neterId, from, to });
+  if (entries.length === 0) {
+    alert('No journal entries match the chosen sphere and dates.');
+    return;
+  }
+
+  const neter = neterId === null ? null : getNeterById(neterId);
+  const range = { neterId, neterName: neter ? neter.name : '', from, to };
+  try {
+    const { content, mime, filename } = createJournalExport(format, entries, { range });
+    if (format === 'print') {
+      openPrintableExport(content);
+    } else {
+      downloadBlob(new Blob([content], { type: mime }), filename);
+    }
+    console.log('📥 Journal exported:', format, entries.length);
+  } catch (err) {
+    console.error('Journal export failed:', err);
+    alert('Could not export the journal. Please try again.');
+  }
+};
+
+// ============================================================================
+// JOURNAL ACTIONS
+// ============================================================================
+
+/**
+ * Save journal entry
+ */
+export const handleSaveJournal = async () => {
+  const text = getJournalText();
+  
+  if (!text) {
+    console.warn('No journal text to save');
+    return;
+  }
+
+  const journalData = setJournalDetails(
+    {
+      neterId: state.currentNeter.id,
+      neterName: state.currentNeter.name,
+      text,
+      type: 'written'
+    },
+    getJournalDetails()
+  );
+
+  // Locked private journal: the text stays in the box if unlocking is cancelled
+  if (!(await storeJournalEntry(journalData))) return;
+  clearJournalText();
   
   // Close any open panels before closing modal for smooth transition
   const journalPanel = document.getElementById('journal-panel');
@@ -306,12 +1834,58 @@ export const handleSaveJournal = () => {
     closeModal('journal');
   }, 50);
   
-  // Refresh journal entries display
-  const entries = loadJournals();
-  renderJournalEntries(entries);
   console.log('✍️ Journal entry saved');
 };
 
+/**
+ * Change a stored entry and show it again. Private entries are opened,
+ * changed and sealed again, revisions included.
+ * @param {number} entryId - Entry to change
+ * @param {Function} change - (plainEntry) => changed entry (pure.js revision helpers)
+ */
+const reviseStoredEntry = async (entryId, change) => {
+  if (!(await ensureUnlocked())) return;
+
+  const stored = await loadJournalEntry(entryId);
+  if (!stored) return;
+  const current = await openJournalEntry(stored, vault ? vault.keys : null);
+  if (current.locked) return;
+
+  const revised = change(current);
+  if (revised !== current) {
+    const entry = journalLock
+      ? await sealJournalEntry(revised, vault.keys.get(journalLock.salt), journalLock)
+      : revised;
+    if (!(await updateJournalEntry(entry))) {
+      alert('Could not save your changes. The entry was not changed.');
+      return;
+    }
+    touchVault();
+    await refreshJournal();
+    console.log('✏️ Journal entry revised:', entryId);
+  }
+  showJournalEntryModal(revised);
+};
+
+/**
+ * Save an edit made in the entry detail modal. Only text changes become
+ * revisions; tags and mood are simply replaced.
+ * @param {number} entryId - Entry edited
+ * @param {Object} edit - { text, tags, mood }
+ */
+const handleEditJournalEntry = (entryId, { text, tags, mood }) =>
+  reviseStoredEntry(entryId, (entry) =>
+    setJournalDetails(reviseJournalEntry(entry, text), { tags, mood })
+  );
+
+/**
+ * Make an earlier version of an entry current again
+ * @param {number} entryId - Entry
+ * @param {number} index - Index into its revisions, oldest first
+ */
+const handleRestoreJournalRevision = (entryId, index) =>
+  reviseStoredEntry(entryId, (entry) => restoreJournalRevision(entry, index));
+
 // COMMENTED OUT: Panel recording functionality - moved to modal-only workflow
 /*
 // Simple module-level state for journal panel voice-to-text recording
@@ -354,9 +1928,7 @@ export const handleRecordAudio = () => {
         type: 'voice'
       };
 
-      saveJournalEntry(journalData);
-      const entries = loadJournals();
-      renderJournalEntries(entries);
+      storeJournalEntry(journalData);
       console.log('🎤 Voice journal entry saved');
     }
     
@@ -715,7 +2287,7 @@ export const handleOpenJournal = () => {
 /**
  * Open log modal
  */
-export const handleOpenLog = () => {
+export const handleOpenLog = async () => {
   // Close any open panels and return eye buttons to center
   const sidePanel = document.getElementById('side-panel');
   const journalPanel = document.getElementById('journal-panel');
@@ -735,11 +2307,95 @@ export const handleOpenLog = () => {
     backdrop.classList.remove('visible');
   }
   
-  const sessions = loadSessions();
-  renderSessionLog(sessions);
+  renderHistoryViews(HISTORY_VIEWS, historyLog.view);
+  await showHistory(historyLog.view);
   openModal('log');
 };
 
+/**
+ * Render the history as it stands in historyLog
+ */
+const renderHistory = () => {
+  if (historyLog.view === 'insights') {
+    renderInsights(historyLog.insights, handleVisitNeter);
+  } else if (historyLog.view === 'sessions') {
+    renderSessionLog(historyLog.sessions, historyLog.hasMore ? showMoreHistory : null);
+  } else {
+    const hasMore = historyLog.shown < historyLog.groups.length;
+    renderRollupLog(
+      historyLog.view,
+      historyLog.groups.slice(0, historyLog.shown),
+      hasMore ? showMoreHistory : null
+    );
+  }
+};
+
+/**
+ * Load the first page of a history view, with the lifetime totals
+ * @param {string} view - HISTORY_VIEWS id
+ */
+const showHistory = async (view) => {
+  const [page, monthRollups] = await Promise.all([
+    view === 'sessions' ? loadSessionPage() : null,
+    loadRollups('month')
+  ]);
+  const groups = view === 'sessions' || view === 'insights'
+    ? []
+    : groupRollups(view === 'month' ? monthRollups : await loadRollups(view));
+
+  historyLog = {
+    view,
+    sessions: page ? page.sessions : [],
+    hasMore: page ? page.hasMore : false,
+    groups,
+    shown: HISTORY_PAGE_SIZE,
+    insights: view === 'insights' ? await loadInsights(monthRollups) : null
+  };
+  renderHistoryTotals(getHistoryTotals(monthRollups));
+  renderHistory();
+};
+
+/**
+ * Work out the insights view from the stored history and journal
+ * @param {Object[]} monthRollups - Monthly rollups, already loaded
+ * @returns {Promise<Object>} From createInsights()
+ */
+const loadInsights = async (monthRollups) => {
+  const [dayRollups, sessions, journals] = await Promise.all([
+    loadRollups('day'),
+    loadSessions(),
+    loadJournals()
+  ]);
+  return createInsights({ dayRollups, monthRollups, sessions, journals });
+};
+
+/**
+ * Go to a sphere picked in the insights view
+ * @param {number} neterId - Neter to select
+ */
+const handleVisitNeter = (neterId) => {
+  closeModal('log');
+  selectNeter(neterId);
+};
+
+/**
+ * Show the next page of the current history view
+ */
+const showMoreHistory = async () => {
+  if (historyLog.view === 'sessions') {
+    const last = historyLog.sessions[historyLog.sessions.length - 1];
+    const page = await loadSessionPage(last.id);
+    historyLog = {
+      ...historyLog,
+      sessions: [...historyLog.sessions, ...page.sessions],
+      hasMore: page.hasMore
+    };
+  } else {
+    historyLog = { ...historyLog, shown: historyLog.shown + HISTORY_PAGE_SIZE };
+  }
+  renderHistory();
+};
+
 /**
  * Close journal modal
  */
@@ -788,9 +2444,12 @@ export const handleCloseAllModals = () => {
     console.log('🎤 Recording auto-stopped on modal close');
   }
   
+  handleCloseVault();
   closeModal('journal');
   closeModal('log');
   closeModal('settings');
+  handleCloseCalibration();
+  handleCloseRestore();
   closeSidePanel();
 };
 
@@ -837,6 +2496,135 @@ export const handleOpenJournalWithAutoRecord = () => {
   }, 300);
 };
 
+// ============================================================================
+// TAB SYNC
+// ============================================================================
+
+/**
+ * Settings the playing voice is built from: another tab changing one
+ * rebuilds the voice here
+ */
+const VOICE_SETTINGS = [
+  'timbre',
+  'neterTimbres',
+  'loudnessCompensation',
+  'hearingCurve',
+  'binaural',
+  'binauralBeat',
+  'isochronic',
+  'isochronicRate',
+  'isochronicShape',
+  'isochronicRamp',
+  'isochronicEndRate',
+  'isochronicRampMinutes'
+];
+
+/**
+ * Take audio for this tab before anything starts playing. While another
+ * tab owns it, nothing starts and the "Take over" notice stays up.
+ * @returns {boolean} True if this tab may play
+ */
+const claimAudio = () => {
+  if (audioOwner) {
+    renderAudioElsewhere(true);
+    return false;
+  }
+  announceAudio('claim');
+  return true;
+};
+
+/**
+ * Let other tabs play again once this tab has stopped
+ */
+const releaseAudio = () => {
+  if (!audioOwner) announceAudio('release');
+};
+
+/**
+ * Another tab claimed, released or asked about audio
+ * @param {string} action - 'claim' | 'release' | 'hello'
+ * @param {string} tabId - The other tab
+ */
+const handleAudioMessage = async (action, tabId) => {
+  if (action === 'hello') {
+    // A new tab: tell it who plays
+    if (state.isPlaying) announceAudio('claim');
+    return;
+  }
+
+  if (action === 'release') {
+    if (audioOwner !== tabId) return;
+    audioOwner = null;
+    renderAudioElsewhere(false);
+    return;
+  }
+
+  // Claimed: step back, keeping a journey paused so it can be taken back
+  audioOwner = tabId;
+  renderAudioElsewhere(true);
+  if (activeJourney) {
+    await handlePauseJourney();
+  } else if (state.isPlaying) {
+    await handleStopSound();
+  }
+  console.log('🔀 Audio taken over by another tab');
+};
+
+/**
+ * "Take over" button: play here, which stops the other tab
+ */
+const handleTakeOverAudio = async () => {
+  audioOwner = null;
+  renderAudioElsewhere(false);
+  await handlePlayPause();
+};
+
+/**
+ * Another tab changed the journal. A new or removed passphrase makes the
+ * keys held here stale, so the journal locks.
+ */
+const handleJournalsChanged = async () => {
+  const lock = await loadJournalLock();
+  const lockChanged = (lock ? lock.salt : null) !== (journalLock ? journalLock.salt : null);
+  journalLock = lock;
+  if (lockChanged && vault) {
+    lockJournal();
+    return;
+  }
+  await refreshJournal();
+};
+
+/**
+ * Another tab logged or cleared sessions
+ */
+const handleSessionsChanged = () => {
+  const logModal = document.getElementById('log-modal');
+  if (logModal && logModal.classList.contains('visible')) {
+    showHistory(historyLog.view);
+  }
+};
+
+/**
+ * Another tab imported or deleted a journey
+ */
+const handleJourneysChanged = async () => {
+  customJourneys = await loadCustomJourneys();
+  refreshJourneyList();
+};
+
+/**
+ * Another tab restored a backup or cleared all data: start over from
+ * what's stored now
+ */
+const handleDataReset = async () => {
+  if (activeJourney) {
+    await handleStopJourney();
+  } else if (state.isPlaying) {
+    await handleStopSound();
+  }
+  window.location.reload();
+};
+
 // ============================================================================
 // EVENT WIRING
 // ============================================================================
@@ -860,6 +2648,22 @@ export const wireUpEvents = () => {
     console.log('✓ Play button');
   }
 
+  // Session timer select (next to play button)
+  renderTimerOptions(TIMER_LENGTHS, BELL_INTERVALS);
+  const timerSelect = document.getElementById('timer-select');
+  if (timerSelect) {
+    timerSelect.value = getSetting('timerMinutes');
+    timerSelect.addEventListener('change', (e) => {
+      const minutes = parseInt(e.target.value, 10);
+      updateSetting('timerMinutes', minutes);
+      // Changing the timer mid-session counts down from now, without a bell
+      if (state.isPlaying && !activeJourney) {
+        startSessionTimer(minutes, { ringStart: false });
+      }
+    });
+    console.log('✓ Session timer');
+  }
+
   // Volume slider
   const volumeSlider = document.getElementById('volume-slider');
   if (volumeSlider) {
@@ -881,6 +2685,13 @@ export const wireUpEvents = () => {
     console.log('✓ Mute button');
   }
 
+  // Vocal toning button (below Ankh)
+  const toningBtn = document.getElementById('toning-btn');
+  if (toningBtn) {
+    toningBtn.addEventListener('click', handleToggleToning);
+    console.log('✓ Toning button');
+  }
+
   // Journal modal button (below Ankh)
   const openJournalModalBtn = document.getElementById('open-journal-modal-btn');
   if (openJournalModalBtn) {
@@ -905,6 +2716,11 @@ export const wireUpEvents = () => {
     closeLogBtn.addEventListener('click', handleCloseLog);
   }
 
+  const logViewSelect = document.getElementById('log-view');
+  if (logViewSelect) {
+    logViewSelect.addEventListener('change', (e) => showHistory(e.target.value));
+  }
+
   // Settings button handlers
   const settingsBtn = document.getElementById('settings-btn');
   const settingsModal = document.getElementById('settings-modal');
@@ -913,8 +2729,85 @@ export const wireUpEvents = () => {
 
   // Settings form elements
   const autoplayCheckbox = document.getElementById('settings-autoplay');
+  const glideCheckbox = document.getElementById('settings-glide');
+  const glideTimeSlider = document.getElementById('settings-glide-time');
+  const glideTimeValue = document.getElementById('settings-glide-time-value');
+  const glideCurveSelect = document.getElementById('settings-glide-curve');
   const reduceEffectsCheckbox = document.getElementById('settings-reduce-effects');
   const reduceMotionCheckbox = document.getElementById('settings-reduce-motion');
+  const timbreSelect = document.getElementById('settings-timbre');
+  const loudnessCheckbox = document.getElementById('settings-loudness');
+  const calibrateBtn = document.getElementById('settings-calibrate');
+  const bellIntervalSelect = document.getElementById('settings-bell-interval');
+  const neterTimbreSelect = document.getElementById('panel-neter-timbre');
+  const binauralCheckbox = document.getElementById('settings-binaural');
+  const spatialCheckbox = document.getElementById('settings-spatial');
+  const binauralBeatSlider = document.getElementById('settings-binaural-beat');
+  const binauralBeatValue = document.getElementById('settings-binaural-beat-value');
+  const bedSliders = settingsModal?.querySelectorAll('[data-bed]') || [];
+  const isochronicCheckbox = document.getElementById('settings-isochronic');
+  const isochronicRateSlider = document.getElementById('settings-isochronic-rate');
+  const isochronicRateValue = document.getElementById('settings-isochronic-rate-value');
+  const isochronicShapeSelect = document.getElementById('settings-isochronic-shape');
+  const isochronicRampCheckbox = document.getElementById('settings-isochronic-ramp');
+  const isochronicEndRateSlider = document.getElementById('settings-isochronic-end-rate');
+  const isochronicEndRateValue = document.getElementById('settings-isochronic-end-rate-value');
+  const isochronicMinutesSelect = document.getElementById('settings-isochronic-ramp-minutes');
+  const journalLockMinutesSelect = document.getElementById('settings-journal-lock-minutes');
+  const decryptExportsCheckbox = document.getElementById('settings-decrypt-exports');
+
+  /**
+   * Show a bed's level next to its slider
+   * @param {string} bedId - Bed ID
+   * @param {number} level - Level 0-100
+   */
+  const renderBedValue = (bedId, level) => {
+    const label = settingsModal?.querySelector(`[data-bed-value="${bedId}"]`);
+    if (label) label.textContent = `${level}%`;
+  };
+
+  /**
+   * Show the beat offset and its brainwave band next to the slider
+   * @param {number} beat - Beat offset in Hz
+   */
+  const renderBinauralBeatValue = (beat) => {
+    if (binauralBeatValue) {
+      binauralBeatValue.textContent = `${beat} Hz · ${getBrainwaveBand(beat)}`;
+    }
+  };
+
+  /**
+   * Show the glide time next to its slider
+   * @param {number} seconds - Glide time
+   */
+  const renderGlideTimeValue = (seconds) => {
+    if (glideTimeValue) glideTimeValue.textContent = `${seconds} s`;
+  };
+
+  /**
+   * Show a pulse rate and its brainwave band next to its slider
+   * @param {HTMLElement|null} label - Value label
+   * @param {number} rate - Pulse rate in Hz
+   */
+  const renderPulseRateValue = (label, rate) => {
+    if (label) label.textContent = `${rate} Hz · ${getBrainwaveBand(rate)}`;
+  };
+
+  /**
+   * Rebuild the playing voice so binaural changes are heard immediately
+   */
+  const refreshPlayingVoice = async () => {
+    if (!state.isPlaying) return;
+    try {
+      if (chord) {
+        await playChord(getChordParts());
+      } else {
+        await transitionFrequency(state.currentNeter.frequency, state.currentNeter.id);
+      }
+    } catch (err) {
+      console.error('❌ Failed to refresh voice:', err);
+    }
+  };
 
   /**
    * Load saved settings into modal form elements
@@ -923,8 +2816,36 @@ export const wireUpEvents = () => {
     const settings = loadSettings();
     
     if (autoplayCheckbox) autoplayCheckbox.checked = settings.autoplay;
+    if (glideCheckbox) glideCheckbox.checked = settings.glide;
+    if (glideTimeSlider) glideTimeSlider.value = settings.glideTime;
+    renderGlideTimeValue(settings.glideTime);
+    if (glideCurveSelect) glideCurveSelect.value = settings.glideCurve;
     if (reduceEffectsCheckbox) reduceEffectsCheckbox.checked = settings.reduceEffects;
     if (reduceMotionCheckbox) reduceMotionCheckbox.checked = settings.reduceMotion;
+    if (timbreSelect) timbreSelect.value = settings.timbre;
+    if (loudnessCheckbox) loudnessCheckbox.checked = settings.loudnessCompensation;
+    if (bellIntervalSelect) bellIntervalSelect.value = settings.bellIntervalMinutes;
+    if (binauralCheckbox) binauralCheckbox.checked = settings.binaural;
+    if (spatialCheckbox) spatialCheckbox.checked = settings.spatial;
+    if (binauralBeatSlider) binauralBeatSlider.value = settings.binauralBeat;
+    renderBinauralBeatValue(settings.binauralBeat);
+    if (isochronicCheckbox) isochronicCheckbox.checked = settings.isochronic;
+    if (isochronicRateSlider) isochronicRateSlider.value = settings.isochronicRate;
+    renderPulseRateValue(isochronicRateValue, settings.isochronicRate);
+    if (isochronicShapeSelect) isochronicShapeSelect.value = settings.isochronicShape;
+    if (isochronicRampCheckbox) isochronicRampCheckbox.checked = settings.isochronicRamp;
+    if (isochronicEndRateSlider) isochronicEndRateSlider.value = settings.isochronicEndRate;
+    renderPulseRateValue(isochronicEndRateValue, settings.isochronicEndRate);
+    if (isochronicMinutesSelect) isochronicMinutesSelect.value = settings.isochronicRampMinutes;
+    bedSliders.forEach((slider) => {
+      const level = settings.soundscape[slider.dataset.bed] || 0;
+      slider.value = level;
+      renderBedValue(slider.dataset.bed, level);
+    });
+    if (journalLockMinutesSelect) journalLockMinutesSelect.value = settings.journalLockMinutes;
+    // Decrypting exports is a one-off choice, never remembered
+    if (decryptExportsCheckbox) decryptExportsCheckbox.checked = false;
+    renderJournalPrivacy(getJournalPrivacy());
     
     console.log('⚙️ Settings loaded into modal:', settings);
   };
@@ -972,6 +2893,160 @@ export const wireUpEvents = () => {
     });
   }
 
+  // Glide - read by the next sphere change, nothing to rebuild
+  renderGlideCurveOptions(GLIDE_CURVES);
+  if (glideCheckbox) {
+    glideCheckbox.addEventListener('change', (e) => {
+      updateSetting('glide', e.target.checked);
+    });
+  }
+  if (glideTimeSlider) {
+    glideTimeSlider.addEventListener('input', (e) => {
+      renderGlideTimeValue(parseFloat(e.target.value));
+    });
+    glideTimeSlider.addEventListener('change', (e) => {
+      updateSetting('glideTime', parseFloat(e.target.value));
+    });
+  }
+  if (glideCurveSelect) {
+    glideCurveSelect.addEventListener('change', (e) => {
+      updateSetting('glideCurve', e.target.value);
+    });
+  }
+
+  // Equal-loudness compensation - save and rebuild the playing voice
+  if (loudnessCheckbox) {
+    loudnessCheckbox.addEventListener('change', (e) => {
+      updateSetting('loudnessCompensation', e.target.checked);
+      refreshPlayingVoice();
+    });
+  }
+
+  // Hearing calibration wizard
+  if (calibrateBtn) {
+    calibrateBtn.addEventListener('click', handleOpenCalibration);
+  }
+  const closeCalibrationBtn = document.getElementById('close-calibration');
+  if (closeCalibrationBtn) {
+    closeCalibrationBtn.addEventListener('click', handleCloseCalibration);
+  }
+  const calibrationSaveBtn = document.getElementById('calibration-save');
+  if (calibrationSaveBtn) {
+    calibrationSaveBtn.addEventListener('click', handleSaveCalibration);
+  }
+  const calibrationResetBtn = document.getElementById('calibration-reset');
+  if (calibrationResetBtn) {
+    calibrationResetBtn.addEventListener('click', handleResetCalibration);
+  }
+
+  // Interval bells - applies from the next timed session
+  if (bellIntervalSelect) {
+    bellIntervalSelect.addEventListener('change', (e) => {
+      updateSetting('bellIntervalMinutes', parseInt(e.target.value, 10));
+    });
+  }
+
+  // Global timbre - save and rebuild the playing voice
+  if (timbreSelect) {
+    renderTimbreOptions(timbreSelect);
+    timbreSelect.addEventListener('change', (e) => {
+      updateSetting('timbre', e.target.value);
+      refreshPlayingVoice();
+    });
+  }
+
+  // Per-neter timbre (side panel) - "" falls back to the global timbre
+  if (neterTimbreSelect) {
+    renderTimbreOptions(neterTimbreSelect, 'Use global timbre');
+    renderNeterTimbre(getSetting('neterTimbres')[state.currentNeter.id]);
+    neterTimbreSelect.addEventListener('change', (e) => {
+      setNeterTimbre(state.currentNeter.id, e.target.value);
+      refreshPlayingVoice();
+    });
+  }
+
+  // Binaural toggle - save and rebuild the playing voice
+  if (binauralCheckbox) {
+    binauralCheckbox.addEventListener('change', (e) => {
+      updateSetting('binaural', e.target.checked);
+      refreshSpatialMode();
+      refreshPlayingVoice();
+    });
+  }
+
+  // Spatial audio - the panner is on the tone bus, so no voice rebuild needed
+  if (spatialCheckbox) {
+    spatialCheckbox.addEventListener('change', (e) => {
+      updateSetting('spatial', e.target.checked);
+      refreshSpatialMode();
+    });
+  }
+
+  // Binaural beat offset - live label while dragging, apply on release
+  if (binauralBeatSlider) {
+    binauralBeatSlider.addEventListener('input', (e) => {
+      renderBinauralBeatValue(parseFloat(e.target.value));
+    });
+    binauralBeatSlider.addEventListener('change', (e) => {
+      updateSetting('binauralBeat', parseFloat(e.target.value));
+      if (getSetting('binaural')) refreshPlayingVoice();
+    });
+  }
+
+  // Isochronic pulses - every change rebuilds the playing voice, and the
+  // new voice picks the rate glide up where the session is
+  renderIsochronicOptions(ISOCHRONIC_SHAPES, ISOCHRONIC_RAMP_MINUTES);
+  if (isochronicCheckbox) {
+    isochronicCheckbox.addEventListener('change', (e) => {
+      updateSetting('isochronic', e.target.checked);
+      refreshPlayingVoice();
+    });
+  }
+  [
+    [isochronicRateSlider, isochronicRateValue, 'isochronicRate'],
+    [isochronicEndRateSlider, isochronicEndRateValue, 'isochronicEndRate']
+  ].forEach(([slider, label, key]) => {
+    if (!slider) return;
+    slider.addEventListener('input', (e) => {
+      renderPulseRateValue(label, parseFloat(e.target.value));
+    });
+    slider.addEventListener('change', (e) => {
+      updateSetting(key, parseFloat(e.target.value));
+      if (getSetting('isochronic')) refreshPlayingVoice();
+    });
+  });
+  if (isochronicShapeSelect) {
+    isochronicShapeSelect.addEventListener('change', (e) => {
+      updateSetting('isochronicShape', e.target.value);
+      if (getSetting('isochronic')) refreshPlayingVoice();
+    });
+  }
+  if (isochronicRampCheckbox) {
+    isochronicRampCheckbox.addEventListener('change', (e) => {
+      updateSetting('isochronicRamp', e.target.checked);
+      if (getSetting('isochronic')) refreshPlayingVoice();
+    });
+  }
+  if (isochronicMinutesSelect) {
+    isochronicMinutesSelect.addEventListener('change', (e) => {
+      updateSetting('isochronicRampMinutes', parseInt(e.target.value, 10));
+      if (getSetting('isochronic')) refreshPlayingVoice();
+    });
+  }
+
+  // Soundscape beds - live level while dragging, persist on release
+  bedSliders.forEach((slider) => {
+    const bedId = slider.dataset.bed;
+    slider.addEventListener('input', (e) => {
+      const level = parseInt(e.target.value, 10);
+      renderBedValue(bedId, level);
+      setSoundscapeLevel(bedId, level);
+    });
+    slider.addEventListener('change', (e) => {
+      updateSoundscapeLevel(bedId, parseInt(e.target.value, 10));
+    });
+  });
+
   // Reduce visual effects toggle - save and apply immediately
   if (reduceEffectsCheckbox) {
     reduceEffectsCheckbox.addEventListener('change', (e) => {
@@ -989,143 +3064,76 @@ export const wireUpEvents = () => {
     });
   }
 
-  // Export journal button - opens printable HTML for PDF export
+  // Backup and restore
+  const backupBtn = document.getElementById('settings-backup');
+  if (backupBtn) {
+    backupBtn.addEventListener('click', handleBackup);
+  }
+
+  const restoreBtn = document.getElementById('settings-restore');
+  const restoreInput = document.getElementById('settings-restore-input');
+  if (restoreBtn && restoreInput) {
+    restoreBtn.addEventListener('click', () => restoreInput.click());
+    restoreInput.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) handleRestoreFile(file);
+      e.target.value = '';
+    });
+  }
+
+  const restoreMergeBtn = document.getElementById('restore-merge');
+  if (restoreMergeBtn) {
+    restoreMergeBtn.addEventListener('click', () => handleRestore('merge'));
+  }
+  const restoreReplaceBtn = document.getElementById('restore-replace');
+  if (restoreReplaceBtn) {
+    restoreReplaceBtn.addEventListener('click', () => handleRestore('replace'));
+  }
+  const closeRestoreBtn = document.getElementById('close-restore');
+  if (closeRestoreBtn) {
+    closeRestoreBtn.addEventListener('click', handleCloseRestore);
+  }
+  console.log('✓ Backup & restore');
+
+  // Private journal
+  renderJournalLockOptions(JOURNAL_LOCK_MINUTES);
+  const journalEncryptBtn = document.getElementById('settings-journal-encrypt');
+  if (journalEncryptBtn) {
+    journalEncryptBtn.addEventListener('click', handleJournalEncryption);
+  }
+  if (journalLockMinutesSelect) {
+    journalLockMinutesSelect.addEventListener('change', (e) => {
+      updateSetting('journalLockMinutes', parseInt(e.target.value, 10));
+      touchVault();
+    });
+  }
+  const journalLockBtn = document.getElementById('journal-lock-btn');
+  if (journalLockBtn) {
+    journalLockBtn.addEventListener('click', handleJournalLockButton);
+  }
+  const vaultForm = document.getElementById('vault-form');
+  if (vaultForm) {
+    vaultForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      handleVaultSubmit();
+    });
+  }
+  const closeVaultBtn = document.getElementById('close-vault');
+  if (closeVaultBtn) {
+    closeVaultBtn.addEventListener('click', handleCloseVault);
+  }
+  // Tapping a locked entry in the journal list
+  window.addEventListener('unlockJournal', ensureUnlocked);
+  console.log('✓ Private journal');
+
+  // Export journal in the chosen format
+  renderJournalExportOptions(JOURNAL_EXPORT_FORMATS, Object.values(PAUTTI_NETERU));
   const exportBtn = document.getElementById('settings-export-journal');
   if (exportBtn) {
     exportBtn.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      
-      const entries = JSON.parse(localStorage.getItem('kemetic_journals') || '[]');
-      
-      if (entries.length === 0) {
-        alert('No journal entries to export.');
-        return;
-      }
-      
-      // Format entries for display
-      const formatDate = (dateStr) => {
-        try {
-          return new Date(dateStr).toLocaleString();
-        } catch {
-          return dateStr;
-        }
-      };
-      
-      const entriesHtml = entries.map(entry => `
-        <div class="entry">
-          <div class="entry-header">
-            <span class="entry-type">${entry.type === 'audio' ? '🎤 Voice' : '✍️ Written'}</span>
-            <span class="entry-neter">${entry.neterName || 'General'}</span>
-            <span class="entry-date">${formatDate(entry.date)}</span>
-          </div>
-          <div class="entry-text">${entry.text}</div>
-        </div>
-      `).reverse().join('');
-      
-      // Create styled HTML document
-      const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>Neteru Journal Export - ${new Date().toLocaleDateString()}</title>
-  <style>
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body {
-      font-family: 'Georgia', serif;
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 2rem;
-      color: #1a1a2e;
-      line-height: 1.6;
-    }
-    h1 {
-      text-align: center;
-      color: #b8860b;
-      margin-bottom: 0.5rem;
-      font-size: 2rem;
-    }
-    .subtitle {
-      text-align: center;
-      color: #666;
-      margin-bottom: 2rem;
-      font-size: 0.9rem;
-    }
-    .entry {
-      border: 1px solid #ddd;
-      border-radius: 8px;
-      padding: 1rem;
-      margin-bottom: 1rem;
-      page-break-inside: avoid;
-    }
-    .entry-header {
-      display: flex;
-      justify-content: space-between;
-      flex-wrap: wrap;
-      gap: 0.5rem;
-      margin-bottom: 0.75rem;
-      font-size: 0.85rem;
-      color: #666;
-      border-bottom: 1px solid #eee;
-      padding-bottom: 0.5rem;
-    }
-    .entry-neter {
-      color: #b8860b;
-      font-weight: bold;
-    }
-    .entry-text {
-      white-space: pre-wrap;
-      font-size: 1rem;
-    }
-    .no-print { margin-top: 2rem; text-align: center; }
-    .no-print button {
-      background: #b8860b;
-      color: white;
-      border: none;
-      padding: 0.75rem 2rem;
-      font-size: 1rem;
-      border-radius: 8px;
-      cursor: pointer;
-      margin: 0 0.5rem;
-    }
-    .no-print button:hover { background: #9a7209; }
-    @media print {
-      .no-print { display: none; }
-      body { padding: 1rem; }
-    }
-    @page {
-      size: auto;
-      margin: 10mm;
-    }
-  </style>
-</head>
-<body>
-  <h1>Neteru Journal</h1>
-  <p class="subtitle">Exported on ${new Date().toLocaleString()} • ${entries.length} entries</p>
-  ${entriesHtml}
-  <div class="no-print">
-    <p style="font-size: 0.85rem; color: #888; margin-bottom: 1rem;">
-      💡 Tip: In the print dialog, uncheck "Headers and footers" to remove URL/date from PDF
-    </p>
-    <button onclick="window.print()">📄 Save as PDF</button>
-    <button onclick="window.close()">✕ Close</button>
-  </div>
-</body>
-</html>`;
-      
-      // Create Blob URL for cleaner print (not about:blank)
-      const blob = new Blob([html], { type: 'text/html' });
-      const blobUrl = URL.createObjectURL(blob);
-      const printWindow = window.open(blobUrl, '_blank');
-      if (printWindow) {
-        console.log('📥 Journal export opened for PDF export');
-        // Clean up blob URL after window closes
-        printWindow.onafterprint = () => URL.revokeObjectURL(blobUrl);
-      } else {
-        URL.revokeObjectURL(blobUrl);
-        alert('Please allow popups to export your journal.');
-      }
+      handleExportJournal();
     });
   }
 
@@ -1134,7 +3142,7 @@ export const wireUpEvents = () => {
   let clearJournalConfirmPending = false;
   
   if (clearJournalBtn) {
-    clearJournalBtn.addEventListener('click', (e) => {
+    clearJournalBtn.addEventListener('click', async (e) => {
       e.preventDefault();
       e.stopPropagation();
       
@@ -1154,12 +3162,12 @@ export const wireUpEvents = () => {
         }, 3000);
       } else {
         console.log('🗑️ Clearing journal entries');
-        localStorage.removeItem('kemetic_journals');
         clearJournalConfirmPending = false;
+        await clearJournals();
         clearJournalBtn.innerHTML = '✓ Journal cleared';
         clearJournalBtn.style.background = 'rgba(0, 200, 100, 0.2)';
         clearJournalBtn.style.borderColor = 'rgba(0, 200, 100, 0.4)';
-        renderJournalEntries([]);
+        await refreshJournal();
         setTimeout(() => {
           clearJournalBtn.innerHTML = '🗑️ Clear Journal Entries';
           clearJournalBtn.style.background = '';
@@ -1174,7 +3182,7 @@ export const wireUpEvents = () => {
   let clearPracticeConfirmPending = false;
   
   if (clearPracticeBtn) {
-    clearPracticeBtn.addEventListener('click', (e) => {
+    clearPracticeBtn.addEventListener('click', async (e) => {
       e.preventDefault();
       e.stopPropagation();
       
@@ -1194,8 +3202,8 @@ export const wireUpEvents = () => {
         }, 3000);
       } else {
         console.log('🗑️ Clearing practice log');
-        localStorage.removeItem('kemetic_practices');
         clearPracticeConfirmPending = false;
+        await clearSessions();
         clearPracticeBtn.innerHTML = '✓ Practice log cleared';
         clearPracticeBtn.style.background = 'rgba(0, 200, 100, 0.2)';
         clearPracticeBtn.style.borderColor = 'rgba(0, 200, 100, 0.4)';
@@ -1214,7 +3222,7 @@ export const wireUpEvents = () => {
   let clearDataConfirmPending = false;
   
   if (clearDataBtn) {
-    clearDataBtn.addEventListener('click', (e) => {
+    clearDataBtn.addEventListener('click', async (e) => {
       e.preventDefault();
       e.stopPropagation();
       
@@ -1237,13 +3245,10 @@ export const wireUpEvents = () => {
       } else {
         // Second click - actually clear data
         console.log('🗑️ Confirmed - clearing all data');
-        localStorage.removeItem('kemetic_journals');
-        localStorage.removeItem('kemetic_practices');
-        localStorage.removeItem('kemetic_last_neter');
-        localStorage.removeItem('neteru-settings-v1');
+        clearDataConfirmPending = false;
+        await clearAllData();
         localStorage.removeItem('tol_hasVisited');
         localStorage.removeItem('tol_theme');
-        localStorage.removeItem('tol_volume');
         window.location.reload();
       }
     });
@@ -1254,6 +3259,24 @@ export const wireUpEvents = () => {
   if (saveJournalBtn) {
     saveJournalBtn.addEventListener('click', handleSaveJournal);
   }
+  renderJournalMoodOptions(MOOD_LEVELS);
+
+  // Journal search and filters (re-rank the list already in memory)
+  renderJournalFilterOptions(Object.values(PAUTTI_NETERU), JOURNAL_TYPES);
+  const journalSearch = document.getElementById('journal-search');
+  if (journalSearch) {
+    journalSearch.addEventListener('input', renderJournalListing);
+  }
+  document.querySelectorAll('.journal-filters select, .journal-filters input').forEach((filter) => {
+    filter.addEventListener('change', renderJournalListing);
+  });
+  const clearFiltersBtn = document.getElementById('journal-filter-clear');
+  if (clearFiltersBtn) {
+    clearFiltersBtn.addEventListener('click', () => {
+      resetJournalFilters();
+      renderJournalListing();
+    });
+  }
 
   // Backdrop click
   const modalBackdrop = document.getElementById('backdrop');
@@ -1447,6 +3470,69 @@ export const wireUpEvents = () => {
     console.log('✓ Journal panel close button');
   }
 
+  // Guided journey controls
+  const journeyPauseBtn = document.getElementById('journey-pause-btn');
+  if (journeyPauseBtn) {
+    journeyPauseBtn.addEventListener('click', () => {
+      if (!activeJourney) return;
+      if (activeJourney.paused) {
+        handleResumeJourney();
+      } else {
+        handlePauseJourney();
+      }
+    });
+  }
+
+  const journeySkipBtn = document.getElementById('journey-skip-btn');
+  if (journeySkipBtn) {
+    journeySkipBtn.addEventListener('click', handleSkipJourneySegment);
+  }
+
+  const journeyStopBtn = document.getElementById('journey-stop-btn');
+  if (journeyStopBtn) {
+    journeyStopBtn.addEventListener('click', handleStopJourney);
+  }
+
+  const journeyImportBtn = document.getElementById('journey-import-btn');
+  const journeyImportInput = document.getElementById('journey-import-input');
+  if (journeyImportBtn && journeyImportInput) {
+    journeyImportBtn.addEventListener('click', () => journeyImportInput.click());
+    journeyImportInput.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) handleImportJourney(file);
+      e.target.value = '';
+    });
+    console.log('✓ Journey controls');
+  }
+
+  const chordStopBtn = document.getElementById('chord-stop-btn');
+  if (chordStopBtn) {
+    chordStopBtn.addEventListener('click', () => handleStopSound());
+  }
+
+  // Audio export
+  const exportSource = document.getElementById('export-source');
+  if (exportSource) {
+    exportSource.addEventListener('change', refreshExportOptions);
+  }
+  const exportWavBtn = document.getElementById('export-wav-btn');
+  if (exportWavBtn) {
+    exportWavBtn.addEventListener('click', handleExportAudio);
+    console.log('✓ Audio export');
+  }
+
+  // Lock screen, notification and headphone media keys
+  initMediaSession({
+    play: () => {
+      if (!state.isPlaying) handlePlayPause();
+    },
+    pause: () => {
+      if (state.isPlaying) handlePlayPause();
+    },
+    nexttrack: handleNextNeter,
+    previoustrack: handlePrevNeter
+  });
+
   // Navigation arrows
   const nextBtn = document.getElementById('next-neter-btn');
   if (nextBtn) {
@@ -1465,9 +3551,12 @@ export const wireUpEvents = () => {
       if (isSidePanelOpen()) {
         closeSidePanel();
       }
+      handleCloseVault();
       closeModal('journal');
       closeModal('log');
       closeModal('settings');
+      handleCloseCalibration();
+      handleCloseRestore();
       // Also close entry detail modal if open
       const entryModal = document.getElementById('entry-detail-modal');
       if (entryModal) entryModal.remove();
@@ -1475,12 +3564,67 @@ export const wireUpEvents = () => {
   });
 
   // Listen for journal entry deletion events from entry modal
-  window.addEventListener('deleteJournalEntry', (e) => {
+  window.addEventListener('deleteJournalEntry', async (e) => {
     const { entryId } = e.detail;
-    const updated = deleteJournalEntry(entryId);
-    renderJournalEntries(updated);
+    await deleteJournalEntry(entryId);
+    await refreshJournal();
     console.log('🗑️ Journal entry deleted and list refreshed');
   });
+
+  // ...and edits and restored versions from the same modal
+  window.addEventListener('editJournalEntry', (e) => {
+    handleEditJournalEntry(e.detail.entryId, e.detail);
+  });
+  window.addEventListener('restoreJournalRevision', (e) => {
+    handleRestoreJournalRevision(e.detail.entryId, e.detail.index);
+  });
+
+  // Other tabs: follow what they save, and hand audio between them
+  initTabSync({
+    settings: (changed) => {
+      applyAllSettings();
+      setThreeReducedEffects(getSetting('reduceEffects'));
+      if (timerSelect) timerSelect.value = getSetting('timerMinutes');
+      renderNeterTimbre(getSetting('neterTimbres')[state.currentNeter.id]);
+      if (settingsModal && settingsModal.classList.contains('visible')) {
+        loadSettingsIntoModal();
+      }
+      if (changed.includes('soundscape')) {
+        Object.entries(getSetting('soundscape')).forEach(([bedId, level]) => {
+          setSoundscapeLevel(bedId, level);
+        });
+      }
+      if (changed.includes('binaural') || changed.includes('spatial')) {
+        refreshSpatialMode();
+      }
+      if (changed.some((key) => VOICE_SETTINGS.includes(key))) {
+        refreshPlayingVoice();
+      }
+      console.log('🔀 Settings changed in another tab:', changed);
+    },
+    volume: (volume) => {
+      if (volumeSlider) volumeSlider.value = volume;
+    },
+    sessions: handleSessionsChanged,
+    journals: handleJournalsChanged,
+    journeys: handleJourneysChanged,
+    reset: handleDataReset,
+    audio: handleAudioMessage
+  });
+  announceAudio('hello');
+
+  const takeOverBtn = document.getElementById('tab-takeover-btn');
+  if (takeOverBtn) {
+    takeOverBtn.addEventListener('click', handleTakeOverAudio);
+  }
+
+  // Hand audio back when this tab closes, and remember the sphere of
+  // whichever tab the user comes back to
+  window.addEventListener('pagehide', releaseAudio);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) saveLastNeter(state.currentNeter.id);
+  });
+  console.log('✓ Tab sync');
 };
 
 // ============================================================================
@@ -1489,10 +3633,22 @@ export const wireUpEvents = () => {
 
 /**
  * Initialize the entire application
+ * @returns {Promise<void>}
  */
-export const init = () => {
+export const init = async () => {
   console.log('🌟 Initializing Neteru...');
 
+  // Open storage first: settings, volume and history all live there
+  await initStorage();
+
+  // Drop sessions past retention (their time is already in the rollups);
+  // nothing waits on it
+  compactHistory().then((removed) => {
+    if (removed.sessions || removed.dayRollups) {
+      console.log('🗜️ History compacted:', removed);
+    }
+  });
+
   // Apply saved settings immediately (reduce motion, reduce effects)
   applyAllSettings();
 
@@ -1507,7 +3663,7 @@ export const init = () => {
     // Determine starting neter:
     // - Returning user: load their last visited neter
     // - New user: start at sphere 0 (Amun-Nun)
-    const lastNeterId = loadLastNeter();
+    const lastNeterId = await loadLastNeter();
     let startingNeter;
     
     if (lastNeterId !== null) {
@@ -1522,7 +3678,8 @@ export const init = () => {
       saveLastNeter(0);
     }
     
-    state.currentNeter = startingNeter;
+    setState({ ...state, currentNeter: startingNeter });
+    customJourneys = await loadCustomJourneys();
     
     // Also get daily neter for banner display
     const daily = getDailyNeter();
@@ -1534,11 +3691,12 @@ export const init = () => {
     console.log('Rendering neter info...');
     renderNeterInfo(state.currentNeter);
     console.log('Rendering neter grid...');
-    renderNeterGrid(state.currentNeter.id, selectNeter);
+    renderChord();
     console.log('Rendering side panel...');
     renderSidePanel(state.currentNeter);
     console.log('Rendering side panel list...');
     renderSidePanelList(state.currentNeter.id, selectNeter);
+    refreshJourneyList();
     console.log('Updating buttons...');
     updatePlayButton(false);
     updateMuteButton(false);
@@ -1553,6 +3711,10 @@ export const init = () => {
         console.info('Running without THREE.js visualization');
       } else {
         console.log('✅ THREE.js scene initialized');
+        // Drive the Ankh from the live output signal
+        setThreeAudioSource(getAudioAnalysis);
+        // ...and let spatial audio follow the Ankh as it turns
+        setSpatialOrientationSource(getAnkhOrientation);
         // Apply saved reduce effects setting to Three.js
         const savedSettings = loadSettings();
         if (savedSettings.reduceEffects) {
@@ -1567,10 +3729,9 @@ export const init = () => {
     wireUpEvents();
     console.log('🔌 Events wired');
 
-    // Load and render journal entries
-    const journalEntries = loadJournals();
-    renderJournalEntries(journalEntries);
-    console.log('📔 Journal entries loaded:', journalEntries.length);
+    // Load and render journal entries (private ones start locked)
+    journalLock = await loadJournalLock();
+    console.log('📔 Journal entries loaded:', await refreshJournal());
 
     console.log('✨ Application ready');
   } catch (err) {
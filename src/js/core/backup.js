@@ -0,0 +1,498 @@
+/**
+ * CORE/BACKUP.JS
+ * Backup file format, validation and restore planning.
+ * No side effects, no mutations, no I/O.
+ *
+ * A backup is one JSON file with everything the user keeps:
+ * { format, version, createdAt, data: { sessions, rollups, journals,
+ *   journeys, settings, volume, lastNeter, theme, journalLock } }
+ * Restoring either merges the file's history into what is here or replaces
+ * everything with the file's contents. Private journal entries travel as
+ * ciphertext together with the lock record needed to unlock them.
+ */
+
+import { PAUTTI_NETERU, getChordName, isValidNeterId, isSealedEntry } from './pure.js';
+import { getJourneyErrors } from './journeys.js';
+import { isMoodLevel } from './journal.js';
+import {
+  ROLLUP_PERIODS,
+  buildRollups,
+  countSessions,
+  getCompactedRollups,
+  getHistoryTotals
+} from './history.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const BACKUP_FORMAT = 'tree-of-life-backup';
+export const BACKUP_VERSION = 1;
+
+const THEMES = ['light', 'dark'];
+const MAX_ERRORS_PER_LIST = 3; // Enough to see what's wrong without a wall of text
+
+// Record lists a backup carries, with the label used in messages
+const BACKUP_LISTS = [
+  { key: 'sessions', label: 'Practice log entry' },
+  { key: 'journals', label: 'Journal entry' },
+  { key: 'journeys', label: 'Journey' }
+];
+
+// ============================================================================
+// CREATING BACKUPS
+// ============================================================================
+
+/**
+ * Wrap the user's data in the versioned backup format
+ * @param {Object} data - { sessions, rollups, journals, journeys, settings,
+ *   volume, lastNeter, theme, journalLock }
+ * @param {Date} [date] - When the backup is made
+ * @returns {Object} Backup object, ready for JSON.stringify
+ */
+export const createBackup = (data, date = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: date.toISOString(),
+  data: {
+    sessions: data.sessions || [],
+    rollups: data.rollups || [],
+    journals: data.journals || [],
+    journeys: data.journeys || [],
+    settings: data.settings ?? null,
+    volume: data.volume ?? null,
+    lastNeter: data.lastNeter ?? null,
+    theme: data.theme ?? null,
+    journalLock: data.journalLock ?? null
+  }
+});
+
+/**
+ * Build a download filename for a backup
+ * @param {Date} [date] - When the backup is made
+ * @returns {string} e.g. "tree-of-life-backup-2026-10-19.json"
+ */
+export const getBackupFilename = (date = new Date()) =>
+  `tree-of-life-backup-${date.toISOString().slice(0, 10)}.json`;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Problems with one session record
+ * @param {*} session - Record to check
+ * @returns {string[]} Error messages (without the entry label)
+ */
+const getSessionErrors = (session) => {
+  const errors = [];
+  if (typeof session.id !== 'number') errors.push('"id" must be a number.');
+  if (typeof session.duration !== 'number' || session.duration < 0) {
+    errors.push('"duration" must be a number of seconds.');
+  }
+  if (typeof session.date !== 'string') errors.push('"date" must be a date string.');
+  if (!isValidNeterId(session.neterId)) errors.push('"neterId" must be a sphere number 0-10.');
+  if (
+    session.chordNeterIds !== undefined &&
+    !(Array.isArray(session.chordNeterIds) && session.chordNeterIds.length > 0 &&
+      session.chordNeterIds.every(isValidNeterId))
+  ) {
+    errors.push('"chordNeterIds" must be a list of sphere numbers 0-10.');
+  }
+  if (session.journeyName !== undefined && typeof session.journeyName !== 'string') {
+    errors.push('"journeyName" must be a string.');
+  }
+  if (session.timerMinutes != null && typeof session.timerMinutes !== 'number') {
+    errors.push('"timerMinutes" must be a number.');
+  }
+  if (session.resonanceScore != null && typeof session.resonanceScore !== 'number') {
+    errors.push('"resonanceScore" must be a number.');
+  }
+  return errors;
+};
+
+/**
+ * Whether a value looks like ciphertext from the journal vault
+ * @param {*} sealed - { salt, iterations, iv, data }
+ * @returns {boolean}
+ */
+const isSealedValue = (sealed) =>
+  typeof sealed.salt === 'string' &&
+  Number.isInteger(sealed.iterations) &&
+  sealed.iterations > 0 &&
+  typeof sealed.iv === 'string' &&
+  typeof sealed.data === 'string';
+
+/**
+ * Whether a value is a journal lock record
+ * @param {*} lock - { salt, iterations, check: { iv, data } }
+ * @returns {boolean}
+ */
+const isJournalLock = (lock) =>
+  Boolean(lock) &&
+  typeof lock === 'object' &&
+  Boolean(lock.check) &&
+  isSealedValue({ ...lock.check, salt: lock.salt, iterations: lock.iterations });
+
+/**
+ * Whether a value is a journal entry's list of earlier versions, each
+ * plain or sealed
+ * @param {*} revisions - [{ date, text }] or [{ date, encrypted }]
+ * @returns {boolean}
+ */
+const isRevisionList = (revisions) =>
+  Array.isArray(revisions) &&
+  revisions.every(
+    (revision) =>
+      Boolean(revision) &&
+      typeof revision.date === 'string' &&
+      (typeof revision.text === 'string' ||
+        (Boolean(revision.encrypted) && isSealedValue(revision.encrypted)))
+  );
+
+/**
+ * Problems with one journal record
+ * @param {*} entry - Record to check
+ * @returns {string[]} Error messages (without the entry label)
+ */
+const getJournalErrors = (entry) => {
+  const errors = [];
+  if (typeof entry.id !== 'number') errors.push('"id" must be a number.');
+  if (entry.encrypted !== undefined) {
+    if (!isSealedEntry(entry) || !isSealedValue(entry.encrypted)) {
+      errors.push('"encrypted" must hold salt, iterations, iv and data.');
+    }
+  } else if (typeof entry.text !== 'string') {
+    errors.push('"text" must be a string.');
+  }
+  if (typeof entry.date !== 'string') errors.push('"date" must be a date string.');
+  if (
+    entry.encryptedDetails !== undefined &&
+    !(entry.encrypted !== undefined && Boolean(entry.encryptedDetails) &&
+      isSealedValue(entry.encryptedDetails))
+  ) {
+    errors.push('"encryptedDetails" must hold salt, iterations, iv and data, beside "encrypted".');
+  }
+  if (entry.revisions !== undefined && !isRevisionList(entry.revisions)) {
+    errors.push('"revisions" must list { date, text } or { date, encrypted } versions.');
+  }
+  if (
+    entry.tags !== undefined &&
+    !(Array.isArray(entry.tags) && entry.tags.every((tag) => typeof tag === 'string'))
+  ) {
+    errors.push('"tags" must be a list of strings.');
+  }
+  if (entry.mood !== undefined && entry.mood !== null && !isMoodLevel(entry.mood)) {
+    errors.push('"mood" must be 1-5 or null.');
+  }
+  return errors;
+};
+
+/**
+ * Problems with one practice rollup
+ * @param {*} rollup - Record to check
+ * @returns {string[]} Error messages (without the entry label)
+ */
+const getRollupErrors = (rollup) => {
+  const errors = [];
+  if (typeof rollup.id !== 'string') errors.push('"id" must be a string.');
+  if (!ROLLUP_PERIODS.includes(rollup.period)) {
+    errors.push(`"period" must be ${ROLLUP_PERIODS.join(', ')}.`);
+  }
+  if (typeof rollup.key !== 'string') errors.push('"key" must be a string.');
+  if (!Number.isInteger(rollup.sessions) || rollup.sessions < 0) {
+    errors.push('"sessions" must be a count.');
+  }
+  if (typeof rollup.seconds !== 'number' || rollup.seconds < 0) {
+    errors.push('"seconds" must be a number of seconds.');
+  }
+  if (typeof rollup.firstDate !== 'string' || typeof rollup.lastDate !== 'string') {
+    errors.push('"firstDate" and "lastDate" must be date strings.');
+  }
+  if (
+    rollup.merged !== undefined &&
+    !(Array.isArray(rollup.merged) && rollup.merged.every((entry) => typeof entry === 'string'))
+  ) {
+    errors.push('"merged" must be a list of strings.');
+  }
+  return errors;
+};
+
+/**
+ * Problems with one saved journey
+ * @param {*} journey - Record to check
+ * @returns {string[]} Error messages (without the entry label)
+ */
+const getSavedJourneyErrors = (journey) => {
+  const errors = typeof journey.id === 'string' && journey.id ? [] : ['"id" must be a string.'];
+  return [...errors, ...getJourneyErrors(journey)];
+};
+
+const RECORD_CHECKS = {
+  sessions: getSessionErrors,
+  rollups: getRollupErrors,
+  journals: getJournalErrors,
+  journeys: getSavedJourneyErrors
+};
+
+/**
+ * Validate a parsed backup file
+ * @param {*} backup - Parsed JSON to check
+ * @returns {string[]} Human-readable error messages (empty if valid)
+ */
+export const getBackupErrors = (backup) => {
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return ['Backup must be a JSON object.'];
+  }
+  if (backup.format !== BACKUP_FORMAT) {
+    return ['This file is not a Tree of Life backup.'];
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return ['Backup has no valid "version".'];
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return ['This backup was made by a newer version of the app. Update and try again.'];
+  }
+
+  const data = backup.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Backup has no "data" section.'];
+  }
+
+  const errors = [];
+
+  // Rollups are optional: backups made before them are rebuilt from sessions
+  const lists = data.rollups === undefined
+    ? BACKUP_LISTS
+    : [...BACKUP_LISTS, { key: 'rollups', label: 'Practice total' }];
+
+  lists.forEach(({ key, label }) => {
+    const records = data[key];
+    if (!Array.isArray(records)) {
+      errors.push(`"${key}" must be an array.`);
+      return;
+    }
+
+    const listErrors = [];
+    records.forEach((record, index) => {
+      const recordErrors =
+        record && typeof record === 'object' && !Array.isArray(record)
+          ? RECORD_CHECKS[key](record)
+          : ['must be an object.'];
+      recordErrors.forEach((message) => listErrors.push(`${label} ${index + 1}: ${message}`));
+    });
+
+    errors.push(...listErrors.slice(0, MAX_ERRORS_PER_LIST));
+    if (listErrors.length > MAX_ERRORS_PER_LIST) {
+      errors.push(`...and ${listErrors.length - MAX_ERRORS_PER_LIST} more problems in "${key}".`);
+    }
+  });
+
+  // Profile values are optional; missing means "not backed up"
+  const { settings = null, volume = null, lastNeter = null, theme = null, journalLock = null } = data;
+  if (settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+    errors.push('"settings" must be an object.');
+  }
+  if (volume !== null && (typeof volume !== 'number' || volume < 0 || volume > 100)) {
+    errors.push('"volume" must be 0-100.');
+  }
+  if (lastNeter !== null && !isValidNeterId(lastNeter)) {
+    errors.push('"lastNeter" must be a sphere number 0-10.');
+  }
+  if (theme !== null && !THEMES.includes(theme)) {
+    errors.push(`"theme" must be ${THEMES.join(' or ')}.`);
+  }
+  if (journalLock !== null && !isJournalLock(journalLock)) {
+    errors.push('"journalLock" must hold salt, iterations and check.');
+  }
+  // Without the lock, private entries could never be opened again
+  if (
+    journalLock === null &&
+    Array.isArray(data.journals) &&
+    data.journals.some(isSealedEntry)
+  ) {
+    errors.push('Backup has private journal entries but no "journalLock" to open them.');
+  }
+
+  return errors;
+};
+
+// ============================================================================
+// PREVIEW
+// ============================================================================
+
+/**
+ * What a valid backup holds, for the restore preview
+ * @param {Object} backup - Backup that passed getBackupErrors
+ * @returns {Object} { createdAt, sessions, journals, sealedJournals, journeys,
+ *   practiceSeconds, firstDate, lastDate, hasSettings, volume, lastNeter, theme }
+ */
+export const summarizeBackup = (backup) => {
+  const { data } = backup;
+  const dates = [...data.sessions, ...data.journals]
+    .map((record) => record.date)
+    .sort();
+
+  return {
+    createdAt: backup.createdAt || null,
+    sessions: data.sessions.length,
+    journals: data.journals.length,
+    sealedJournals: data.journals.filter(isSealedEntry).length,
+    journeys: data.journeys.length,
+    // Monthly rollups still count sessions the file's history compacted away
+    practiceSeconds: data.rollups
+      ? getHistoryTotals(data.rollups.filter((rollup) => rollup.period === 'month')).seconds
+      : data.sessions.reduce((sum, session) => sum + session.duration, 0),
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+    hasSettings: Boolean(data.settings),
+    volume: data.volume ?? null,
+    lastNeter: data.lastNeter ?? null,
+    theme: data.theme ?? null
+  };
+};
+
+// ============================================================================
+// RESTORE PLANNING
+// ============================================================================
+
+/**
+ * A backup's session as it is restored: the sphere name is worked out from
+ * neterId (or the chord's spheres) rather than taken from the file
+ * @param {Object} session - Session that passed validation
+ * @returns {Object} Session
+ */
+const restoreSession = (session) => ({
+  ...session,
+  neterName: session.chordNeterIds
+    ? getChordName(session.chordNeterIds.map((id) => PAUTTI_NETERU[id]))
+    : PAUTTI_NETERU[session.neterId].name
+});
+
+/**
+ * Whether two records hold the same data (key order ignored)
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {boolean}
+ */
+const isSameRecord = (a, b) => {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]))
+  );
+};
+
+/**
+ * Next ID not in use: timestamps count up, text IDs get a numbered suffix
+ * @param {number|string} id - Colliding ID
+ * @param {Map} taken - Records by ID
+ * @returns {number|string} Free ID
+ */
+const getFreeId = (id, taken) => {
+  if (typeof id === 'number') {
+    let next = id + 1;
+    while (taken.has(next)) next += 1;
+    return next;
+  }
+  let suffix = 2;
+  while (taken.has(`${id}-${suffix}`)) suffix += 1;
+  return `${id}-${suffix}`;
+};
+
+/**
+ * Fold incoming records into existing ones by ID.
+ * A record whose ID is already taken by identical data is a duplicate (the
+ * same backup restored twice) and is skipped; one whose ID is taken by
+ * different data gets the next free ID, so neither entry is lost.
+ * @param {Object[]} existing - Records already stored
+ * @param {Object[]} incoming - Records from the backup
+ * @returns {Object} { added, duplicates, renamed } - added are the records to write
+ */
+export const mergeRecords = (existing, incoming) => {
+  const taken = new Map(existing.map((record) => [record.id, record]));
+  const added = [];
+  let duplicates = 0;
+  let renamed = 0;
+
+  incoming.forEach((record) => {
+    const match = taken.get(record.id);
+    if (match && isSameRecord(match, record)) {
+      duplicates += 1;
+      return;
+    }
+
+    const entry = match ? { ...record, id: getFreeId(record.id, taken) } : record;
+    if (match) renamed += 1;
+    taken.set(entry.id, entry);
+    added.push(entry);
+  });
+
+  return { added, duplicates, renamed };
+};
+
+/**
+ * Work out what a restore writes.
+ * Merge adds the backup's history to the current data and leaves settings,
+ * volume, theme and last sphere alone. Replace clears everything first and
+ * restores those too.
+ * The journal lock comes along whenever the file's private entries would
+ * otherwise have no lock to open them: always on replace, and on merge when
+ * this browser has none. A merge into a browser with its own lock keeps that
+ * lock; entries sealed under the other one still open if both passphrases
+ * are the same.
+ * Practice rollups follow the sessions: replace takes the file's (or counts
+ * them if the file has none); merge counts the sessions it adds, and adds
+ * the time the file had already compacted onto the totals here.
+ * @param {Object} current - Current data, same shape as backup.data
+ * @param {Object} backup - Backup that passed getBackupErrors
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Object} { replace, records: { sessions, journals, journeys, rollups },
+ *   profile: { settings, volume, lastNeter, theme } | null,
+ *   journalLock: lock to store, or null to leave it as it is,
+ *   report: { added: { sessions, journals, journeys }, duplicates, renamed } }
+ */
+export const planRestore = (current, backup, mode) => {
+  const replace = mode === 'replace';
+  const data = { ...backup.data, sessions: backup.data.sessions.map(restoreSession) };
+  const merged = Object.fromEntries(
+    BACKUP_LISTS.map(({ key }) => [
+      key,
+      // Replacing still runs the merge, so colliding IDs inside the file survive
+      mergeRecords(replace ? [] : current[key], data[key])
+    ])
+  );
+  const { settings = null, volume = null, lastNeter = null, theme = null } = data;
+  const journalLock = replace || !current.journalLock ? data.journalLock ?? null : null;
+
+  let rollups;
+  if (replace) {
+    rollups = data.rollups || buildRollups(data.sessions);
+  } else {
+    const compacted = getCompactedRollups(
+      current.rollups,
+      data.rollups || [],
+      data.sessions
+    );
+    const counted = countSessions([...current.rollups, ...compacted], merged.sessions.added);
+    const countedIds = new Set(counted.map((rollup) => rollup.id));
+    rollups = [...compacted.filter((rollup) => !countedIds.has(rollup.id)), ...counted];
+  }
+
+  return {
+    replace,
+    records: {
+      ...Object.fromEntries(Object.entries(merged).map(([key, result]) => [key, result.added])),
+      rollups
+    },
+    profile: replace ? { settings, volume, lastNeter, theme } : null,
+    journalLock,
+    report: {
+      added: Object.fromEntries(
+        Object.entries(merged).map(([key, result]) => [key, result.added.length])
+      ),
+      duplicates: Object.values(merged).reduce((sum, result) => sum + result.duplicates, 0),
+      renamed: Object.values(merged).reduce((sum, result) => sum + result.renamed, 0)
+    }
+  };
+};
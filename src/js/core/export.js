@@ -0,0 +1,470 @@
+/**
+ * CORE/EXPORT.JS
+ * Journal export formats: a printable page, Markdown, JSON, CSV and a zip of
+ * Markdown notes for note-taking vaults.
+ * No side effects, no mutations, no I/O.
+ *
+ * Every format takes the entries picked by filterExportEntries (oldest
+ * first) and shows their current text. Sealed private entries keep their
+ * ciphertext in JSON and are only marked as encrypted elsewhere; their tags
+ * and mood are sealed with the text.
+ */
+
+import { isSealedEntry } from './pure.js';
+import { createZip } from './zip.js';
+import {
+  EMPTY_JOURNAL_FILTERS,
+  matchesJournalFilters,
+  getEntryTags,
+  getEntryKind,
+  isMoodLevel
+} from './journal.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const JOURNAL_EXPORT_FORMATS = [
+  { id: 'print', name: 'Printable page (PDF)', extension: 'html', mime: 'text/html' },
+  { id: 'markdown', name: 'Markdown', extension: 'md', mime: 'text/markdown' },
+  { id: 'json', name: 'JSON', extension: 'json', mime: 'application/json' },
+  { id: 'csv', name: 'CSV (spreadsheet)', extension: 'csv', mime: 'text/csv' },
+  { id: 'vault', name: 'Markdown notes (.zip)', extension: 'zip', mime: 'application/zip' }
+];
+
+export const JOURNAL_EXPORT_FORMAT = 'tree-of-life-journal';
+export const JOURNAL_EXPORT_VERSION = 1;
+
+const EXPORT_TITLE = 'Neteru Journal';
+const VAULT_FOLDER = 'neteru-journal';
+const SEALED_NOTE = 'Encrypted entry. Export with "Decrypt private entries" ticked to include its text.';
+
+const CSV_COLUMNS = [
+  'id',
+  'date',
+  'editedAt',
+  'neterId',
+  'neterName',
+  'type',
+  'mood',
+  'tags',
+  'text',
+  'encrypted'
+];
+const CSV_BOM = '\ufeff'; // So spreadsheet apps read the file as UTF-8
+
+const KIND_LABELS = { written: '✍️ Written', voice: '🎤 Voice' };
+
+// ============================================================================
+// PICKING ENTRIES
+// ============================================================================
+
+/**
+ * Entries within the export's sphere and date range
+ * @param {Object[]} entries - Journal entries
+ * @param {Object} range - { neterId: number|null, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+ * @returns {Object[]} Matching entries, oldest first
+ */
+export const filterExportEntries = (entries, { neterId = null, from = '', to = '' } = {}) => {
+  const filters = { ...EMPTY_JOURNAL_FILTERS, neterId, from, to };
+  return entries
+    .filter((entry) => matchesJournalFilters(entry, filters))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+};
+
+/**
+ * One line saying what an export covers
+ * @param {Object} range - { neterName, from, to }, any of them empty
+ * @returns {string} e.g. "Maat · 2024-12-01 to 2024-12-31", '' for everything
+ */
+export const describeExportRange = ({ neterName = '', from = '', to = '' } = {}) => {
+  let dates = '';
+  if (from && to) dates = `${from} to ${to}`;
+  else if (from) dates = `from ${from}`;
+  else if (to) dates = `up to ${to}`;
+  return [neterName, dates].filter(Boolean).join(' · ');
+};
+
+// ============================================================================
+// FORMATTING HELPERS
+// ============================================================================
+
+/**
+ * Local date and time for reading, independent of the browser's locale
+ * @param {string|Date} value - ISO 8601 date or Date
+ * @returns {string} e.g. "2024-12-07 12:00", or the input if it isn't a date
+ */
+const formatExportDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date)) return String(value || '');
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+};
+
+/**
+ * Plural-aware entry count
+ * @param {number} count - Entries
+ * @returns {string} e.g. "1 entry", "12 entries"
+ */
+const countEntries = (count) => `${count} ${count === 1 ? 'entry' : 'entries'}`;
+
+/**
+ * Type, mood, tags and edit date of an entry on one line
+ * @param {Object} entry - Journal entry
+ * @returns {string} e.g. "✍️ Written · Mood 4/5 · #dream · edited 2024-12-08 09:30"
+ */
+const describeEntry = (entry) =>
+  [
+    KIND_LABELS[getEntryKind(entry)],
+    isMoodLevel(entry.mood) ? `Mood ${entry.mood}/5` : '',
+    getEntryTags(entry)
+      .map((tag) => `#${tag}`)
+      .join(' '),
+    entry.editedAt ? `edited ${formatExportDate(entry.editedAt)}` : ''
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// ============================================================================
+// PRINTABLE PAGE
+// ============================================================================
+
+/**
+ * Standalone HTML page for printing or saving as PDF
+ * @param {Object[]} entries - From filterExportEntries()
+ * @param {Object} [options] - { scope: describeExportRange(), exportedAt: Date }
+ * @returns {string} HTML document
+ */
+export const createJournalHtml = (entries, { scope = '', exportedAt = new Date() } = {}) => {
+  const entriesHtml = entries
+    .map(
+      (entry) => `
+    <div class="entry">
+      <div class="entry-header">
+        <span class="entry-type">${escapeHtml(describeEntry(entry))}</span>
+        <span class="entry-neter">${escapeHtml(entry.neterName || 'General')}</span>
+        <span class="entry-date">${formatExportDate(entry.date)}</span>
+      </div>
+      ${
+        isSealedEntry(entry)
+          ? `<div class="entry-text entry-sealed">🔒 Encrypted entry\n${escapeHtml(entry.encrypted.data)}</div>`
+          : `<div class="entry-text">${escapeHtml(entry.text)}</div>`
+      }
+    </div>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${EXPORT_TITLE} Export - ${formatExportDate(exportedAt).slice(0, 10)}</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      font-family: 'Georgia', serif;
+      max-width: 800px;
+      margin: 0 auto;
+      padding: 2rem;
+      color: #1a1a2e;
+      line-height: 1.6;
+    }
+    h1 {
+      text-align: center;
+      color: #b8860b;
+      margin-bottom: 0.5rem;
+      font-size: 2rem;
+    }
+    .subtitle {
+      text-align: center;
+      color: #666;
+      margin-bottom: 2rem;
+      font-size: 0.9rem;
+    }
+    .entry {
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      padding: 1rem;
+      margin-bottom: 1rem;
+      page-break-inside: avoid;
+    }
+    .entry-header {
+      display: flex;
+      justify-content: space-between;
+      flex-wrap: wrap;
+      gap: 0.5rem;
+      margin-bottom: 0.75rem;
+      font-size: 0.85rem;
+      color: #666;
+      border-bottom: 1px solid #eee;
+      padding-bottom: 0.5rem;
+    }
+    .entry-neter {
+      color: #b8860b;
+      font-weight: bold;
+    }
+    .entry-text {
+      white-space: pre-wrap;
+      font-size: 1rem;
+    }
+    .entry-sealed {
+      font-family: monospace;
+      font-size: 0.75rem;
+      color: #888;
+      word-break: break-all;
+    }
+    .no-print { margin-top: 2rem; text-align: center; }
+    .no-print button {
+      background: #b8860b;
+      color: white;
+      border: none;
+      padding: 0.75rem 2rem;
+      font-size: 1rem;
+      border-radius: 8px;
+      cursor: pointer;
+      margin: 0 0.5rem;
+    }
+    .no-print button:hover { background: #9a7209; }
+    @media print {
+      .no-print { display: none; }
+      body { padding: 1rem; }
+    }
+    @page {
+      size: auto;
+      margin: 10mm;
+    }
+  </style>
+</head>
+<body>
+  <h1>${EXPORT_TITLE}</h1>
+  <p class="subtitle">Exported on ${formatExportDate(exportedAt)} • ${[
+    countEntries(entries.length),
+    escapeHtml(scope)
+  ]
+    .filter(Boolean)
+    .join(' • ')}</p>
+  ${entriesHtml}
+  <div class="no-print">
+    <p style="font-size: 0.85rem; color: #888; margin-bottom: 1rem;">
+      💡 Tip: In the print dialog, uncheck "Headers and footers" to remove URL/date from PDF
+    </p>
+    <button onclick="window.print()">📄 Save as PDF</button>
+    <button onclick="window.close()">✕ Close</button>
+  </div>
+</body>
+</html>`;
+};
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+/**
+ * An entry's body as Markdown
+ * @param {Object} entry - Journal entry
+ * @returns {string}
+ */
+const getEntryMarkdown = (entry) => (isSealedEntry(entry) ? `> 🔒 ${SEALED_NOTE}` : entry.text);
+
+/**
+ * The whole export as one Markdown document
+ * @param {Object[]} entries - From filterExportEntries()
+ * @param {Object} [options] - { scope: describeExportRange(), exportedAt: Date }
+ * @returns {string}
+ */
+export const createJournalMarkdown = (entries, { scope = '', exportedAt = new Date() } = {}) => {
+  const summary = [
+    `Exported ${formatExportDate(exportedAt)}`,
+    countEntries(entries.length),
+    scope
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+  const sections = entries.map(
+    (entry) =>
+      `## ${formatExportDate(entry.date)} · ${entry.neterName || 'General'}\n\n` +
+      `*${describeEntry(entry)}*\n\n` +
+      `${getEntryMarkdown(entry)}\n`
+  );
+  return [`# ${EXPORT_TITLE}\n\n${summary}\n`, ...sections].join('\n---\n\n');
+};
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+/**
+ * The export as JSON with every field of every entry (revisions and
+ * ciphertext included)
+ * @param {Object[]} entries - From filterExportEntries()
+ * @param {Object} [options] - { range: { neterId, from, to }, exportedAt: Date }
+ * @returns {string}
+ */
+export const createJournalJson = (entries, { range = {}, exportedAt = new Date() } = {}) =>
+  JSON.stringify(
+    {
+      format: JOURNAL_EXPORT_FORMAT,
+      version: JOURNAL_EXPORT_VERSION,
+      exportedAt: exportedAt.toISOString(),
+      range: {
+        neterId: range.neterId ?? null,
+        from: range.from || null,
+        to: range.to || null
+      },
+      entries
+    },
+    null,
+    2
+  );
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Quote a CSV cell when it needs it (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The export as CSV, one row per entry
+ * @param {Object[]} entries - From filterExportEntries()
+ * @returns {string} UTF-8 CSV with a byte order mark and CRLF line endings
+ */
+export const createJournalCsv = (entries) => {
+  const rows = entries.map((entry) => {
+    const sealed = isSealedEntry(entry);
+    const row = {
+      ...entry,
+      type: getEntryKind(entry),
+      mood: isMoodLevel(entry.mood) ? entry.mood : '',
+      tags: getEntryTags(entry).join(' '),
+      text: sealed ? '' : entry.text,
+      encrypted: sealed ? 'yes' : ''
+    };
+    return CSV_COLUMNS.map((column) => toCsvCell(row[column])).join(',');
+  });
+  return CSV_BOM + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+// ============================================================================
+// MARKDOWN NOTES (ZIP)
+// ============================================================================
+
+/**
+ * One entry as a Markdown note with YAML front matter. Strings are written
+ * as JSON, which YAML reads as double-quoted scalars.
+ * @param {Object} entry - Journal entry
+ * @returns {string}
+ */
+export const createEntryNote = (entry) => {
+  const tags = getEntryTags(entry);
+  const frontMatter = [
+    `neter: ${JSON.stringify(entry.neterName || 'General')}`,
+    Number.isInteger(entry.neterId) ? `neterId: ${entry.neterId}` : null,
+    `date: ${JSON.stringify(entry.date)}`,
+    entry.editedAt ? `edited: ${JSON.stringify(entry.editedAt)}` : null,
+    `type: ${getEntryKind(entry)}`,
+    tags.length > 0
+      ? `tags:\n${tags.map((tag) => `  - ${JSON.stringify(tag)}`).join('\n')}`
+      : 'tags: []',
+    isMoodLevel(entry.mood) ? `mood: ${entry.mood}` : null,
+    isSealedEntry(entry) ? 'encrypted: true' : null
+  ].filter((line) => line !== null);
+
+  return `---\n${frontMatter.join('\n')}\n---\n\n${getEntryMarkdown(entry)}\n`;
+};
+
+/**
+ * File name for an entry's note, unique within the export
+ * @param {Object} entry - Journal entry
+ * @param {Set<string>} used - Names taken so far (added to)
+ * @returns {string} e.g. "2024-12-07 1200 Maat.md"
+ */
+const getNoteName = (entry, used) => {
+  const stamp = formatExportDate(entry.date).replace(':', '');
+  const neter = String(entry.neterName || 'General').replace(/[\\/:*?"<>|]+/g, '-');
+  const base = `${stamp} ${neter}`.trim();
+  let name = `${base}.md`;
+  for (let n = 2; used.has(name); n++) name = `${base} (${n}).md`;
+  used.add(name);
+  return name;
+};
+
+/**
+ * The export as a zip of Markdown notes, one per entry, in a single folder
+ * @param {Object[]} entries - From filterExportEntries()
+ * @returns {Uint8Array} Zip archive
+ */
+export const createJournalVault = (entries) => {
+  const encoder = new TextEncoder();
+  const used = new Set();
+  return createZip(
+    entries.map((entry) => ({
+      name: `${VAULT_FOLDER}/${getNoteName(entry, used)}`,
+      data: encoder.encode(createEntryNote(entry)),
+      date: new Date(entry.editedAt || entry.date)
+    }))
+  );
+};
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+/**
+ * Download filename for a journal export
+ * @param {Object} format - JOURNAL_EXPORT_FORMATS entry
+ * @param {Date} [date] - When the export is made
+ * @returns {string} e.g. "neteru-journal-2026-10-19.md"
+ */
+export const getJournalExportFilename = (format, date = new Date()) =>
+  `${VAULT_FOLDER}-${date.toISOString().slice(0, 10)}.${format.extension}`;
+
+/**
+ * Build a journal export
+ * @param {string} formatId - JOURNAL_EXPORT_FORMATS id
+ * @param {Object[]} entries - From filterExportEntries()
+ * @param {Object} [options] - { range: { neterId, neterName, from, to }, exportedAt: Date }
+ * @returns {Object} { content: string|Uint8Array, mime, filename }
+ */
+export const createJournalExport = (formatId, entries, { range = {}, exportedAt = new Date() } = {}) => {
+  const format =
+    JOURNAL_EXPORT_FORMATS.find((candidate) => candidate.id === formatId) || JOURNAL_EXPORT_FORMATS[0];
+  const scope = describeExportRange(range);
+
+  const builders = {
+    print: () => createJournalHtml(entries, { scope, exportedAt }),
+    markdown: () => createJournalMarkdown(entries, { scope, exportedAt }),
+    json: () => createJournalJson(entries, { range, exportedAt }),
+    csv: () => createJournalCsv(entries),
+    vault: () => createJournalVault(entries)
+  };
+
+  return {
+    content: builders[format.id](),
+    mime: format.mime,
+    filename: getJournalExportFilename(format, exportedAt)
+  };
+};
@@ -0,0 +1,283 @@
+/**
+ * CORE/HISTORY.JS
+ * Practice history rollups, compaction and paging.
+ * No side effects, no mutations, no I/O.
+ *
+ * Every session is counted into daily, weekly (ISO week) and monthly
+ * rollups per neter as it is logged:
+ * { id, period, key, neterId, sessions, seconds, firstDate, lastDate }
+ * (plus `merged` on rollups a backup restore has added to, see
+ * getCompactedRollups).
+ * Old sessions are later compacted away; their time lives on in the
+ * rollups, so totals never shrink while storage stays bounded.
+ */
+
+import { PAUTTI_NETERU } from './pure.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const ROLLUP_PERIODS = ['day', 'week', 'month'];
+export const HISTORY_VIEWS = [
+  { id: 'sessions', name: 'Sessions' },
+  { id: 'day', name: 'By day' },
+  { id: 'week', name: 'By week' },
+  { id: 'month', name: 'By month' },
+  { id: 'insights', name: 'Insights' }
+];
+export const HISTORY_PAGE_SIZE = 50;
+
+const SESSION_RETENTION_MONTHS = 12; // Raw sessions kept, in whole months
+const DAY_ROLLUP_RETENTION_MONTHS = 24; // Daily rollups kept; weekly and monthly forever
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PERIODS
+// ============================================================================
+
+/**
+ * Two-digit number
+ * @param {number} n - 0-99
+ * @returns {string}
+ */
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Key of the day, ISO week or month a moment falls in (local time, so a
+ * late-evening session counts for the day the user lived it)
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @param {string|Date} date - Moment
+ * @returns {string} "2026-10-19", "2026-W43" or "2026-10"
+ */
+export const getPeriodKey = (period, date) => {
+  const d = new Date(date);
+  if (period === 'day') return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  if (period === 'month') return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+
+  // ISO week: Monday-based, numbered by the year its Thursday falls in
+  const thursday = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 3 - ((d.getDay() + 6) % 7));
+  const dayOfYear = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / DAY_MS);
+  return `${thursday.getFullYear()}-W${pad(Math.floor(dayOfYear / 7) + 1)}`;
+};
+
+/**
+ * Readable name of a period
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @param {string} key - From getPeriodKey()
+ * @returns {string} e.g. "Mon, Oct 19, 2026", "Week 43, 2026", "October 2026"
+ */
+export const formatPeriodLabel = (period, key) => {
+  const [year, part, day] = key.split('-');
+  if (period === 'week') return `Week ${Number(part.slice(1))}, ${year}`;
+  if (period === 'month') {
+    return new Date(Number(year), Number(part) - 1, 1).toLocaleDateString(undefined, {
+      month: 'long',
+      year: 'numeric'
+    });
+  }
+  return new Date(Number(year), Number(part) - 1, Number(day)).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+/**
+ * Format a practice total, which can run to many hours
+ * @param {number} seconds - Total seconds
+ * @returns {string} e.g. "45m", "12h 5m"
+ */
+export const formatPracticeTime = (seconds) => {
+  const minutes = Math.round((seconds || 0) / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${minutes % 60}m`;
+};
+
+// ============================================================================
+// ROLLUPS
+// ============================================================================
+
+/**
+ * Storage ID of a rollup
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @param {string} key - Period key
+ * @param {number|null} neterId - Neter the time was spent with
+ * @returns {string} e.g. "week:2026-W43:4"
+ */
+const getRollupId = (period, key, neterId) => `${period}:${key}:${neterId}`;
+
+/**
+ * IDs of the rollups a session counts towards
+ * @param {Object} session - Session with date and neterId
+ * @returns {string[]} Day, week and month rollup IDs
+ */
+export const getSessionRollupIds = (session) =>
+  ROLLUP_PERIODS.map((period) =>
+    getRollupId(period, getPeriodKey(period, session.date), session.neterId ?? null)
+  );
+
+/**
+ * Count sessions into rollups. Chords count for their root sphere.
+ * @param {Object[]} rollups - Existing rollups the sessions may touch
+ * @param {Object[]} sessions - Sessions to add
+ * @returns {Object[]} New and updated rollups (untouched ones are left out)
+ */
+export const countSessions = (rollups, sessions) => {
+  const byId = new Map(rollups.map((rollup) => [rollup.id, rollup]));
+  const touched = new Map();
+
+  sessions.forEach((session) => {
+    const neterId = session.neterId ?? null;
+    ROLLUP_PERIODS.forEach((period) => {
+      const key = getPeriodKey(period, session.date);
+      const id = getRollupId(period, key, neterId);
+      const current = byId.get(id) || {
+        id,
+        period,
+        key,
+        neterId,
+        sessions: 0,
+        seconds: 0,
+        firstDate: session.date,
+        lastDate: session.date
+      };
+      const next = {
+        ...current,
+        sessions: current.sessions + 1,
+        seconds: current.seconds + (session.duration || 0),
+        firstDate: session.date < current.firstDate ? session.date : current.firstDate,
+        lastDate: session.date > current.lastDate ? session.date : current.lastDate
+      };
+      byId.set(id, next);
+      touched.set(id, next);
+    });
+  });
+
+  return [...touched.values()];
+};
+
+/**
+ * Rollups for a whole session history
+ * @param {Object[]} sessions - Sessions
+ * @returns {Object[]} Rollups
+ */
+export const buildRollups = (sessions) => countSessions([], sessions);
+
+/**
+ * Group one period's rollups for display, newest first
+ * @param {Object[]} rollups - Rollups of a single period
+ * @returns {Object[]} [{ key, sessions, seconds, neters: [{ neterId, name,
+ *   sessions, seconds }] }], neters by time spent
+ */
+export const groupRollups = (rollups) => {
+  const groups = new Map();
+  rollups.forEach((rollup) => {
+    const group = groups.get(rollup.key) || { key: rollup.key, sessions: 0, seconds: 0, neters: [] };
+    groups.set(rollup.key, {
+      ...group,
+      sessions: group.sessions + rollup.sessions,
+      seconds: group.seconds + rollup.seconds,
+      neters: [
+        ...group.neters,
+        {
+          neterId: rollup.neterId,
+          name: PAUTTI_NETERU[rollup.neterId]?.name || 'Unknown',
+          sessions: rollup.sessions,
+          seconds: rollup.seconds
+        }
+      ]
+    });
+  });
+
+  return [...groups.values()]
+    .map((group) => ({ ...group, neters: [...group.neters].sort((a, b) => b.seconds - a.seconds) }))
+    .sort((a, b) => (a.key < b.key ? 1 : -1));
+};
+
+/**
+ * Lifetime totals from the monthly rollups (never compacted)
+ * @param {Object[]} monthRollups - Rollups with period 'month'
+ * @returns {Object} { sessions, seconds }
+ */
+export const getHistoryTotals = (monthRollups) => ({
+  sessions: monthRollups.reduce((sum, rollup) => sum + rollup.sessions, 0),
+  seconds: monthRollups.reduce((sum, rollup) => sum + rollup.seconds, 0)
+});
+
+// ============================================================================
+// COMPACTION
+// ============================================================================
+
+/**
+ * What compaction removes. Cut-offs fall on the first of a month, so a
+ * month is either fully kept or fully compacted.
+ * @param {Date} [now] - Current time
+ * @returns {Object} { sessionsBefore: ms timestamp (session IDs are log
+ *   timestamps), dayRollupsBefore: rollup ID bound }
+ */
+export const getCompactionBounds = (now = new Date()) => {
+  const sessionsCutoff = new Date(now.getFullYear(), now.getMonth() - SESSION_RETENTION_MONTHS, 1);
+  const dayCutoff = new Date(now.getFullYear(), now.getMonth() - DAY_ROLLUP_RETENTION_MONTHS, 1);
+  return {
+    sessionsBefore: sessionsCutoff.getTime(),
+    dayRollupsBefore: getRollupId('day', getPeriodKey('day', dayCutoff), '')
+  };
+};
+
+/**
+ * Fingerprint of a rollup's totals, to recognise it when it is restored again
+ * @param {Object} rollup - Rollup
+ * @returns {string}
+ */
+const getRollupFingerprint = (rollup) =>
+  [rollup.sessions, rollup.seconds, rollup.firstDate, rollup.lastDate].join('|');
+
+/**
+ * Rollups from a backup to merge in: the part of each rollup whose sessions
+ * were compacted before the backup was made (its time exists nowhere else in
+ * the file), added onto this browser's rollup for the same period and sphere.
+ * A rollup straddling the oldest session in the file brings only its
+ * compacted part; the file's sessions are counted when they are merged.
+ * A rollup identical to the one stored here, or already merged into it
+ * (listed in its `merged` fingerprints), is the same history restored again
+ * and is skipped.
+ * @param {Object[]} current - Rollups stored here
+ * @param {Object[]} incoming - The backup's rollups
+ * @param {Object[]} incomingSessions - The backup's sessions
+ * @returns {Object[]} New and updated rollups
+ */
+export const getCompactedRollups = (current, incoming, incomingSessions) => {
+  const byId = new Map(current.map((rollup) => [rollup.id, rollup]));
+  const counted = new Map(buildRollups(incomingSessions).map((rollup) => [rollup.id, rollup]));
+
+  return incoming.reduce((merged, rollup) => {
+    const sessions = rollup.sessions - (counted.get(rollup.id)?.sessions || 0);
+    const seconds = Math.max(0, rollup.seconds - (counted.get(rollup.id)?.seconds || 0));
+    const existing = byId.get(rollup.id);
+    const fingerprint = getRollupFingerprint(rollup);
+    const isKnown =
+      existing &&
+      (getRollupFingerprint(existing) === fingerprint ||
+        (existing.merged || []).includes(fingerprint));
+    if (sessions <= 0 || isKnown) return merged;
+
+    // The file's dates cover its sessions too, which end up in this rollup
+    // either way: already stored here, or counted in by the merge
+    const base = existing || { ...rollup, sessions: 0, seconds: 0, merged: [] };
+    return [
+      ...merged,
+      {
+        ...base,
+        sessions: base.sessions + sessions,
+        seconds: base.seconds + seconds,
+        firstDate: rollup.firstDate < base.firstDate ? rollup.firstDate : base.firstDate,
+        lastDate: rollup.lastDate > base.lastDate ? rollup.lastDate : base.lastDate,
+        merged: [...(base.merged || []), fingerprint]
+      }
+    ];
+  }, []);
+};
@@ -0,0 +1,274 @@
+/**
+ * CORE/INSIGHTS.JS
+ * Practice insights: streaks, time per sphere, a calendar heatmap, the usual
+ * time of day and the spheres that have gone quiet.
+ * No side effects, no mutations, no I/O.
+ *
+ * Everything is worked out from what storage keeps (see history.js):
+ * daily rollups (two years) give streaks and the heatmap, monthly rollups
+ * (forever) give lifetime time per sphere, raw sessions (one year) give the
+ * time of day, and journal entries count as time spent with a sphere when
+ * judging which ones are neglected.
+ */
+
+import { PAUTTI_NETERU } from './pure.js';
+import { getPeriodKey } from './history.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const HEATMAP_WEEKS = 53; // A year of weeks, ending with this one
+export const HEATMAP_LEVELS = 4; // Shades of practice, plus 0 for none
+export const NEGLECT_DAYS = 30; // A sphere untouched this long is neglected
+
+export const DAY_PARTS = [
+  { id: 'night', name: 'Night', from: 0, to: 5 },
+  { id: 'morning', name: 'Morning', from: 5, to: 12 },
+  { id: 'afternoon', name: 'Afternoon', from: 12, to: 17 },
+  { id: 'evening', name: 'Evening', from: 17, to: 21 },
+  { id: 'late', name: 'Late evening', from: 21, to: 24 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// DAYS
+// ============================================================================
+
+/**
+ * Midnight of a day, some days away (local time, safe across DST changes)
+ * @param {Date} date - Any moment of the day
+ * @param {number} [days] - Days to move, negative for earlier
+ * @returns {Date}
+ */
+const addDays = (date, days = 0) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Midnight of a day key
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {Date}
+ */
+const parseDayKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Practice per day from the daily rollups (all spheres together)
+ * @param {Object[]} dayRollups - Rollups with period 'day'
+ * @returns {Map<string, Object>} Day key → { sessions, seconds }
+ */
+export const getPracticeDays = (dayRollups) => {
+  const days = new Map();
+  dayRollups.forEach((rollup) => {
+    const day = days.get(rollup.key) || { sessions: 0, seconds: 0 };
+    days.set(rollup.key, {
+      sessions: day.sessions + rollup.sessions,
+      seconds: day.seconds + rollup.seconds
+    });
+  });
+  return days;
+};
+
+// ============================================================================
+// STREAKS
+// ============================================================================
+
+/**
+ * Runs of consecutive practice days. A streak still counts as current
+ * until a whole day passes without practice, so today's session can wait.
+ * @param {Map<string, Object>} days - From getPracticeDays()
+ * @param {Date} [now] - Current time
+ * @returns {Object} { current, longest, practicedToday } - days
+ */
+export const getStreaks = (days, now = new Date()) => {
+  const today = addDays(now);
+  const practicedToday = days.has(getPeriodKey('day', today));
+
+  let current = 0;
+  const from = practicedToday ? today : addDays(today, -1);
+  while (days.has(getPeriodKey('day', addDays(from, -current)))) current++;
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...days.keys()].sort().forEach((key) => {
+    const day = parseDayKey(key);
+    run = previous && getPeriodKey('day', addDays(previous, 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  return { current, longest, practicedToday };
+};
+
+// ============================================================================
+// HEATMAP
+// ============================================================================
+
+/**
+ * Shade of a heatmap cell
+ * @param {number} seconds - Practice that day
+ * @param {number} max - Most practice on any day shown
+ * @returns {number} 0 (none) to HEATMAP_LEVELS
+ */
+const getHeatLevel = (seconds, max) =>
+  seconds > 0 && max > 0 ? Math.max(1, Math.ceil((seconds / max) * HEATMAP_LEVELS)) : 0;
+
+/**
+ * Calendar heatmap: one column per week (Monday first, like ISO weeks),
+ * oldest week first, ending with the current week
+ * @param {Map<string, Object>} days - From getPracticeDays()
+ * @param {Date} [now] - Current time
+ * @param {number} [weeks] - Columns
+ * @returns {Object} { weeks: [[{ key, sessions, seconds, level, future }]],
+ *   months: [{ week, key: 'YYYY-MM' }] - the week each month starts in }
+ */
+export const buildHeatmap = (days, now = new Date(), weeks = HEATMAP_WEEKS) => {
+  const today = addDays(now);
+  const todayKey = getPeriodKey('day', today);
+  const monday = addDays(today, -((today.getDay() + 6) % 7));
+  const start = addDays(monday, -(weeks - 1) * 7);
+
+  const cells = Array.from({ length: weeks * 7 }, (_, i) => {
+    const key = getPeriodKey('day', addDays(start, i));
+    const day = days.get(key) || { sessions: 0, seconds: 0 };
+    return { key, sessions: day.sessions, seconds: day.seconds, future: key > todayKey };
+  });
+  const max = cells.reduce((most, cell) => Math.max(most, cell.seconds), 0);
+
+  const columns = Array.from({ length: weeks }, (_, week) =>
+    cells
+      .slice(week * 7, week * 7 + 7)
+      .map((cell) => ({ ...cell, level: getHeatLevel(cell.seconds, max) }))
+  );
+
+  const months = [];
+  columns.forEach((column, week) => {
+    const month = column[0].key.slice(0, 7);
+    const firstOfMonth = column.find((cell) => cell.key.endsWith('-01'));
+    if (week === 0 || firstOfMonth) {
+      months.push({ week, key: firstOfMonth ? firstOfMonth.key.slice(0, 7) : month });
+    }
+  });
+
+  return { weeks: columns, months };
+};
+
+// ============================================================================
+// SPHERES
+// ============================================================================
+
+/**
+ * Lifetime time and reflections per sphere, in tree order
+ * @param {Object[]} monthRollups - Rollups with period 'month'
+ * @param {Object[]} journals - Journal entries (sealed ones too; only
+ *   neterId and date are read)
+ * @returns {Object[]} [{ neterId, name, sessions, seconds, share,
+ *   reflections, lastDate }] - share is of the most-practised sphere's time,
+ *   lastDate the latest practice or reflection (null if none)
+ */
+export const getNeterTotals = (monthRollups, journals) => {
+  const totals = Object.values(PAUTTI_NETERU).map((neter) => {
+    const rollups = monthRollups.filter((rollup) => rollup.neterId === neter.id);
+    const entries = journals.filter((entry) => entry.neterId === neter.id);
+    const dates = [...rollups.map((rollup) => rollup.lastDate), ...entries.map((entry) => entry.date)];
+    return {
+      neterId: neter.id,
+      name: neter.name,
+      sessions: rollups.reduce((sum, rollup) => sum + rollup.sessions, 0),
+      seconds: rollups.reduce((sum, rollup) => sum + rollup.seconds, 0),
+      reflections: entries.length,
+      lastDate: dates.length > 0 ? dates.reduce((latest, date) => (date > latest ? date : latest)) : null
+    };
+  });
+
+  const most = totals.reduce((max, total) => Math.max(max, total.seconds), 0);
+  return totals.map((total) => ({ ...total, share: most > 0 ? total.seconds / most : 0 }));
+};
+
+/**
+ * Spheres not practised or written about for a while, longest-forgotten
+ * first (never-visited ones before all others)
+ * @param {Object[]} totals - From getNeterTotals()
+ * @param {Date} [now] - Current time
+ * @param {number} [days] - Quiet days before a sphere counts as neglected
+ * @returns {Object[]} [{ neterId, name, daysSince: number|null }]
+ */
+export const getNeglectedNeteru = (totals, now = new Date(), days = NEGLECT_DAYS) =>
+  totals
+    .map((total) => ({
+      neterId: total.neterId,
+      name: total.name,
+      daysSince: total.lastDate
+        ? Math.round((addDays(now) - addDays(new Date(total.lastDate))) / DAY_MS)
+        : null
+    }))
+    .filter((neter) => neter.daysSince === null || neter.daysSince >= days)
+    .sort((a, b) => (b.daysSince ?? Infinity) - (a.daysSince ?? Infinity));
+
+// ============================================================================
+// TIME OF DAY
+// ============================================================================
+
+/**
+ * When sessions start, by hour and by part of the day. Sessions are logged
+ * when they end, so the start is worked back from the duration.
+ * @param {Object[]} sessions - Sessions with date and duration
+ * @returns {Object} { hours: [24 × { sessions, seconds }],
+ *   parts: [{ id, name, sessions, seconds, share }], usual: part id or null }
+ *   share is of all sessions
+ */
+export const getTimeOfDay = (sessions) => {
+  const hours = Array.from({ length: 24 }, () => ({ sessions: 0, seconds: 0 }));
+  sessions.forEach((session) => {
+    const start = new Date(new Date(session.date).getTime() - (session.duration || 0) * 1000);
+    if (isNaN(start)) return;
+    const hour = hours[start.getHours()];
+    hour.sessions += 1;
+    hour.seconds += session.duration || 0;
+  });
+
+  const counted = hours.reduce((sum, hour) => sum + hour.sessions, 0);
+  const parts = DAY_PARTS.map((part) => {
+    const inPart = hours.slice(part.from, part.to);
+    const count = inPart.reduce((sum, hour) => sum + hour.sessions, 0);
+    return {
+      id: part.id,
+      name: part.name,
+      sessions: count,
+      seconds: inPart.reduce((sum, hour) => sum + hour.seconds, 0),
+      share: counted > 0 ? count / counted : 0
+    };
+  });
+  const usual = parts.reduce((best, part) => (part.sessions > (best ? best.sessions : 0) ? part : best), null);
+
+  return { hours, parts, usual: usual ? usual.id : null };
+};
+
+// ============================================================================
+// INSIGHTS
+// ============================================================================
+
+/**
+ * Everything the insights view shows
+ * @param {Object} data - { dayRollups, monthRollups, sessions, journals }
+ * @param {Date} [now] - Current time
+ * @returns {Object} { streaks, practiceDays, heatmap, neteru, neglected, timeOfDay }
+ *   practiceDays counts the days in the heatmap with any practice
+ */
+export const createInsights = ({ dayRollups, monthRollups, sessions, journals }, now = new Date()) => {
+  const days = getPracticeDays(dayRollups);
+  const heatmap = buildHeatmap(days, now);
+  const neteru = getNeterTotals(monthRollups, journals);
+  return {
+    streaks: getStreaks(days, now),
+    practiceDays: heatmap.weeks.flat().filter((cell) => cell.sessions > 0).length,
+    heatmap,
+    neteru,
+    neglected: getNeglectedNeteru(neteru, now),
+    timeOfDay: getTimeOfDay(sessions)
+  };
+};
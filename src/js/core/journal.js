@@ -0,0 +1,321 @@
+/**
+ * CORE/JOURNAL.JS
+ * Journal tags, mood ratings, filters and full-text search.
+ * No side effects, no mutations, no I/O.
+ *
+ * Search runs over entries already in memory (opened, when private): every
+ * word of the query must match the start of a word in an entry's text, tags
+ * or sphere name. Matches are ranked BM25-style - words that are rare in the
+ * journal count for more, repeats count for less, and a match in a short
+ * entry beats one in a long entry.
+ */
+
+import { getPeriodKey } from './history.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const MOOD_LEVELS = [1, 2, 3, 4, 5];
+export const JOURNAL_TYPES = [
+  { id: 'written', name: 'Written' },
+  { id: 'voice', name: 'Voice' }
+];
+export const EMPTY_JOURNAL_FILTERS = {
+  query: '',
+  neterId: null,
+  from: '', // 'YYYY-MM-DD', inclusive, local days
+  to: '',
+  type: '', // JOURNAL_TYPES id, '' for any
+  tag: ''
+};
+
+const MAX_TAGS = 12;
+const MAX_TAG_LENGTH = 32;
+
+const FIELD_WEIGHTS = { tags: 3, neter: 2, text: 1 }; // Where a match counts most
+const WHOLE_WORD_WEIGHT = 1.5; // "dream" matching "dream" beats matching "dreamt"
+const BM25_K1 = 1.2; // How quickly repeats stop adding to the score
+const BM25_B = 0.75; // How much entry length dampens the score
+
+const SNIPPET_LENGTH = 120;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// ============================================================================
+// TAGS AND MOOD
+// ============================================================================
+
+/**
+ * Clean up tags: lowercase, no leading #, one word each (inner spaces become
+ * dashes), no duplicates
+ * @param {string[]} tags - Tags as typed
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) =>
+  [
+    ...new Set(
+      tags
+        .map((tag) =>
+          String(tag)
+            .trim()
+            .replace(/^#+/, '')
+            .replace(/\s+/g, '-')
+            .toLowerCase()
+            .slice(0, MAX_TAG_LENGTH)
+        )
+        .filter(Boolean)
+    )
+  ].slice(0, MAX_TAGS);
+
+/**
+ * Tags from a text field
+ * @param {string} input - e.g. "dream, #gratitude morning"
+ * @returns {string[]}
+ */
+export const parseTags = (input) => normalizeTags(String(input || '').split(/[\s,]+/));
+
+/**
+ * An entry's tags. A locked entry has none until it's unlocked.
+ * @param {Object} entry - Journal entry
+ * @returns {string[]}
+ */
+export const getEntryTags = (entry) =>
+  !entry.locked && Array.isArray(entry.tags) ? entry.tags : [];
+
+/**
+ * Whether a value is a mood/energy rating
+ * @param {*} mood - Value to check
+ * @returns {boolean}
+ */
+export const isMoodLevel = (mood) => MOOD_LEVELS.includes(mood);
+
+/**
+ * An entry's mood/energy rating. A locked entry has none until it's unlocked.
+ * @param {Object} entry - Journal entry
+ * @returns {number|null} 1-5, or null
+ */
+export const getEntryMood = (entry) =>
+  !entry.locked && isMoodLevel(entry.mood) ? entry.mood : null;
+
+/**
+ * How an entry was made. Older voice entries were stored as 'audio'.
+ * @param {Object} entry - Journal entry
+ * @returns {string} JOURNAL_TYPES id
+ */
+export const getEntryKind = (entry) =>
+  entry.type === 'voice' || entry.type === 'audio' ? 'voice' : 'written';
+
+/**
+ * Set an entry's tags and mood
+ * @param {Object} entry - Journal entry (or new entry data)
+ * @param {Object} details - { tags: string[], mood: 1-5 or null }
+ * @returns {Object} Updated entry, or the same entry if nothing changed
+ */
+export const setJournalDetails = (entry, { tags, mood }) => {
+  const nextTags = normalizeTags(tags || []);
+  const nextMood = isMoodLevel(mood) ? mood : null;
+  const sameTags = nextTags.join(',') === getEntryTags(entry).join(',');
+  if (sameTags && nextMood === (entry.mood ?? null)) return entry;
+  return { ...entry, tags: nextTags, mood: nextMood };
+};
+
+/**
+ * Every tag used in the journal
+ * @param {Object[]} entries - Journal entries
+ * @returns {string[]} Sorted tags
+ */
+export const getJournalTags = (entries) =>
+  [...new Set(entries.flatMap(getEntryTags))].sort();
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/**
+ * Whether any filter or search words are set
+ * @param {Object} filters - See EMPTY_JOURNAL_FILTERS
+ * @returns {boolean}
+ */
+export const hasJournalFilters = (filters) =>
+  Object.keys(EMPTY_JOURNAL_FILTERS).some(
+    (key) => filters[key] !== EMPTY_JOURNAL_FILTERS[key] && filters[key] !== undefined
+  );
+
+/**
+ * Whether an entry passes the sphere, date, type and tag filters
+ * @param {Object} entry - Journal entry
+ * @param {Object} filters - See EMPTY_JOURNAL_FILTERS
+ * @returns {boolean}
+ */
+export const matchesJournalFilters = (entry, filters) => {
+  if (filters.neterId !== null && filters.neterId !== undefined && entry.neterId !== filters.neterId) {
+    return false;
+  }
+  if (filters.type && getEntryKind(entry) !== filters.type) return false;
+  if (filters.tag && !getEntryTags(entry).includes(filters.tag)) return false;
+
+  const day = getPeriodKey('day', entry.date);
+  if (filters.from && day < filters.from) return false;
+  if (filters.to && day > filters.to) return false;
+  return true;
+};
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Lowercase a word and drop accents, so "Maat", "MAAT" and "Maát" compare equal
+ * @param {string} word - One word
+ * @returns {string}
+ */
+const foldWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Searchable words of a text
+ * @param {string} text - Any text
+ * @returns {string[]}
+ */
+const getWords = (text) => (String(text || '').match(WORD_PATTERN) || []).map(foldWord);
+
+/**
+ * The distinct words of a search query
+ * @param {string} query - As typed
+ * @returns {string[]}
+ */
+export const parseSearchQuery = (query) => [...new Set(getWords(query))];
+
+/**
+ * Words of each entry by field, built once per journal change so typing a
+ * query doesn't re-read every entry. Locked entries get no words, so no
+ * search finds them until they're unlocked.
+ * @param {Object[]} entries - Journal entries
+ * @returns {Object[]} [{ entry, fields: { text, tags, neter }, length }]
+ */
+export const buildSearchIndex = (entries) =>
+  entries.map((entry) => {
+    const fields = entry.locked
+      ? { text: [], tags: [], neter: [] }
+      : {
+          text: getWords(entry.text),
+          tags: getEntryTags(entry).flatMap(getWords),
+          neter: getWords(entry.neterName)
+        };
+    return {
+      entry,
+      fields,
+      length: Math.max(1, fields.text.length + fields.tags.length + fields.neter.length)
+    };
+  });
+
+/**
+ * Weighted count of one query word in an indexed entry
+ * @param {Object} doc - From buildSearchIndex()
+ * @param {string} term - Folded query word
+ * @returns {number} 0 when the word doesn't occur
+ */
+const countTerm = (doc, term) =>
+  Object.entries(doc.fields).reduce(
+    (sum, [field, words]) =>
+      sum +
+      FIELD_WEIGHTS[field] *
+        words.reduce(
+          (count, word) =>
+            count + (word === term ? WHOLE_WORD_WEIGHT : word.startsWith(term) ? 1 : 0),
+          0
+        ),
+    0
+  );
+
+/**
+ * Search and filter the journal
+ * @param {Object[]} index - From buildSearchIndex()
+ * @param {Object} filters - See EMPTY_JOURNAL_FILTERS
+ * @returns {Object[]} Matching entries: best match first when there are
+ *   search words, otherwise oldest first (the journal's own order)
+ */
+export const searchJournal = (index, filters) => {
+  const docs = index.filter((doc) => matchesJournalFilters(doc.entry, filters));
+  const terms = parseSearchQuery(filters.query);
+  if (terms.length === 0) {
+    return docs.map((doc) => doc.entry).sort((a, b) => (a.date < b.date ? -1 : 1));
+  }
+
+  // Rarity of each word across the whole journal, not just the filtered part
+  const averageLength = index.reduce((sum, doc) => sum + doc.length, 0) / Math.max(1, index.length);
+  const idf = Object.fromEntries(
+    terms.map((term) => {
+      const found = index.filter((doc) => countTerm(doc, term) > 0).length;
+      return [term, Math.log(1 + (index.length - found + 0.5) / (found + 0.5))];
+    })
+  );
+
+  return docs
+    .map((doc) => {
+      const norm = BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / averageLength);
+      let score = 0;
+      for (const term of terms) {
+        const count = countTerm(doc, term);
+        if (count === 0) return null; // Every word has to match
+        score += (idf[term] * count * (BM25_K1 + 1)) / (count + norm);
+      }
+      return { entry: doc.entry, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || (a.entry.date < b.entry.date ? 1 : -1))
+    .map((result) => result.entry);
+};
+
+// ============================================================================
+// HIGHLIGHTING
+// ============================================================================
+
+/**
+ * Split text into plain and matching runs, for highlighting. A word matches
+ * when it starts with one of the search words (case and accents ignored).
+ * @param {string} text - Text to show
+ * @param {string[]} terms - From parseSearchQuery()
+ * @returns {Object[]} [{ text, match }]
+ */
+export const getHighlightSegments = (text, terms) => {
+  const source = String(text || '');
+  if (terms.length === 0) return [{ text: source, match: false }];
+
+  const segments = [];
+  let last = 0;
+  for (const found of source.matchAll(WORD_PATTERN)) {
+    const word = foldWord(found[0]);
+    if (!terms.some((term) => word.startsWith(term))) continue;
+    if (found.index > last) segments.push({ text: source.slice(last, found.index), match: false });
+    segments.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < source.length) segments.push({ text: source.slice(last), match: false });
+  return segments;
+};
+
+/**
+ * A short stretch of an entry for the list: the opening, or the part around
+ * the first match when searching
+ * @param {string} text - Entry text
+ * @param {string[]} terms - From parseSearchQuery()
+ * @returns {string} With "..." where text was cut
+ */
+export const getSearchSnippet = (text, terms) => {
+  const source = String(text || '');
+  if (source.length <= SNIPPET_LENGTH) return source;
+
+  let start = 0;
+  if (terms.length > 0) {
+    for (const found of source.matchAll(WORD_PATTERN)) {
+      const word = foldWord(found[0]);
+      if (terms.some((term) => word.startsWith(term))) {
+        start = Math.max(0, found.index - Math.floor(SNIPPET_LENGTH / 3));
+        break;
+      }
+    }
+  }
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+  return `${start > 0 ? '...' : ''}${source.slice(start, end)}${end < source.length ? '...' : ''}`;
+};
@@ -0,0 +1,167 @@
+/**
+ * CORE/JOURNEYS.JS
+ * Guided journey definitions and validation.
+ * No side effects, no mutations, no I/O.
+ *
+ * A journey is an ordered list of spheres, each held for a duration:
+ * { id, name, description, segments: [{ neterId, duration }] }
+ * Durations are in seconds.
+ */
+
+import { getNeterById, isValidNeterId } from './pure.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SEGMENT_DURATION_RANGE = { min: 5, max: 3600 };
+const MAX_SEGMENTS = 64;
+
+/**
+ * Build segments that hold each sphere for the same duration
+ * @param {number[]} neterIds - Spheres in order
+ * @param {number} duration - Seconds per sphere
+ * @returns {Array} Segments
+ */
+const evenSegments = (neterIds, duration) =>
+  neterIds.map((neterId) => ({ neterId, duration }));
+
+// ============================================================================
+// DATA DEFINITIONS - Built-in Journeys
+// ============================================================================
+
+export const JOURNEY_PRESETS = [
+  {
+    id: 'ascending',
+    name: 'Ascending the Tree',
+    description: 'From Geb (earth) up to Amun-Nun (source)',
+    segments: evenSegments([10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0], 120)
+  },
+  {
+    id: 'descending',
+    name: 'Descending the Tree',
+    description: 'From Amun-Nun (source) down to Geb (earth)',
+    segments: evenSegments([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 120)
+  },
+  {
+    id: 'heart-balance',
+    name: 'Heart Balance',
+    description: 'Maat and Heru-Khuti, resting in Aset',
+    segments: [
+      { neterId: 4, duration: 180 },
+      { neterId: 5, duration: 180 },
+      { neterId: 8, duration: 240 }
+    ]
+  },
+  {
+    id: 'quick-ascent',
+    name: 'Quick Ascent',
+    description: 'Thirty seconds on each sphere, earth to source',
+    segments: evenSegments([10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0], 30)
+  }
+];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * List everything wrong with a journey definition
+ * @param {*} data - Parsed JSON to check
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export const getJourneyErrors = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Journey must be a JSON object.'];
+  }
+
+  const errors = [];
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push('Journey needs a "name".');
+  }
+  if (!Array.isArray(data.segments) || data.segments.length === 0) {
+    errors.push('Journey needs a non-empty "segments" array.');
+    return errors;
+  }
+  if (data.segments.length > MAX_SEGMENTS) {
+    errors.push(`Journey can have at most ${MAX_SEGMENTS} segments.`);
+  }
+
+  data.segments.forEach((segment, index) => {
+    const label = `Segment ${index + 1}`;
+    if (!segment || !isValidNeterId(segment.neterId)) {
+      errors.push(`${label}: "neterId" must be a sphere number 0-10.`);
+    }
+    const duration = segment && segment.duration;
+    if (
+      typeof duration !== 'number' ||
+      duration < SEGMENT_DURATION_RANGE.min ||
+      duration > SEGMENT_DURATION_RANGE.max
+    ) {
+      errors.push(
+        `${label}: "duration" must be ${SEGMENT_DURATION_RANGE.min}-${SEGMENT_DURATION_RANGE.max} seconds.`
+      );
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate journey definition
+ * @param {*} data - Parsed JSON to check
+ * @returns {boolean} True if valid
+ */
+export const isValidJourney = (data) => getJourneyErrors(data).length === 0;
+
+/**
+ * Normalize a valid journey definition (trimmed name, generated ID, only known fields).
+ * IDs are always derived from the name so imports can't shadow a preset; a
+ * name that slugs to an ID already in use gets a numbered suffix, so an
+ * import never replaces a journey that's already there.
+ * @param {Object} data - Valid journey data
+ * @param {string[]} [takenIds] - IDs of the journeys already saved
+ * @returns {Object} Journey object
+ */
+export const normalizeJourney = (data, takenIds = []) => {
+  const name = data.name.trim();
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const base = `custom-${slug || 'journey'}`;
+  let id = base;
+  for (let suffix = 2; takenIds.includes(id); suffix++) id = `${base}-${suffix}`;
+  return {
+    id,
+    name,
+    description: typeof data.description === 'string' ? data.description : '',
+    segments: data.segments.map(({ neterId, duration }) => ({ neterId, duration }))
+  };
+};
+
+// ============================================================================
+// CALCULATIONS
+// ============================================================================
+
+/**
+ * Total length of a journey
+ * @param {Object} journey - Journey object
+ * @returns {number} Seconds
+ */
+export const getJourneyDuration = (journey) =>
+  journey.segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+/**
+ * Describe one segment of a journey
+ * @param {Object} journey - Journey object
+ * @param {number} index - Segment index
+ * @returns {Object|null} { index, count, neter, duration } or null past the end
+ */
+export const getJourneySegment = (journey, index) => {
+  const segment = journey.segments[index];
+  if (!segment) return null;
+  return {
+    index,
+    count: journey.segments.length,
+    neter: getNeterById(segment.neterId),
+    duration: segment.duration
+  };
+};
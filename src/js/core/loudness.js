@@ -0,0 +1,192 @@
+/**
+ * CORE/LOUDNESS.JS
+ * Equal-loudness compensation (ISO 226:2003) and personal hearing curves.
+ * No side effects, no mutations, no I/O.
+ *
+ * Low tones need far more sound pressure than mid tones to be heard as
+ * equally loud. Each tone gets a gain in dB so every sphere sits at the same
+ * perceived loudness; a personal curve from the calibration wizard is added
+ * on top.
+ */
+
+import { PAUTTI_NETERU } from './pure.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Listening level the contours are evaluated at (a comfortable meditation level)
+export const LOUDNESS_PHON = 60;
+
+// The quietest-sounding sphere is lifted by this much; everything else is cut.
+// +6 dB keeps a full-volume tone under the master limiter threshold. Most
+// spheres end up 8-11 dB quieter, which is why the setting is opt-in.
+const COMPENSATION_HEADROOM_DB = 6;
+const COMPENSATION_RANGE_DB = { min: -24, max: COMPENSATION_HEADROOM_DB };
+
+export const HEARING_OFFSET_RANGE = { min: -12, max: 12, step: 0.5 }; // dB
+
+/**
+ * ISO 226:2003 Table 1 - frequency (Hz), exponent alpha_f,
+ * magnitude of the linear transfer function L_U (dB) and hearing threshold T_f (dB)
+ */
+const ISO_226 = [
+  [20, 0.532, -31.6, 78.5],
+  [25, 0.506, -27.2, 68.7],
+  [31.5, 0.48, -23.0, 59.5],
+  [40, 0.455, -19.1, 51.1],
+  [50, 0.432, -15.9, 44.0],
+  [63, 0.409, -13.0, 37.5],
+  [80, 0.387, -10.3, 31.5],
+  [100, 0.367, -8.1, 26.5],
+  [125, 0.349, -6.2, 22.1],
+  [160, 0.33, -4.5, 17.9],
+  [200, 0.315, -3.1, 14.4],
+  [250, 0.301, -2.0, 11.4],
+  [315, 0.288, -1.1, 8.6],
+  [400, 0.276, -0.4, 6.2],
+  [500, 0.267, 0.0, 4.4],
+  [630, 0.259, 0.3, 3.0],
+  [800, 0.253, 0.5, 2.2],
+  [1000, 0.25, 0.0, 2.4],
+  [1250, 0.246, -2.7, 3.5],
+  [1600, 0.244, -4.1, 1.7],
+  [2000, 0.243, -1.0, -1.3],
+  [2500, 0.243, 1.7, -4.2],
+  [3150, 0.243, 2.5, -6.0],
+  [4000, 0.242, 1.2, -5.4],
+  [5000, 0.242, -2.1, -1.5],
+  [6300, 0.245, -7.1, 6.0],
+  [8000, 0.254, -11.2, 12.6],
+  [10000, 0.271, -10.7, 13.9],
+  [12500, 0.301, -3.1, 12.3]
+];
+
+// ============================================================================
+// EQUAL-LOUDNESS CONTOURS
+// ============================================================================
+
+/**
+ * Interpolate between two values at a position on a log-frequency axis
+ * @param {number} f - Frequency in Hz
+ * @param {number} f0 - Lower frequency
+ * @param {number} f1 - Upper frequency
+ * @param {number} v0 - Value at f0
+ * @param {number} v1 - Value at f1
+ * @returns {number} Interpolated value
+ */
+const interpolateLog = (f, f0, f1, v0, v1) => {
+  if (f1 === f0) return v0;
+  const t = Math.log(f / f0) / Math.log(f1 / f0);
+  return v0 + (v1 - v0) * t;
+};
+
+/**
+ * Sound pressure level a pure tone needs to reach a loudness level
+ * @param {number} frequency - Frequency in Hz (clamped to 20-12500)
+ * @param {number} [phon=LOUDNESS_PHON] - Loudness level
+ * @returns {number} SPL in dB
+ */
+export const getEqualLoudnessSpl = (frequency, phon = LOUDNESS_PHON) => {
+  const f = Math.max(ISO_226[0][0], Math.min(ISO_226[ISO_226.length - 1][0], frequency));
+  const upper = Math.max(1, ISO_226.findIndex((row) => row[0] >= f));
+  const [f0, a0, lu0, t0] = ISO_226[upper - 1];
+  const [f1, a1, lu1, t1] = ISO_226[upper];
+
+  const af = interpolateLog(f, f0, f1, a0, a1);
+  const lu = interpolateLog(f, f0, f1, lu0, lu1);
+  const tf = interpolateLog(f, f0, f1, t0, t1);
+
+  const Af =
+    4.47e-3 * (Math.pow(10, 0.025 * phon) - 1.15) +
+    Math.pow(0.4 * Math.pow(10, (tf + lu) / 10 - 9), af);
+  return (10 / af) * Math.log10(Af) - lu + 94;
+};
+
+// The sphere that needs the most pressure sets the reference level
+const REFERENCE_SPL = Math.max(
+  ...Object.values(PAUTTI_NETERU).map((n) => getEqualLoudnessSpl(n.frequency))
+);
+
+/**
+ * Gain that brings a tone to the same perceived loudness as every other sphere
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Gain in dB
+ */
+export const getLoudnessCompensationDb = (frequency) => {
+  const db = getEqualLoudnessSpl(frequency) - REFERENCE_SPL + COMPENSATION_HEADROOM_DB;
+  return Math.max(COMPENSATION_RANGE_DB.min, Math.min(COMPENSATION_RANGE_DB.max, db));
+};
+
+// ============================================================================
+// PERSONAL HEARING CURVE
+// ============================================================================
+
+/**
+ * Clamp a personal offset to the allowed range
+ * @param {number} db - Offset in dB
+ * @returns {number} Clamped offset
+ */
+export const clampHearingOffset = (db) => {
+  const value = Number.isFinite(db) ? db : 0;
+  return Math.max(HEARING_OFFSET_RANGE.min, Math.min(HEARING_OFFSET_RANGE.max, value));
+};
+
+/**
+ * Build a hearing curve from per-sphere offsets
+ * @param {Object} offsets - { [neterId]: dB }
+ * @returns {Array} Curve points [{ frequency, db }] sorted by frequency
+ */
+export const createHearingCurve = (offsets) =>
+  Object.values(PAUTTI_NETERU)
+    .map((neter) => ({
+      frequency: neter.frequency,
+      db: clampHearingOffset(offsets[neter.id] ?? 0)
+    }))
+    .sort((a, b) => a.frequency - b.frequency);
+
+/**
+ * Personal offset at any frequency (log-interpolated, held flat past the ends)
+ * @param {Array} curve - Curve points [{ frequency, db }] sorted by frequency
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Offset in dB
+ */
+export const getHearingCurveDb = (curve, frequency) => {
+  if (!Array.isArray(curve) || curve.length === 0) return 0;
+  if (frequency <= curve[0].frequency) return curve[0].db;
+
+  const last = curve[curve.length - 1];
+  if (frequency >= last.frequency) return last.db;
+
+  const upper = curve.findIndex((point) => point.frequency >= frequency);
+  const a = curve[upper - 1];
+  const b = curve[upper];
+  return interpolateLog(frequency, a.frequency, b.frequency, a.db, b.db);
+};
+
+// ============================================================================
+// COMBINED TONE GAIN
+// ============================================================================
+
+/**
+ * Total level correction for a tone from user settings
+ * @param {Object} settings - Settings with loudnessCompensation and hearingCurve
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} [personalDb] - Personal offset to use instead of the saved curve
+ * @returns {number} Gain in dB
+ */
+export const getToneGainDb = (settings, frequency, personalDb) => {
+  const compensation = settings.loudnessCompensation
+    ? getLoudnessCompensationDb(frequency)
+    : 0;
+  const personal =
+    personalDb ?? getHearingCurveDb(settings.hearingCurve, frequency);
+  return compensation + personal;
+};
+
+/**
+ * Convert decibels to a linear gain
+ * @param {number} db - Gain in dB
+ * @returns {number} Linear gain
+ */
+export const dbToGain = (db) => Math.pow(10, db / 20);
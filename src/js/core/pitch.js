@@ -0,0 +1,147 @@
+/**
+ * CORE/PITCH.JS
+ * Pitch detection (YIN) and toning accuracy for vocal practice.
+ * No side effects, no mutations, no I/O.
+ *
+ * The microphone is read in infra; this module only turns a block of samples
+ * into a pitch and compares it with the neter's frequency, in any octave.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Human voice, from a low hum up past the highest neter tone
+export const VOICE_RANGE = { min: 60, max: 1100 };
+
+const YIN_THRESHOLD = 0.15;
+const MIN_RMS = 0.01; // Quieter blocks are treated as silence
+
+// Within this many cents a frame counts fully toward resonance, fading to
+// nothing at RESONANCE_WINDOW_CENTS
+const IN_TUNE_CENTS = 10;
+const RESONANCE_WINDOW_CENTS = 50;
+
+// ============================================================================
+// PITCH DETECTION
+// ============================================================================
+
+/**
+ * Detect the fundamental frequency of a block of samples (YIN algorithm)
+ * @param {Float32Array} samples - Time-domain samples in -1..1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object|null} { frequency, clarity } or null when no clear pitch.
+ *   clarity is 0-1 (1 = perfectly periodic).
+ */
+export const detectPitch = (samples, sampleRate) => {
+  let energy = 0;
+  for (let i = 0; i < samples.length; i++) energy += samples[i] * samples[i];
+  if (Math.sqrt(energy / samples.length) < MIN_RMS) return null;
+
+  const minTau = Math.floor(sampleRate / VOICE_RANGE.max);
+  const maxTau = Math.min(Math.floor(sampleRate / VOICE_RANGE.min), Math.floor(samples.length / 2));
+  const window = samples.length - maxTau;
+  if (window <= 0 || maxTau <= minTau) return null;
+
+  // Steps 1-2: difference function
+  const diff = new Float32Array(maxTau + 1);
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let sum = 0;
+    for (let i = 0; i < window; i++) {
+      const delta = samples[i] - samples[i + tau];
+      sum += delta * delta;
+    }
+    diff[tau] = sum;
+  }
+
+  // Step 3: cumulative mean normalized difference
+  const cmnd = new Float32Array(maxTau + 1);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    runningSum += diff[tau];
+    cmnd[tau] = runningSum > 0 ? (diff[tau] * tau) / runningSum : 1;
+  }
+
+  // Step 4: first dip under the threshold, followed to its minimum
+  let tau = minTau;
+  while (tau <= maxTau && cmnd[tau] >= YIN_THRESHOLD) tau++;
+  if (tau > maxTau) return null;
+  while (tau + 1 <= maxTau && cmnd[tau + 1] < cmnd[tau]) tau++;
+
+  // Step 5: parabolic interpolation around the minimum
+  let betterTau = tau;
+  if (tau > 1 && tau < maxTau) {
+    const a = cmnd[tau - 1];
+    const b = cmnd[tau];
+    const c = cmnd[tau + 1];
+    const denominator = a + c - 2 * b;
+    if (denominator !== 0) betterTau = tau + (a - c) / (2 * denominator);
+  }
+
+  return {
+    frequency: sampleRate / betterTau,
+    clarity: Math.max(0, Math.min(1, 1 - cmnd[tau]))
+  };
+};
+
+// ============================================================================
+// TONING ACCURACY
+// ============================================================================
+
+/**
+ * Compare a sung pitch with a target, snapping to the nearest octave of the target
+ * @param {number} sung - Detected frequency in Hz
+ * @param {number} target - Neter frequency in Hz
+ * @returns {Object} { cents, octave, targetFrequency, inTune }
+ *   cents is -600..600 from the nearest octave equivalent, octave is how many
+ *   octaves that equivalent is from the neter's own frequency.
+ */
+export const getPitchDeviation = (sung, target) => {
+  const totalCents = 1200 * Math.log2(sung / target);
+  const octave = Math.round(totalCents / 1200);
+  const cents = totalCents - octave * 1200;
+  return {
+    cents,
+    octave,
+    targetFrequency: target * Math.pow(2, octave),
+    inTune: Math.abs(cents) <= IN_TUNE_CENTS
+  };
+};
+
+/**
+ * Empty resonance tally for a new session
+ * @returns {Object} { frames, voiced, total }
+ */
+export const createResonanceTally = () => ({ frames: 0, voiced: 0, total: 0 });
+
+/**
+ * Add one detection frame to a tally
+ * @param {Object} tally - Tally from createResonanceTally()
+ * @param {number|null} cents - Deviation of this frame, or null when silent
+ * @returns {Object} New tally
+ */
+export const addResonanceFrame = (tally, cents) => {
+  if (cents === null) return { ...tally, frames: tally.frames + 1 };
+
+  const distance = Math.max(0, Math.abs(cents) - IN_TUNE_CENTS);
+  const closeness = Math.max(
+    0,
+    1 - distance / (RESONANCE_WINDOW_CENTS - IN_TUNE_CENTS)
+  );
+  return {
+    frames: tally.frames + 1,
+    voiced: tally.voiced + 1,
+    total: tally.total + closeness
+  };
+};
+
+/**
+ * Resonance score: how closely the voice held the neter's pitch while toning
+ * @param {Object} tally - Accumulated tally
+ * @returns {number|null} Score 0-100, or null if the user never sang
+ */
+export const getResonanceScore = (tally) => {
+  if (!tally || tally.voiced === 0) return null;
+  return Math.round((tally.total / tally.voiced) * 100);
+};
@@ -138,14 +138,76 @@ export const PAUTTI_NETERU = {
   },
 };
 
+// ============================================================================
+// DATA DEFINITIONS - Timbre Presets
+// ============================================================================
+
+/**
+ * Tone colours a neter voice can be built from.
+ * Each partial is one oscillator: `ratio` multiplies the carrier, `offset`
+ * adds Hz (for slow beating), `detune` is in cents, `gain` is relative.
+ * `type: 'custom'` uses a PeriodicWave built from `harmonics` (sine terms).
+ * `lowpass` softens the voice, `level` balances loudness between presets.
+ */
+export const TIMBRE_PRESETS = {
+  sine: {
+    id: 'sine',
+    name: 'Pure Sine',
+    level: 1,
+    partials: [{ type: 'sine', ratio: 1, gain: 1 }]
+  },
+  triangle: {
+    id: 'triangle',
+    name: 'Soft Triangle',
+    level: 0.9,
+    lowpass: 2400,
+    partials: [{ type: 'triangle', ratio: 1, gain: 1 }]
+  },
+  harmonic: {
+    id: 'harmonic',
+    name: 'Harmonic Stack',
+    level: 0.8,
+    harmonics: [0, 1, 0.5, 0.33, 0.25, 0.12, 0.08, 0.05],
+    partials: [{ type: 'custom', ratio: 1, gain: 1 }]
+  },
+  pad: {
+    id: 'pad',
+    name: 'Warm Pad',
+    level: 0.6,
+    lowpass: 1200,
+    partials: [
+      { type: 'sawtooth', ratio: 1, detune: -8, gain: 0.4 },
+      { type: 'sawtooth', ratio: 1, detune: 8, gain: 0.4 },
+      { type: 'triangle', ratio: 0.5, gain: 0.35 }
+    ]
+  },
+  bowl: {
+    id: 'bowl',
+    name: 'Singing Bowl',
+    level: 0.9,
+    partials: [
+      { type: 'sine', ratio: 1, gain: 1 },
+      { type: 'sine', ratio: 1, offset: 0.6, gain: 0.6 },
+      { type: 'sine', ratio: 2.76, gain: 0.4 },
+      { type: 'sine', ratio: 2.76, offset: 1.1, gain: 0.3 },
+      { type: 'sine', ratio: 5.4, gain: 0.18 },
+      { type: 'sine', ratio: 8.93, gain: 0.08 }
+    ]
+  }
+};
+
 // ============================================================================
 // STORAGE KEYS
 // ============================================================================
 
+// localStorage keys from before IndexedDB; infra/repository.js imports them once
 const STORAGE_KEYS = {
   sessions: 'kemetic_practices',
   journals: 'kemetic_journals',
-  lastNeter: 'kemetic_last_neter'
+  lastNeter: 'kemetic_last_neter',
+  journeys: 'kemetic_journeys',
+  settings: 'neteru-settings-v1',
+  volume: 'tol_volume'
 };
 
 // ============================================================================
@@ -179,6 +241,442 @@ export const getNeterById = (id) => {
  */
 export const getAllNeterIds = () => Object.keys(PAUTTI_NETERU).map(Number);
 
+// ============================================================================
+// BINAURAL BEAT CALCULATIONS
+// ============================================================================
+
+const BINAURAL_BEAT_RANGE = { min: 0.5, max: 40 };
+
+/**
+ * Clamp a binaural beat offset to the supported range
+ * @param {number} beat - Beat offset in Hz
+ * @returns {number} Beat offset within 0.5-40 Hz (defaults to 4 Hz)
+ */
+export const clampBinauralBeat = (beat) => {
+  if (typeof beat !== 'number' || Number.isNaN(beat)) return 4;
+  return Math.min(BINAURAL_BEAT_RANGE.max, Math.max(BINAURAL_BEAT_RANGE.min, beat));
+};
+
+/**
+ * Split a carrier frequency into left/right ear frequencies
+ * @param {number} carrier - Neter frequency in Hz (left ear)
+ * @param {number} beat - Beat offset in Hz added for the right ear
+ * @returns {Object} { left, right } frequencies in Hz
+ */
+export const getBinauralPair = (carrier, beat) => ({
+  left: carrier,
+  right: carrier + clampBinauralBeat(beat)
+});
+
+/**
+ * Name the brainwave band a beat offset falls into
+ * @param {number} beat - Beat offset in Hz
+ * @returns {string} Band name (Delta, Theta, Alpha, Beta, Gamma)
+ */
+export const getBrainwaveBand = (beat) => {
+  const hz = clampBinauralBeat(beat);
+  if (hz < 4) return 'Delta';
+  if (hz < 8) return 'Theta';
+  if (hz < 13) return 'Alpha';
+  if (hz < 30) return 'Beta';
+  return 'Gamma';
+};
+
+// ============================================================================
+// ISOCHRONIC PULSE CALCULATIONS
+// ============================================================================
+
+const ISOCHRONIC_RATE_RANGE = { min: 1, max: 40 };
+
+export const ISOCHRONIC_SHAPES = [
+  { id: 'square', name: 'Square' },
+  { id: 'smooth', name: 'Smoothed' },
+  { id: 'sine', name: 'Sine' }
+];
+
+export const ISOCHRONIC_RAMP_MINUTES = [5, 10, 15, 20, 30, 45, 60];
+
+/**
+ * Clamp a pulse rate to the supported range
+ * @param {number} rate - Pulses per second
+ * @returns {number} Rate within 1-40 Hz (defaults to 10 Hz)
+ */
+export const clampPulseRate = (rate) => {
+  if (typeof rate !== 'number' || Number.isNaN(rate)) return 10;
+  return Math.min(ISOCHRONIC_RATE_RANGE.max, Math.max(ISOCHRONIC_RATE_RANGE.min, rate));
+};
+
+/**
+ * Read the isochronic pulse program from settings
+ * @param {Object} settings - User settings
+ * @returns {Object|null} { shape, startRate, endRate, rampSeconds } or null when off.
+ *   Without a glide, endRate equals startRate.
+ */
+export const getPulseProgram = (settings) => {
+  if (!settings.isochronic) return null;
+  const startRate = clampPulseRate(settings.isochronicRate);
+  const glide = !!settings.isochronicRamp;
+  return {
+    shape: ISOCHRONIC_SHAPES.some((s) => s.id === settings.isochronicShape)
+      ? settings.isochronicShape
+      : 'smooth',
+    startRate,
+    endRate: glide ? clampPulseRate(settings.isochronicEndRate) : startRate,
+    rampSeconds: glide ? Math.max(1, settings.isochronicRampMinutes * 60) : 0
+  };
+};
+
+/**
+ * Pulse rate a program has reached after some time.
+ * Glides exponentially, matching AudioParam.exponentialRampToValueAtTime.
+ * @param {Object} program - Program from getPulseProgram()
+ * @param {number} elapsed - Seconds since the session started
+ * @returns {number} Pulse rate in Hz
+ */
+export const getPulseRateAt = (program, elapsed) => {
+  if (!program.rampSeconds || elapsed <= 0) return program.startRate;
+  if (elapsed >= program.rampSeconds) return program.endRate;
+  const t = elapsed / program.rampSeconds;
+  return program.startRate * Math.pow(program.endRate / program.startRate, t);
+};
+
+/**
+ * Fourier coefficients of one pulse envelope cycle, for createPeriodicWave.
+ * Square is a hard gate, smoothed rounds its edges (Lanczos sigma factors),
+ * sine swells in and out.
+ * @param {string} shape - 'square' | 'smooth' | 'sine'
+ * @returns {Object} { real, imag } Float32Arrays
+ */
+export const getPulseWaveCoefficients = (shape) => {
+  const harmonics = shape === 'sine' ? 1 : shape === 'square' ? 31 : 9;
+  const real = new Float32Array(harmonics + 1);
+  const imag = new Float32Array(harmonics + 1);
+
+  for (let n = 1; n <= harmonics; n += 2) {
+    const sigma =
+      shape === 'smooth'
+        ? Math.sin((n * Math.PI) / (harmonics + 1)) / ((n * Math.PI) / (harmonics + 1))
+        : 1;
+    imag[n] = (shape === 'sine' ? 1 : 4 / (n * Math.PI)) * sigma;
+  }
+  return { real, imag };
+};
+
+// ============================================================================
+// TIMBRE CALCULATIONS
+// ============================================================================
+
+/**
+ * Get a timbre preset by ID, falling back to pure sine
+ * @param {string} timbreId - Preset ID (sine, triangle, harmonic, pad, bowl)
+ * @returns {Object} Timbre preset
+ */
+export const getTimbre = (timbreId) =>
+  TIMBRE_PRESETS[timbreId] || TIMBRE_PRESETS.sine;
+
+/**
+ * Resolve which timbre a neter should use: its own choice, else the global one
+ * @param {Object} settings - Settings object ({ timbre, neterTimbres })
+ * @param {number} neterId - Neter ID
+ * @returns {Object} Timbre preset
+ */
+export const resolveNeterTimbre = (settings, neterId) => {
+  const perNeter = settings.neterTimbres || {};
+  return getTimbre(perNeter[neterId] || settings.timbre);
+};
+
+/**
+ * Expand a timbre into concrete oscillator specs for a carrier frequency.
+ * Gains are normalized so every preset sums to its `level`.
+ * Partials above the audible range are dropped.
+ * @param {Object} timbre - Timbre preset
+ * @param {number} frequency - Carrier frequency in Hz
+ * @returns {Array} [{ type, frequency, ratio, offset, detune, gain }].
+ *   ratio and offset let a synth keep tracking the carrier as it moves.
+ */
+export const getTimbrePartials = (timbre, frequency) => {
+  const audible = timbre.partials
+    .map((p) => ({
+      type: p.type,
+      frequency: frequency * p.ratio + (p.offset || 0),
+      ratio: p.ratio,
+      offset: p.offset || 0,
+      detune: p.detune || 0,
+      gain: p.gain
+    }))
+    .filter((p) => isValidFrequency(p.frequency));
+
+  const total = audible.reduce((sum, p) => sum + p.gain, 0) || 1;
+  return audible.map((p) => ({ ...p, gain: (p.gain / total) * timbre.level }));
+};
+
+// ============================================================================
+// SESSION TIMER CALCULATIONS
+// ============================================================================
+
+export const TIMER_LENGTHS = [0, 5, 10, 15, 20, 30, 45, 60]; // Minutes, 0 = off
+export const BELL_INTERVALS = [0, 1, 5, 10, 15]; // Minutes, 0 = off
+
+/**
+ * Offsets (seconds from start) of the interval bells in a timed session.
+ * The end of the session is excluded - it gets its own bell.
+ * @param {number} lengthMinutes - Session length in minutes
+ * @param {number} intervalMinutes - Minutes between bells (0 = none)
+ * @returns {number[]} Bell offsets in seconds, ascending
+ */
+export const getIntervalBellOffsets = (lengthMinutes, intervalMinutes) => {
+  if (!(lengthMinutes > 0) || !(intervalMinutes > 0)) return [];
+  const offsets = [];
+  for (let m = intervalMinutes; m < lengthMinutes; m += intervalMinutes) {
+    offsets.push(m * 60);
+  }
+  return offsets;
+};
+
+// ============================================================================
+// AUDIO ANALYSIS CALCULATIONS
+// ============================================================================
+
+// RMS of a sine tone at full volume (peak gain 0.3) - reads as level 1
+const FULL_SCALE_RMS = 0.3 / Math.SQRT2;
+
+/**
+ * Loudness of a block of time-domain samples
+ * @param {Float32Array} samples - Samples in -1..1
+ * @returns {number} Level 0-1 (1 = a tone at full volume)
+ */
+export const getSignalLevel = (samples) => {
+  if (!samples || samples.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.min(1, Math.sqrt(sum / samples.length) / FULL_SCALE_RMS);
+};
+
+/**
+ * Average energy of a frequency band in an analyser spectrum
+ * @param {Uint8Array} spectrum - Byte frequency data (0-255 per bin)
+ * @param {number} binHz - Width of one bin in Hz (sampleRate / fftSize)
+ * @param {number} lowHz - Band start in Hz
+ * @param {number} highHz - Band end in Hz
+ * @returns {number} Energy 0-1
+ */
+export const getBandLevel = (spectrum, binHz, lowHz, highHz) => {
+  const start = Math.max(0, Math.floor(lowHz / binHz));
+  const end = Math.min(spectrum.length - 1, Math.ceil(highHz / binHz));
+  if (end < start) return 0;
+
+  let sum = 0;
+  for (let i = start; i <= end; i++) {
+    sum += spectrum[i];
+  }
+  return sum / ((end - start + 1) * 255);
+};
+
+// ============================================================================
+// MIXING CALCULATIONS
+// ============================================================================
+
+/**
+ * Gain curve for one side of an equal-power crossfade.
+ * The two sides' powers always sum to the starting power, so loudness holds
+ * steady through the crossfade instead of dipping in the middle.
+ * @param {boolean} fadeIn - True for the incoming side, false for the outgoing
+ * @param {number} [level=1] - Full level of this side
+ * @param {number} [steps=64] - Curve resolution
+ * @returns {Float32Array} Gain values from start to end of the crossfade
+ */
+export const getEqualPowerCurve = (fadeIn, level = 1, steps = 64) => {
+  const curve = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const t = i / (steps - 1);
+    const angle = t * (Math.PI / 2);
+    curve[i] = level * (fadeIn ? Math.sin(angle) : Math.cos(angle));
+  }
+  return curve;
+};
+
+/**
+ * Gain of one voice in a chord.
+ * Voices are scaled by 1/√n so two or three spheres together sound about as
+ * loud as one, and each voice's balance (0-100) sets its share of the mix.
+ * @param {number} balance - Voice balance 0-100
+ * @param {number} count - Voices sounding together
+ * @returns {number} Gain 0-1
+ */
+export const getChordVoiceGain = (balance, count) => {
+  const share = Math.min(100, Math.max(0, balance)) / 100;
+  return share / Math.sqrt(Math.max(1, count));
+};
+
+// ============================================================================
+// CHORD (INTERVAL) CALCULATIONS
+// ============================================================================
+
+export const CHORD_MAX_VOICES = 3;
+export const CHORD_DEFAULT_BALANCE = 100; // Each voice's balance when it joins (0-100)
+
+/**
+ * Add a neter to a chord, or take it out if it's already there.
+ * The first neter is the root and stays while others come and go; once the
+ * chord is full, further spheres are ignored.
+ * @param {number[]} neterIds - Neteru in the chord, root first
+ * @param {number} neterId - Neter to toggle
+ * @returns {number[]} New chord (a single ID means back to one sphere)
+ */
+export const toggleChordNeter = (neterIds, neterId) => {
+  if (neterIds.includes(neterId)) {
+    return neterIds.length > 1 ? neterIds.filter((id) => id !== neterId) : neterIds;
+  }
+  if (neterIds.length >= CHORD_MAX_VOICES) return neterIds;
+  return [...neterIds, neterId];
+};
+
+/**
+ * Display name of a chord for the player and the practice log
+ * @param {Object[]} neters - Neteru in the chord, root first
+ * @returns {string} e.g. "Maat + Heru-Khuti"
+ */
+export const getChordName = (neters) => neters.map((n) => n.name).join(' + ');
+
+// ============================================================================
+// GLIDE (PORTAMENTO) CALCULATIONS
+// ============================================================================
+
+export const GLIDE_CURVES = [
+  { id: 'exponential', name: 'Exponential (even in pitch)' },
+  { id: 'linear', name: 'Linear (even in Hz)' }
+];
+
+const GLIDE_TIME_RANGE = { min: 0.2, max: 8 }; // Seconds
+
+/**
+ * Clamp a glide time to the supported range
+ * @param {number} seconds - Glide time
+ * @returns {number} Glide time within 0.2-8 s (defaults to 1.5 s)
+ */
+export const clampGlideTime = (seconds) => {
+  if (typeof seconds !== 'number' || Number.isNaN(seconds)) return 1.5;
+  return Math.min(GLIDE_TIME_RANGE.max, Math.max(GLIDE_TIME_RANGE.min, seconds));
+};
+
+/**
+ * How far a glide has moved in perceived pitch (log frequency).
+ * An exponential sweep moves evenly in pitch; a linear sweep in Hz covers
+ * low intervals quickly and slows toward the top. Visuals use this so the
+ * colour keeps pace with what the ear hears.
+ * @param {Object} glide - { curve, from, to } with frequencies in Hz
+ * @param {number} t - Elapsed fraction of the glide time (0-1)
+ * @returns {number} Progress 0-1
+ */
+export const getGlideProgress = ({ curve, from, to }, t) => {
+  const time = Math.min(1, Math.max(0, t));
+  if (curve !== 'linear' || from === to) return time;
+
+  const current = from + (to - from) * time;
+  return Math.log(current / from) / Math.log(to / from);
+};
+
+// ============================================================================
+// SPATIAL AUDIO CALCULATIONS
+// ============================================================================
+
+export const SPATIAL_RADIUS = 1.5; // Metres from the listener's head
+
+/**
+ * Where the tone sits around the listener for a given Ankh orientation.
+ * Facing the camera (yaw 0) the tone is straight ahead; as the Ankh turns the
+ * tone circles the head, and tilting it lifts or lowers the tone.
+ * Web Audio coordinates: listener at the origin looking down -z, +x to the right.
+ * @param {Object} orientation - { yaw, pitch } in radians
+ * @param {number} [radius=SPATIAL_RADIUS] - Orbit radius
+ * @returns {Object} { x, y, z }
+ */
+export const getOrbitPosition = ({ yaw, pitch }, radius = SPATIAL_RADIUS) => {
+  const ground = Math.cos(pitch) * radius;
+  return {
+    x: Math.sin(yaw) * ground,
+    y: Math.sin(pitch) * radius,
+    z: -Math.cos(yaw) * ground
+  };
+};
+
+// ============================================================================
+// PRIVATE JOURNAL
+// ============================================================================
+
+export const JOURNAL_LOCK_MINUTES = [1, 5, 15, 30, 60]; // Auto-lock choices
+export const PASSPHRASE_MIN_LENGTH = 8;
+
+/**
+ * Whether a journal entry is stored encrypted (text replaced by ciphertext)
+ * @param {Object} entry - Journal entry
+ * @returns {boolean}
+ */
+export const isSealedEntry = (entry) =>
+  Boolean(entry && entry.encrypted && typeof entry.encrypted.data === 'string');
+
+/**
+ * Check a new passphrase and its confirmation
+ * @param {string} passphrase - Passphrase typed
+ * @param {string} confirmation - Passphrase typed again
+ * @returns {string|null} Error message, or null if usable
+ */
+export const getPassphraseError = (passphrase, confirmation) => {
+  if (passphrase.length < PASSPHRASE_MIN_LENGTH) {
+    return `Use at least ${PASSPHRASE_MIN_LENGTH} characters.`;
+  }
+  if (passphrase !== confirmation) return "The passphrases don't match.";
+  return null;
+};
+
+// ============================================================================
+// JOURNAL REVISIONS
+// ============================================================================
+
+/**
+ * Earlier versions of an entry's text, oldest first.
+ * Each is { date, text }: the text as it stood from date until the next edit.
+ * @param {Object} entry - Journal entry
+ * @returns {Object[]}
+ */
+export const getJournalRevisions = (entry) =>
+  Array.isArray(entry.revisions) ? entry.revisions : [];
+
+/**
+ * Replace an entry's text, keeping the text it replaces as a revision
+ * @param {Object} entry - Plain (opened) journal entry
+ * @param {string} text - New text
+ * @param {string} [date] - When the edit was made (ISO string)
+ * @returns {Object} Updated entry, or the same entry if the text is unchanged
+ */
+export const reviseJournalEntry = (entry, text, date = new Date().toISOString()) => {
+  if (text === entry.text) return entry;
+  return {
+    ...entry,
+    text,
+    editedAt: date,
+    revisions: [
+      ...getJournalRevisions(entry),
+      { date: entry.editedAt || entry.date, text: entry.text }
+    ]
+  };
+};
+
+/**
+ * Bring an earlier version back as the current text. The text it replaces
+ * becomes a revision too, so restoring never loses anything.
+ * @param {Object} entry - Plain (opened) journal entry
+ * @param {number} index - Index into the entry's revisions
+ * @param {string} [date] - When the restore was made (ISO string)
+ * @returns {Object} Updated entry, or the same entry if there's nothing to restore
+ */
+export const restoreJournalRevision = (entry, index, date = new Date().toISOString()) => {
+  const revision = getJournalRevisions(entry)[index];
+  return revision ? reviseJournalEntry(entry, revision.text, date) : entry;
+};
+
 // ============================================================================
 // VALIDATION FUNCTIONS
 // ============================================================================
@@ -236,6 +734,18 @@ export const formatDuration = (seconds) => {
   return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
 };
 
+/**
+ * Format seconds as a m:ss countdown
+ * @param {number} seconds - Seconds remaining
+ * @returns {string} e.g. "2:05"
+ */
+export const formatCountdown = (seconds) => {
+  const total = Math.max(0, Math.ceil(seconds || 0));
+  const mins = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
 /**
  * Format date to locale string
  * @param {string|Date} date - Date to format
@@ -1,15 +1,14 @@
 /**
  * CORE/SETTINGS.JS
  * Settings state management for the application.
- * Handles persistence to localStorage and provides getters/setters.
+ * Keeps the settings in memory for synchronous getters/setters; the storage
+ * layer loads them at startup and is handed every change to persist.
  */
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
-const SETTINGS_KEY = 'neteru-settings-v1';
-
 /**
  * Default settings values
  * @type {Object}
@@ -18,7 +17,29 @@ const DEFAULT_SETTINGS = {
   // Audio settings
   autoplay: false,
   fadeDuration: 0.8,
-  
+  glide: false, // Sweep the pitch between spheres instead of crossfading
+  glideTime: 1.5, // Seconds
+  glideCurve: 'exponential', // exponential | linear
+  binaural: false,
+  binauralBeat: 4, // Hz offset added to the right ear (4 Hz = theta)
+  spatial: false, // HRTF tone that orbits with the Ankh (not combined with binaural)
+  isochronic: false,
+  isochronicRate: 10, // Pulses per second at the start of a session
+  isochronicShape: 'smooth', // square | smooth | sine
+  isochronicRamp: false, // Glide the pulse rate over the session
+  isochronicEndRate: 6,
+  isochronicRampMinutes: 20,
+  timbre: 'sine',
+  neterTimbres: {}, // Per-neter overrides: { [neterId]: timbreId }
+  soundscape: { pink: 0, brown: 0, wind: 0, water: 0, drone: 0 }, // Bed levels 0-100
+  timerMinutes: 0, // Session length, 0 = no timer
+  bellIntervalMinutes: 0, // Interval bells during a timed session, 0 = none
+  loudnessCompensation: false, // ISO 226 equal-loudness gain per frequency (opt-in: it cuts most spheres)
+  hearingCurve: [], // Personal calibration: [{ frequency, db }] sorted by frequency
+
+  // Journal settings
+  journalLockMinutes: 15, // Private journal locks after this long without journal use
+
   // Display settings
   reduceEffects: false,
   reduceMotion: false
@@ -28,33 +49,51 @@ const DEFAULT_SETTINGS = {
 // SETTINGS MANAGEMENT
 // ============================================================================
 
+let savedSettings = {}; // Settings as last loaded or saved (without defaults)
+let writeSettings = null; // Persists settings; set by the storage layer
+
 /**
- * Load settings from localStorage with defaults
- * @returns {Object} Settings object
+ * Start from settings loaded from storage and persist later changes
+ * through the given writer
+ * @param {Object|null} saved - Stored settings, or null for a new user
+ * @param {Function} writer - (settings) => Promise, persists a settings object
  */
-export const loadSettings = () => {
-  try {
-    const saved = localStorage.getItem(SETTINGS_KEY);
-    if (saved) {
-      return { ...DEFAULT_SETTINGS, ...JSON.parse(saved) };
-    }
-  } catch (err) {
-    console.warn('Failed to load settings:', err);
-  }
-  return { ...DEFAULT_SETTINGS };
+export const initSettings = (saved, writer) => {
+  savedSettings = saved && typeof saved === 'object' ? { ...saved } : {};
+  writeSettings = writer;
+};
+
+/**
+ * Take settings another tab saved, without writing them again
+ * @param {Object|null} saved - Settings as the other tab saved them
+ * @returns {string[]} Keys whose values changed here
+ */
+export const syncSettings = (saved) => {
+  const previous = loadSettings();
+  savedSettings = saved && typeof saved === 'object' ? { ...saved } : {};
+  const next = loadSettings();
+  return Object.keys(next).filter(
+    (key) => JSON.stringify(next[key]) !== JSON.stringify(previous[key])
+  );
 };
 
 /**
- * Save settings to localStorage
+ * Load settings with defaults
+ * @returns {Object} Settings object
+ */
+export const loadSettings = () => ({ ...DEFAULT_SETTINGS, ...savedSettings });
+
+/**
+ * Save settings and hand them to storage
  * @param {Object} settings - Settings object to save
  */
 export const saveSettings = (settings) => {
-  try {
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-    console.log('⚙️ Settings saved');
-  } catch (err) {
-    console.error('Failed to save settings:', err);
-  }
+  savedSettings = { ...settings };
+  if (!writeSettings) return;
+
+  writeSettings(savedSettings)
+    .then(() => console.log('⚙️ Settings saved'))
+    .catch((err) => console.error('Failed to save settings:', err));
 };
 
 /**
@@ -80,6 +119,33 @@ export const getSetting = (key) => {
   return settings[key] ?? DEFAULT_SETTINGS[key];
 };
 
+/**
+ * Set or clear a neter's own timbre (falls back to the global timbre)
+ * @param {number} neterId - Neter ID
+ * @param {string|null} timbreId - Timbre preset ID, or null/'' to clear
+ * @returns {Object} Updated settings object
+ */
+export const setNeterTimbre = (neterId, timbreId) => {
+  const neterTimbres = { ...loadSettings().neterTimbres };
+  if (timbreId) {
+    neterTimbres[neterId] = timbreId;
+  } else {
+    delete neterTimbres[neterId];
+  }
+  return updateSetting('neterTimbres', neterTimbres);
+};
+
+/**
+ * Set one ambient bed's level in the saved soundscape mix
+ * @param {string} bedId - Bed ID (pink, brown, wind, water, drone)
+ * @param {number} level - Level 0-100
+ * @returns {Object} Updated settings object
+ */
+export const updateSoundscapeLevel = (bedId, level) => {
+  const soundscape = { ...loadSettings().soundscape, [bedId]: level };
+  return updateSetting('soundscape', soundscape);
+};
+
 // ============================================================================
 // SETTINGS APPLICATION
 // ============================================================================
@@ -0,0 +1,147 @@
+/**
+ * CORE/WAV.JS
+ * WAV (RIFF PCM) encoding and export planning.
+ * No side effects, no mutations, no I/O.
+ *
+ * Rendering happens in infra; this module only turns sample data into bytes
+ * and describes what should be rendered.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const WAV_BIT_DEPTHS = [16, 24];
+export const EXPORT_DURATIONS = [1, 5, 10, 15, 20, 30]; // Minutes
+export const EXPORT_SAMPLE_RATE = 44100;
+
+// Long renders hold every sample in memory twice (float + PCM)
+export const MAX_EXPORT_SECONDS = 30 * 60;
+
+const WAV_HEADER_BYTES = 44;
+
+// ============================================================================
+// EXPORT PLANS
+// ============================================================================
+
+/**
+ * Plan a single-sphere export
+ * @param {Object} neter - Neter object
+ * @param {number} seconds - Length of the file
+ * @returns {Object} Plan { label, segments: [{ neterId, frequency, duration }] }
+ */
+export const createNeterExportPlan = (neter, seconds) => ({
+  label: neter.name,
+  segments: [{ neterId: neter.id, frequency: neter.frequency, duration: seconds }]
+});
+
+/**
+ * Plan a journey export (one segment per journey segment)
+ * @param {Object} journey - Journey object
+ * @param {Function} getNeter - Neter lookup by ID
+ * @returns {Object} Plan { label, segments: [{ neterId, frequency, duration }] }
+ */
+export const createJourneyExportPlan = (journey, getNeter) => ({
+  label: journey.name,
+  segments: journey.segments.map(({ neterId, duration }) => ({
+    neterId,
+    frequency: getNeter(neterId).frequency,
+    duration
+  }))
+});
+
+/**
+ * Total length of an export plan
+ * @param {Object} plan - Export plan
+ * @returns {number} Seconds
+ */
+export const getExportPlanDuration = (plan) =>
+  plan.segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+/**
+ * Build a download filename for an export
+ * @param {string} label - Plan label (neter or journey name)
+ * @param {number} bitDepth - 16 or 24
+ * @returns {string} e.g. "tree-of-life-maat-16bit.wav"
+ */
+export const getExportFilename = (label, bitDepth) => {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `tree-of-life-${slug || 'session'}-${bitDepth}bit.wav`;
+};
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Write an ASCII tag into a DataView
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset
+ * @param {string} tag - Four-character tag
+ */
+const writeTag = (view, offset, tag) => {
+  for (let i = 0; i < tag.length; i++) {
+    view.setUint8(offset + i, tag.charCodeAt(i));
+  }
+};
+
+/**
+ * Encode float sample channels as an interleaved PCM WAV file
+ * @param {Float32Array[]} channels - One array per channel, equal lengths
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} bitDepth - 16 or 24
+ * @returns {ArrayBuffer} Complete WAV file
+ */
+export const encodeWav = (channels, sampleRate, bitDepth) => {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const channelCount = channels.length;
+  const frameCount = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataBytes = frameCount * blockAlign;
+
+  const buffer = new ArrayBuffer(WAV_HEADER_BYTES + dataBytes);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeTag(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeTag(view, 8, 'WAVE');
+
+  // fmt chunk (PCM)
+  writeTag(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeTag(view, 36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  const maxValue = 2 ** (bitDepth - 1) - 1;
+  let offset = WAV_HEADER_BYTES;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+      const value = Math.round(sample * maxValue);
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        // 24-bit little endian, written byte by byte
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+};
@@ -0,0 +1,154 @@
+/**
+ * CORE/ZIP.JS
+ * ZIP archive encoding.
+ * No side effects, no mutations, no I/O.
+ *
+ * Files are stored without compression: journal notes are small, and a
+ * stored archive opens in every unzip tool and note-taking app. Names are
+ * UTF-8 (general purpose flag bit 11).
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_RECORD_BYTES = 22;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_RECORD_SIGNATURE = 0x06054b50;
+
+const ZIP_VERSION = 20; // 2.0, understood by every reader
+const UTF8_NAMES = 0x0800;
+const STORED = 0; // Compression method: none
+
+const MAX_ENTRIES = 0xffff; // Without ZIP64 extensions
+
+/**
+ * CRC-32 lookup table (IEEE polynomial, as ZIP uses)
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * MS-DOS date and time fields (local time, 2-second resolution, 1980-2107)
+ * @param {Date} date - Modification time
+ * @returns {Object} { time, date } as 16-bit values
+ */
+const getDosDateTime = (date) => {
+  const year = Math.min(2107, Math.max(1980, date.getFullYear()));
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+/**
+ * Pack files into a ZIP archive
+ * @param {Object[]} files - [{ name: 'folder/file.md', data: Uint8Array, date: Date }]
+ * @returns {Uint8Array} Archive bytes
+ */
+export const createZip = (files) => {
+  if (files.length > MAX_ENTRIES) {
+    throw new Error(`A zip can hold at most ${MAX_ENTRIES} files`);
+  }
+
+  const encoder = new TextEncoder();
+  const entries = files.map((file) => {
+    const modified = file.date instanceof Date && !isNaN(file.date) ? file.date : new Date();
+    return {
+      name: encoder.encode(file.name),
+      data: file.data,
+      crc: crc32(file.data),
+      ...getDosDateTime(modified)
+    };
+  });
+
+  const localSize = entries.reduce(
+    (sum, entry) => sum + LOCAL_HEADER_BYTES + entry.name.length + entry.data.length,
+    0
+  );
+  const centralSize = entries.reduce(
+    (sum, entry) => sum + CENTRAL_HEADER_BYTES + entry.name.length,
+    0
+  );
+  const bytes = new Uint8Array(localSize + centralSize + END_RECORD_BYTES);
+  const view = new DataView(bytes.buffer);
+
+  // Local headers, each followed by its file
+  let offset = 0;
+  const offsets = entries.map((entry) => {
+    const start = offset;
+    view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, ZIP_VERSION, true);
+    view.setUint16(offset + 6, UTF8_NAMES, true);
+    view.setUint16(offset + 8, STORED, true);
+    view.setUint16(offset + 10, entry.time, true);
+    view.setUint16(offset + 12, entry.date, true);
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.data.length, true); // Compressed size
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.name.length, true);
+    view.setUint16(offset + 28, 0, true); // No extra field
+    bytes.set(entry.name, offset + LOCAL_HEADER_BYTES);
+    bytes.set(entry.data, offset + LOCAL_HEADER_BYTES + entry.name.length);
+    offset += LOCAL_HEADER_BYTES + entry.name.length + entry.data.length;
+    return start;
+  });
+
+  // Central directory
+  entries.forEach((entry, i) => {
+    view.setUint32(offset, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, ZIP_VERSION, true); // Made by
+    view.setUint16(offset + 6, ZIP_VERSION, true); // Needed to extract
+    view.setUint16(offset + 8, UTF8_NAMES, true);
+    view.setUint16(offset + 10, STORED, true);
+    view.setUint16(offset + 12, entry.time, true);
+    view.setUint16(offset + 14, entry.date, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.name.length, true);
+    // Extra field, comment, disk number and attributes stay 0
+    view.setUint32(offset + 42, offsets[i], true);
+    bytes.set(entry.name, offset + CENTRAL_HEADER_BYTES);
+    offset += CENTRAL_HEADER_BYTES + entry.name.length;
+  });
+
+  // End of central directory
+  view.setUint32(offset, END_RECORD_SIGNATURE, true);
+  view.setUint16(offset + 8, entries.length, true); // On this disk
+  view.setUint16(offset + 10, entries.length, true); // In total
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, localSize, true); // Where the directory starts
+  return bytes;
+};
@@ -0,0 +1,93 @@
+/**
+ * INFRA/COURIER.JS
+ * Messages between tabs of the app open in the same browser.
+ * Handles: BroadcastChannel delivery, with a localStorage `storage` event
+ * fallback for browsers without it.
+ *
+ * Messages never reach the tab that sent them. They carry notices of what
+ * changed (and small values like settings), never journal text or keys.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CHANNEL_NAME = "tree-of-life";
+const FALLBACK_KEY = "tol_sync"; // localStorage key whose changes carry messages
+
+/**
+ * This tab's ID, so tabs can tell each other apart
+ * @type {string}
+ */
+const TAB_ID =
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+let channel = null; // BroadcastChannel, or null when using the fallback
+let deliver = null; // Handler for incoming messages
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+/**
+ * Hand a received message to the handler if it's well-formed and from
+ * another tab
+ * @param {*} message - Received data
+ */
+const receive = (message) => {
+  if (!deliver || !message || typeof message.type !== "string") return;
+  if (message.from === TAB_ID) return;
+  deliver(message);
+};
+
+/**
+ * Fallback delivery: another tab wrote the message key
+ * @param {StorageEvent} event - storage event
+ */
+const handleStorage = (event) => {
+  if (event.key !== FALLBACK_KEY || !event.newValue) return;
+  try {
+    receive(JSON.parse(event.newValue));
+  } catch (err) {
+    console.warn("Ignoring malformed tab message:", err);
+  }
+};
+
+/**
+ * Start listening for messages from other tabs (once; later calls replace
+ * the handler)
+ * @param {Function} onMessage - Called with { from, type, detail }
+ */
+export const openCourier = (onMessage) => {
+  deliver = onMessage;
+  if (channel) return;
+
+  if (typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener("message", (event) => receive(event.data));
+  } else {
+    window.addEventListener("storage", handleStorage);
+  }
+};
+
+/**
+ * Send a message to every other open tab
+ * @param {string} type - Message type
+ * @param {Object} [detail] - Structured-cloneable, JSON-safe payload
+ */
+export const sendToTabs = (type, detail = {}) => {
+  const message = { from: TAB_ID, type, detail };
+  try {
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      // A unique stamp so repeating the same message still changes the key
+      const stamp = `${Date.now()}-${Math.random()}`;
+      localStorage.setItem(FALLBACK_KEY, JSON.stringify({ ...message, stamp }));
+    }
+  } catch (err) {
+    console.warn("Could not message other tabs:", err);
+  }
+};
@@ -1,24 +1,162 @@
 /**
  * INFRA/MESSENGER.JS
  * All side effects, I/O operations, and external communications.
- * Handles: Audio (Web Audio API), localStorage, async operations.
+ * Handles: Audio (Web Audio API), IndexedDB storage, journal encryption,
+ * messages between open tabs, async operations.
  *
  * This module is IMPURE - it talks to the outside world.
  * Contains async/await where needed and proper error handling.
  */
 
-import { storageKeys, isValidFrequency } from "../core/pure.js";
-import { getSetting } from "../core/settings.js";
+import {
+  isValidFrequency,
+  getBinauralPair,
+  resolveNeterTimbre,
+  getTimbrePartials,
+  getSignalLevel,
+  getBandLevel,
+  getEqualPowerCurve,
+  getChordVoiceGain,
+  getPulseProgram,
+  getPulseRateAt,
+  getPulseWaveCoefficients,
+  getOrbitPosition,
+  SPATIAL_RADIUS,
+  clampBinauralBeat,
+  clampGlideTime,
+  isSealedEntry,
+} from "../core/pure.js";
+import { encodeWav, getExportPlanDuration } from "../core/wav.js";
+import { getToneGainDb, dbToGain } from "../core/loudness.js";
+import { getSetting, loadSettings, initSettings, syncSettings } from "../core/settings.js";
+import {
+  HISTORY_PAGE_SIZE,
+  getSessionRollupIds,
+  countSessions,
+  getCompactionBounds,
+} from "../core/history.js";
+import {
+  createBed,
+  stopBed,
+  disconnectBed,
+  bedLevelToGain,
+} from "./soundscape.js";
+import {
+  isVaultSupported,
+  createLock,
+  unlockKeys,
+  sealText,
+  openText,
+} from "./vault.js";
+import {
+  STORES,
+  SETTINGS_RECORD,
+  getAllRecords,
+  getRecord,
+  putRecord,
+  deleteRecord,
+  clearStores,
+  writeBatch,
+  getRecordsByIndex,
+  getRecordPage,
+  deleteRange,
+  updateRecords,
+} from "./repository.js";
+import { openCourier, sendToTabs } from "./courier.js";
+import toneWorkletUrl from "./tone-worklet.js?url";
 
 // ============================================================================
 // AUDIO ENGINE - Web Audio API
 // ============================================================================
 
+/*
+ * Mixer graph:
+ *   voice ─┐
+ *   voice ─┴────── toneBus ─ (spatialPanner) ─┐
+ *   beds ───────── ambientBus ────────────────┼─ master (volume, mute) ─ limiter ─ analyser ─ speakers
+ *   bells ──────── bellBus ───────────────────┘
+ * Each voice owns its fade envelope, each layer bus has a fixed level, and
+ * only the master carries the volume slider and mute. In a chord each voice
+ * passes through its own balance gain on the way into the toneBus.
+ *
+ * Voices are synthesized by the tone worklet (infra/tone-worklet.js) where
+ * AudioWorklet is available, otherwise by OscillatorNodes. Both engines give a
+ * voice the same shape (see createVoice), so playback code doesn't care which.
+ */
+const TONE_LEVEL = 0.3; // Gentle max level for healing tones
+const AMBIENT_LEVEL = 0.3;
+const BELL_LEVEL = 0.45; // Bells sit a little above the tone so they cut through it
+const CROSSFADE_TIME = 0.35; // 350ms fast but smooth crossfade
+
 let audioContext = null;
-let gainNode = null;
-let oscillator = null;
+let toneBus = null; // Tone voices mix here
+let spatialPanner = null; // HRTF panner between toneBus and master while spatial mode is on
+let voice = null; // Active tone voice (see createVoice)
+let ambientBus = null; // Soundscape beds mix here, independent of tone fades
+let beds = {}; // Running ambient beds by ID
+let bellBus = null; // Meditation bells, outside tone and soundscape fades
+let master = null; // Master volume and mute
+let analyser = null; // Taps everything that reaches the speakers
+let analyserSamples = null;
+let analyserSpectrum = null;
 let isPlaying = false;
+let isMuted = false;
+let sessionStartTime = 0; // Context time the current session began (pulse program)
 let audioUnlocked = false;
+let toneWorkletReady = null; // Resolves once the live context tried to load the worklet
+
+const TONE_PROCESSOR = "tone-voice";
+const workletContexts = new WeakSet(); // Contexts the tone processor loaded into
+
+/**
+ * Build the shared end of the mixer: master gain into a brickwall-style limiter
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {AudioNode} destination - Where the limited signal goes
+ * @param {number} volume - Initial master gain (0-1)
+ * @returns {Object} { master, limiter }
+ */
+const createOutputChain = (ctx, destination, volume) => {
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = -3;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.003;
+  limiter.release.value = 0.25;
+  limiter.connect(destination);
+
+  const masterGain = ctx.createGain();
+  masterGain.gain.value = volume;
+  masterGain.connect(limiter);
+
+  return { master: masterGain, limiter };
+};
+
+/**
+ * Create a layer bus feeding the master
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {AudioNode} destination - Master gain
+ * @param {number} level - Initial bus gain
+ * @returns {GainNode}
+ */
+const createBus = (ctx, destination, level) => {
+  const bus = ctx.createGain();
+  bus.gain.value = level;
+  bus.connect(destination);
+  return bus;
+};
+
+/**
+ * Ramp an AudioParam from its current value, replacing pending automation
+ * @param {AudioParam} param - Param to ramp
+ * @param {number} value - Target value
+ * @param {number} duration - Ramp time in seconds
+ */
+const rampTo = (param, value, duration) => {
+  const now = audioContext.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  param.linearRampToValueAtTime(value, now + duration);
+};
 
 /**
  * Synchronously initialize audio context (call from user gesture handler)
@@ -30,9 +168,21 @@ const initAudioContextSync = () => {
   const AudioCtx = window.AudioContext || window.webkitAudioContext;
   audioContext = new AudioCtx();
 
-  gainNode = audioContext.createGain();
-  gainNode.gain.value = 0; // Start at 0 for fade in
-  gainNode.connect(audioContext.destination);
+  // The analyser sits after the limiter so visuals follow what is heard
+  analyser = audioContext.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0.75;
+  analyser.connect(audioContext.destination);
+  analyserSamples = new Float32Array(analyser.fftSize);
+  analyserSpectrum = new Uint8Array(analyser.frequencyBinCount);
+
+  ({ master } = createOutputChain(audioContext, analyser, getVolume() / 100));
+  toneWorkletReady = loadToneWorklet(audioContext);
+
+  toneBus = createBus(audioContext, master, TONE_LEVEL);
+  refreshSpatialMode();
+  ambientBus = createBus(audioContext, master, 0); // Fades in with the tone
+  bellBus = createBus(audioContext, master, BELL_LEVEL);
 
   console.log("🔊 AudioContext created, state:", audioContext.state);
 };
@@ -78,362 +228,1959 @@ export const ensureAudioContext = async () => {
 
   // Step 3: Unlock for iOS Safari
   unlockAudioForMobile();
+
+  // Step 4: Voices need to know which engine they get
+  await toneWorkletReady;
 };
 
 /**
- * Play frequency tone with fade in
- * @param {number} frequency - Frequency in Hz
- * @returns {Promise<number>} Timestamp when playback started
+ * Load the tone processor into a context.
+ * Failure is not an error: voices on that context fall back to oscillators.
+ * @param {BaseAudioContext} ctx - Live or offline context
+ * @returns {Promise<boolean>} True if worklet voices are available
  */
-export const playFrequency = async (frequency) => {
-  if (!isValidFrequency(frequency)) {
-    throw new Error(`Invalid frequency: ${frequency}`);
+const loadToneWorklet = async (ctx) => {
+  if (!ctx.audioWorklet || typeof AudioWorkletNode === "undefined") {
+    console.info("AudioWorklet not available, using oscillator voices");
+    return false;
+  }
+  try {
+    await ctx.audioWorklet.addModule(toneWorkletUrl);
+    workletContexts.add(ctx);
+    return true;
+  } catch (err) {
+    console.warn("Tone worklet failed to load, using oscillator voices:", err);
+    return false;
   }
+};
 
-  await ensureAudioContext();
+/**
+ * Read the current voice options from user settings
+ * @param {number} [neterId] - Neter the voice is for (per-neter timbre)
+ * @param {number} frequency - Carrier frequency (loudness compensation)
+ * @param {number} [personalDb] - Personal offset overriding the saved hearing curve
+ * @returns {Object} Voice options { binaural, beat, timbre, level, pulse }
+ */
+const getVoiceOptions = (neterId, frequency, personalDb) => {
+  const settings = loadSettings();
+  return {
+    binaural: !!settings.binaural,
+    beat: settings.binauralBeat,
+    timbre: resolveNeterTimbre(settings, neterId),
+    level: dbToGain(getToneGainDb(settings, frequency, personalDb)),
+    pulse: getPulseProgram(settings),
+  };
+};
 
-  // Debug: Log audio context state
-  console.log("📊 [playFrequency] AudioContext state:", audioContext.state);
+/**
+ * Soften a source with the timbre's lowpass, if it has one
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {Object} timbre - Timbre preset
+ * @param {AudioNode} source - Node to filter
+ * @param {Object} voiceNodes - Collector { oscillators, nodes }
+ * @returns {AudioNode} Filter, or the source unchanged
+ */
+const applyTimbreLowpass = (ctx, timbre, source, voiceNodes) => {
+  if (!timbre.lowpass) return source;
 
-  // Stop existing oscillator if playing
-  if (oscillator) {
-    await stopSound();
-  }
+  const filter = ctx.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = timbre.lowpass;
+  source.connect(filter);
+  voiceNodes.nodes.push(filter);
+  return filter;
+};
 
-  oscillator = audioContext.createOscillator();
-  oscillator.type = "sine"; // Pure sine wave for healing tones
-  oscillator.frequency.value = frequency;
-  oscillator.connect(gainNode);
-  oscillator.start();
+/**
+ * Build the oscillators for one ear of a voice (oscillator engine)
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {Object} timbre - Timbre preset
+ * @param {number} frequency - Frequency for this ear in Hz
+ * @param {Object} voiceNodes - Collector { oscillators, nodes, tuning }
+ * @param {number} [earOffset=0] - Hz this ear sits above the carrier (binaural right ear)
+ * @returns {AudioNode} Ear output node
+ */
+const createEar = (ctx, timbre, frequency, voiceNodes, earOffset = 0) => {
+  const ear = ctx.createGain();
+  voiceNodes.nodes.push(ear);
+  const output = applyTimbreLowpass(ctx, timbre, ear, voiceNodes);
 
-  // Get stored volume (0-100) and convert to audio level (0-0.3)
-  const storedVolume = getVolume();
-  const targetVolume = (storedVolume / 100) * 0.3;
+  getTimbrePartials(timbre, frequency).forEach((partial) => {
+    const osc = ctx.createOscillator();
+    if (partial.type === "custom") {
+      const imag = new Float32Array(timbre.harmonics);
+      osc.setPeriodicWave(
+        ctx.createPeriodicWave(new Float32Array(imag.length), imag)
+      );
+    } else {
+      osc.type = partial.type;
+    }
+    osc.frequency.value = partial.frequency;
+    osc.detune.value = partial.detune;
 
-  // Fade in using user setting
-  const fadeDuration = getSetting("fadeDuration") || 0.8;
-  const now = audioContext.currentTime;
-  gainNode.gain.setValueAtTime(0, now);
-  gainNode.gain.linearRampToValueAtTime(targetVolume, now + fadeDuration);
+    const partialGain = ctx.createGain();
+    partialGain.gain.value = partial.gain;
+    osc.connect(partialGain);
+    partialGain.connect(ear);
 
-  // Debug: Log volume info
-  console.log("🔊 [playFrequency] Volume debug:", {
-    storedVolume,
-    targetVolume,
-    fadeDuration,
-    contextTime: now,
-    contextState: audioContext.state,
+    voiceNodes.oscillators.push(osc);
+    voiceNodes.nodes.push(partialGain);
+    voiceNodes.tuning.push({
+      param: osc.frequency,
+      ratio: partial.ratio,
+      offset: partial.offset,
+      earOffset,
+    });
   });
 
-  isPlaying = true;
-  return Date.now();
+  return output;
 };
 
 /**
- * Smoothly transition to a new frequency without stopping
- * @param {number} newFrequency - The target frequency in Hz
- * @returns {Promise<void>}
+ * Build an isochronic gate: a gain swung between 0 and 1 by a pulse-shaped LFO.
+ * The rate picks the pulse program up at sessionTime, so a voice created
+ * mid-session (crossfade, export segment) continues the glide seamlessly.
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {Object} program - Pulse program from getPulseProgram()
+ * @param {Object} voiceNodes - Collector { oscillators, nodes }
+ * @param {number} when - Context time the voice starts
+ * @param {number} sessionTime - Seconds into the session at `when`
+ * @returns {GainNode} Gate to connect the ears into
  */
-export const transitionFrequency = async (newFrequency) => {
-  if (!isValidFrequency(newFrequency)) {
-    throw new Error(`Invalid frequency: ${newFrequency}`);
-  }
+const createPulseGate = (ctx, program, voiceNodes, when, sessionTime) => {
+  const gate = ctx.createGain();
+  gate.gain.value = 0.5;
 
-  if (!oscillator || !isPlaying) {
-    // If not playing, just start normally
-    return playFrequency(newFrequency);
+  // The periodic wave is normalized to ±1, so 0.5 ± 0.5 spans silence to full
+  const { real, imag } = getPulseWaveCoefficients(program.shape);
+  const lfo = ctx.createOscillator();
+  lfo.setPeriodicWave(ctx.createPeriodicWave(real, imag));
+  const depth = ctx.createGain();
+  depth.gain.value = 0.5;
+  lfo.connect(depth);
+  depth.connect(gate.gain);
+
+  lfo.frequency.setValueAtTime(getPulseRateAt(program, sessionTime), when);
+  const remaining = program.rampSeconds - sessionTime;
+  if (remaining > 0) {
+    lfo.frequency.exponentialRampToValueAtTime(program.endRate, when + remaining);
   }
 
-  await ensureAudioContext();
+  voiceNodes.oscillators.push(lfo);
+  voiceNodes.nodes.push(gate, depth);
+  return gate;
+};
 
-  const now = audioContext.currentTime;
-  const crossfadeTime = 0.35; // 350ms fast but smooth crossfade
+/**
+ * Oscillator engine: one OscillatorNode per partial per ear, then a gain
+ * envelope. Binaural voices send the carrier to the left ear and
+ * carrier + beat to the right ear through a channel merger.
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {number} frequency - Carrier frequency in Hz
+ * @param {Object} options - Voice options from getVoiceOptions()
+ * @param {Object} voiceNodes - Collector { oscillators, nodes }
+ * @returns {Object} { output, envelope, synth: null }
+ */
+const createOscillatorSource = (ctx, frequency, options, voiceNodes) => {
+  const envelope = ctx.createGain();
+  envelope.gain.value = 0;
+  voiceNodes.nodes.push(envelope);
 
-  console.log(
-    "🔄 Crossfading from",
-    oscillator.frequency.value,
-    "Hz to",
-    newFrequency,
-    "Hz"
-  );
+  if (!options.binaural) {
+    createEar(ctx, options.timbre, frequency, voiceNodes).connect(envelope);
+  } else {
+    const { left, right } = getBinauralPair(frequency, options.beat);
+    const merger = ctx.createChannelMerger(2);
+    createEar(ctx, options.timbre, left, voiceNodes).connect(merger, 0, 0);
+    createEar(ctx, options.timbre, right, voiceNodes, right - left).connect(merger, 0, 1);
+    merger.connect(envelope);
+    voiceNodes.nodes.push(merger);
+  }
 
-  // Store reference to old oscillator
-  const oldOscillator = oscillator;
-
-  // Create new oscillator immediately
-  oscillator = audioContext.createOscillator();
-  oscillator.type = "sine";
-  oscillator.frequency.value = newFrequency;
-  oscillator.connect(gainNode);
-  oscillator.start(now);
-
-  // Crossfade: fade out old gain, then fade in new
-  const currentGain = gainNode.gain.value;
-  const storedVolume = getVolume();
-  const targetVolume = (storedVolume / 100) * 0.3;
-
-  // Debug: Log crossfade volume info
-  console.log("🔊 [transitionFrequency] Volume debug:", {
-    currentGain,
-    storedVolume,
-    targetVolume,
-    crossfadeTime,
-    contextState: audioContext.state,
+  return { output: envelope, envelope: envelope.gain, synth: null };
+};
+
+/**
+ * Worklet engine: a single tone-voice processor renders every partial of
+ * both ears with continuous phase, with frequency, beat and the envelope as
+ * sample-accurate params.
+ * @param {BaseAudioContext} ctx - Audio context with the tone processor loaded
+ * @param {number} frequency - Carrier frequency in Hz
+ * @param {Object} options - Voice options from getVoiceOptions()
+ * @param {Object} voiceNodes - Collector { oscillators, nodes }
+ * @param {number} when - Context time the voice starts
+ * @returns {Object} { output, envelope, synth }
+ */
+const createWorkletSource = (ctx, frequency, options, voiceNodes, when) => {
+  const { timbre } = options;
+  const synth = new AudioWorkletNode(ctx, TONE_PROCESSOR, {
+    numberOfInputs: 0,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    parameterData: {
+      frequency,
+      beat: options.binaural ? clampBinauralBeat(options.beat) : 0,
+      gain: 0,
+    },
+    processorOptions: {
+      partials: getTimbrePartials(timbre, frequency).map(
+        ({ type, ratio, offset, detune, gain }) => ({ type, ratio, offset, detune, gain })
+      ),
+      harmonics: timbre.harmonics || [],
+      binaural: !!options.binaural,
+      startTime: when,
+    },
+  });
+  voiceNodes.nodes.push(synth);
+  voiceNodes.tuning.push({
+    param: synth.parameters.get("frequency"),
+    ratio: 1,
+    offset: 0,
+    earOffset: 0, // The processor adds the beat itself
   });
 
-  gainNode.gain.setValueAtTime(currentGain, now);
-  gainNode.gain.linearRampToValueAtTime(0, now + crossfadeTime / 2);
-  gainNode.gain.linearRampToValueAtTime(targetVolume, now + crossfadeTime);
+  return {
+    output: applyTimbreLowpass(ctx, timbre, synth, voiceNodes),
+    envelope: synth.parameters.get("gain"),
+    synth,
+  };
+};
 
-  // Stop old oscillator at the midpoint of crossfade
-  try {
-    oldOscillator.stop(now + crossfadeTime / 2);
-  } catch (err) {
-    console.warn("Error stopping old oscillator:", err);
+/**
+ * Build and start a tone voice on any audio context.
+ * Takes the context as a parameter so the same graph can be rendered offline;
+ * the engine is the worklet when it loaded into that context.
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {AudioNode} destination - Node the voice connects to
+ * @param {number} frequency - Carrier frequency in Hz
+ * @param {Object} options - Voice options from getVoiceOptions()
+ * @param {number} [when=0] - Context time to start the oscillators
+ * @param {number} [sessionTime=0] - Seconds into the session at `when` (pulse program)
+ * @returns {Object} Voice { frequency, timbre, options, trim, envelope, synth, oscillators, nodes, tuning }.
+ *   trim holds the loudness correction, envelope is the fade AudioParam (starts
+ *   silent), synth is the worklet node or null on the oscillator engine.
+ *   tuning lists the frequency params that follow the carrier (for glides).
+ */
+const createVoice = (ctx, destination, frequency, options, when = 0, sessionTime = 0) => {
+  const trim = ctx.createGain();
+  trim.gain.value = options.level ?? 1;
+  trim.connect(destination);
+  const voiceNodes = { oscillators: [], nodes: [trim], tuning: [] };
+
+  // Isochronic mode gates the ears before the loudness trim
+  let input = trim;
+  if (options.pulse) {
+    input = createPulseGate(ctx, options.pulse, voiceNodes, when, sessionTime);
+    input.connect(trim);
   }
 
-  // Clean up old oscillator after it stops
-  setTimeout(() => {
-    try {
-      oldOscillator.disconnect();
-      console.log("✅ Old oscillator disconnected");
-    } catch (err) {
-      console.warn("Error disconnecting old oscillator:", err);
-    }
-  }, (crossfadeTime / 2) * 1000 + 100);
+  const createSource = workletContexts.has(ctx)
+    ? createWorkletSource
+    : createOscillatorSource;
+  const { output, envelope, synth } = createSource(ctx, frequency, options, voiceNodes, when);
+  output.connect(input);
 
-  // Keep playing state true
-  isPlaying = true;
+  voiceNodes.oscillators.forEach((osc) => osc.start(when));
 
-  console.log("🎵 New oscillator playing at", newFrequency, "Hz");
+  return {
+    frequency,
+    timbre: options.timbre.id,
+    options,
+    trim,
+    envelope,
+    synth,
+    ...voiceNodes,
+  };
 };
 
 /**
- * Stop currently playing sound with smooth fade out
- * @returns {Promise<number|null>} Timestamp when stopped, or null if nothing playing
+ * Whether new options keep a voice's structure: same timbre, ear layout and
+ * pulse program, so the running nodes can be moved instead of replaced
+ * @param {Object} target - Voice from createVoice()
+ * @param {Object} options - Requested voice options
+ * @returns {boolean}
  */
-export const stopSound = async () => {
-  if (!oscillator || !isPlaying) return null;
-
-  try {
-    const now = audioContext.currentTime;
-    const fadeTime = getSetting("fadeDuration") || 0.8; // Use user setting
+const hasSameLayout = (target, options) =>
+  target.timbre === options.timbre.id &&
+  target.options.binaural === options.binaural &&
+  JSON.stringify(target.options.pulse) === JSON.stringify(options.pulse);
 
-    // Fade out
-    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-    gainNode.gain.linearRampToValueAtTime(0, now + fadeTime);
-
-    // Stop oscillator after fade
-    await new Promise((resolve) => setTimeout(resolve, fadeTime * 1000));
+/**
+ * Whether a playing voice can take new options in place: same frequency and
+ * layout, on the worklet engine (whose beat param changes without a phase jump)
+ * @param {Object} target - Voice from createVoice()
+ * @param {number} frequency - Requested frequency in Hz
+ * @param {Object} options - Requested voice options
+ * @returns {boolean}
+ */
+const canRetuneVoice = (target, frequency, options) =>
+  Boolean(target.synth) &&
+  target.frequency === frequency &&
+  hasSameLayout(target, options);
 
-    if (oscillator) {
-      oscillator.stop();
-      oscillator.disconnect();
-      oscillator = null;
-    }
-    isPlaying = false;
-  } catch (err) {
-    console.warn("Error stopping oscillator:", err);
-    oscillator = null;
-    isPlaying = false;
+/**
+ * Glide a worklet voice to new beat and level settings, phase-continuously
+ * @param {Object} target - Voice that passed canRetuneVoice()
+ * @param {Object} options - New voice options
+ * @param {number} duration - Glide time in seconds
+ */
+const retuneVoice = (target, options, duration) => {
+  if (options.binaural) {
+    rampTo(target.synth.parameters.get("beat"), clampBinauralBeat(options.beat), duration);
   }
-
-  return Date.now();
+  rampTo(target.trim.gain, options.level ?? 1, duration);
+  target.options = options;
 };
 
 /**
- * Set volume level
- * @param {number} volume - Volume level (0-100)
+ * Sweep a voice's pitch to a new carrier (portamento). Every partial follows
+ * the carrier, the binaural ear keeps its offset, and the loudness trim moves
+ * to the new frequency's level over the same time.
+ * @param {Object} target - Voice with the same layout as the new options
+ * @param {number} frequency - New carrier in Hz
+ * @param {Object} options - Voice options for the new frequency
+ * @param {Object} glide - { duration, curve } (curve: 'exponential' | 'linear')
  */
-export const setVolume = (volume) => {
-  if (!gainNode) return;
+const glideVoice = (target, frequency, options, glide) => {
+  const now = audioContext.currentTime;
+  const end = now + glide.duration;
 
-  // Convert 0-100 to 0-0.3 (gentle max volume for healing tones)
-  const normalizedVolume = Math.max(0, Math.min(100, volume)) / 100;
-  const audioVolume = normalizedVolume * 0.3;
+  target.tuning.forEach(({ param, ratio, offset, earOffset }) => {
+    const value = (frequency + earOffset) * ratio + offset;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    if (glide.curve === "linear") {
+      param.linearRampToValueAtTime(value, end);
+    } else {
+      param.exponentialRampToValueAtTime(value, end);
+    }
+  });
+  rampTo(target.trim.gain, options.level ?? 1, glide.duration);
 
-  // Smooth volume change
-  const now = audioContext?.currentTime || 0;
-  gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-  gainNode.gain.linearRampToValueAtTime(audioVolume, now + 0.1);
+  target.frequency = frequency;
+  target.options = options;
+};
 
-  // Store in localStorage
-  try {
-    localStorage.setItem("tol_volume", volume.toString());
-  } catch (err) {
-    console.warn("Could not save volume:", err);
+/**
+ * Schedule a gain curve as short linear ramps.
+ * Unlike setValueCurveAtTime this can be cancelled and overlapped, so a
+ * crossfade can start while the previous one is still running.
+ * @param {AudioParam} param - Param to automate
+ * @param {Float32Array} curve - Values from start to end
+ * @param {number} when - Context time the curve starts
+ * @param {number} duration - Curve length in seconds
+ */
+const scheduleCurve = (param, curve, when, duration) => {
+  param.cancelScheduledValues(when);
+  param.setValueAtTime(curve[0], when);
+  for (let i = 1; i < curve.length; i++) {
+    param.linearRampToValueAtTime(curve[i], when + (i / (curve.length - 1)) * duration);
   }
 };
 
 /**
- * Get current volume level from storage
- * @returns {number} Volume level (0-100)
+ * Schedule an equal-power crossfade between two voices
+ * @param {Object} outgoing - Voice fading out (from its current level)
+ * @param {Object} incoming - Voice fading in to full level
+ * @param {number} when - Context time the crossfade starts
+ * @param {number} duration - Crossfade length in seconds
  */
-export const getVolume = () => {
-  try {
-    const stored = localStorage.getItem("tol_volume");
-    return stored ? parseInt(stored, 10) : 75;
-  } catch (err) {
-    return 75; // Default volume
-  }
+const crossfadeVoices = (outgoing, incoming, when, duration) => {
+  scheduleCurve(incoming.envelope, getEqualPowerCurve(true), when, duration);
+  scheduleCurve(
+    outgoing.envelope,
+    getEqualPowerCurve(false, outgoing.envelope.value),
+    when,
+    duration
+  );
 };
 
 /**
- * Get current audio playing state
- * @returns {boolean}
+ * Schedule a voice to stop (worklet processor and any oscillators)
+ * @param {Object} target - Voice from createVoice()
+ * @param {number} [when=0] - Context time to stop at
  */
-export const getIsPlaying = () => isPlaying;
+const stopVoice = (target, when = 0) => {
+  if (target.synth) {
+    target.synth.port.postMessage({ type: "stop", when });
+  }
+  target.oscillators.forEach((osc) => osc.stop(when));
+};
 
 /**
- * Get current audio context time for synchronization
- * @returns {number|null}
+ * Disconnect every node of a voice from the graph
+ * @param {Object} target - Voice from createVoice()
  */
-export const getAudioTime = () =>
-  audioContext ? audioContext.currentTime : null;
+const disconnectVoice = (target) => {
+  target.oscillators.forEach((osc) => osc.disconnect());
+  target.nodes.forEach((node) => node.disconnect());
+};
 
 /**
- * Toggle mute state
- * @param {boolean} muted - True to mute, false to unmute
- * @returns {Promise<void>}
+ * Stop a voice at a context time and disconnect it once it has actually
+ * ended on the audio clock, rather than after a main-thread timer that can
+ * fire early (click) or be throttled (voice left running)
+ * @param {Object} target - Voice from createVoice()
+ * @param {number} when - Context time to stop at
  */
-export const setMuteState = async (muted) => {
-  await ensureAudioContext();
-  gainNode.gain.value = muted ? 0 : 0.15;
+const releaseVoice = (target, when) => {
+  const release = () => {
+    try {
+      disconnectVoice(target);
+    } catch (err) {
+      console.warn("Error disconnecting voice:", err);
+    }
+  };
+
+  if (target.synth) {
+    target.synth.port.onmessage = (event) => {
+      if (event.data.type === "ended") release();
+    };
+  } else if (target.oscillators.length) {
+    target.oscillators[0].onended = release;
+  }
+  stopVoice(target, when);
 };
 
 // ============================================================================
-// LOCALSTORAGE OPERATIONS
+// AMBIENT SOUNDSCAPE
 // ============================================================================
 
 /**
- * Safe localStorage read with error handling
- * @param {string} key - Storage key
- * @returns {Array} Parsed array or empty array on error
+ * Start every bed with a level above zero and fade the ambient bus in
+ * @param {number} fadeDuration - Fade in time in seconds
  */
-const safeRead = (key) => {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : [];
-  } catch (err) {
-    console.warn(`Storage read failed for key "${key}":`, err);
-    return [];
-  }
+const startSoundscape = (fadeDuration) => {
+  const levels = getSetting("soundscape");
+  Object.entries(levels).forEach(([bedId, level]) => {
+    if (level > 0 && !beds[bedId]) {
+      const bed = createBed(
+        audioContext,
+        ambientBus,
+        bedId,
+        bedLevelToGain(bedId, level)
+      );
+      if (bed) beds[bedId] = bed;
+    }
+  });
+
+  rampTo(ambientBus.gain, AMBIENT_LEVEL, fadeDuration);
 };
 
 /**
- * Safe localStorage write with error handling
- * @param {string} key - Storage key
- * @param {*} value - Value to store (will be JSON.stringify'd)
- * @returns {boolean} True if successful
+ * Fade the ambient bus out (beds are torn down by stopSoundscapeBeds)
+ * @param {number} fadeDuration - Fade out time in seconds
  */
-const safeWrite = (key, value) => {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-    return true;
-  } catch (err) {
-    console.error(`Storage write failed for key "${key}":`, err);
-    return false;
-  }
+const fadeOutSoundscape = (fadeDuration) => {
+  rampTo(ambientBus.gain, 0, fadeDuration);
 };
 
 /**
- * Log a practice session
- * @param {Object} sessionData - Session data
- * @returns {Array} Updated sessions list
+ * Stop and disconnect every running bed
  */
-export const logSession = (sessionData) => {
-  const sessions = safeRead(storageKeys.sessions);
-  const entry = {
-    id: Date.now(),
-    ...sessionData,
-    date: new Date().toISOString(),
-  };
+const stopSoundscapeBeds = () => {
+  Object.values(beds).forEach((bed) => {
+    try {
+      stopBed(bed);
+      disconnectBed(bed);
+    } catch (err) {
+      console.warn("Error stopping ambient bed:", err);
+    }
+  });
+  beds = {};
+};
 
-  const updated = [entry, ...sessions].slice(0, 50); // Keep last 50
-  safeWrite(storageKeys.sessions, updated);
+/**
+ * Change one bed's level while the tone is playing.
+ * Starts the bed if it wasn't running; persistence is the caller's job.
+ * @param {string} bedId - Bed ID (pink, brown, wind, water, drone)
+ * @param {number} level - Level 0-100
+ */
+export const setSoundscapeLevel = (bedId, level) => {
+  if (!audioContext || !isPlaying) return;
 
-  return updated;
+  const gain = bedLevelToGain(bedId, level);
+  if (!beds[bedId]) {
+    if (gain <= 0) return;
+    const bed = createBed(audioContext, ambientBus, bedId, 0);
+    if (!bed) return;
+    beds[bedId] = bed;
+  }
+
+  rampTo(beds[bedId].gain.gain, gain, 0.3);
 };
 
+// ============================================================================
+// MEDITATION BELLS
+// ============================================================================
+
 /**
- * Save journal entry
- * @param {Object} journalData - Journal entry data
- * @returns {Array} Updated journals list
+ * Inharmonic partials of a small temple bell.
+ * ratio multiplies the strike pitch, decay is the time constant in seconds.
  */
-export const saveJournalEntry = (journalData) => {
-  const journals = safeRead(storageKeys.journals);
-  const entry = {
-    id: Date.now(),
-    ...journalData,
-    date: new Date().toISOString(),
-  };
+const BELL_PARTIALS = [
+  { ratio: 0.5, gain: 0.35, decay: 5 },
+  { ratio: 1, gain: 1, decay: 3.5 },
+  { ratio: 1.19, gain: 0.45, decay: 2.8 },
+  { ratio: 1.56, gain: 0.35, decay: 2.2 },
+  { ratio: 2, gain: 0.3, decay: 1.8 },
+  { ratio: 2.51, gain: 0.2, decay: 1.2 },
+  { ratio: 3.01, gain: 0.12, decay: 0.9 },
+  { ratio: 4.1, gain: 0.08, decay: 0.6 },
+];
 
-  const updated = [entry, ...journals];
-  safeWrite(storageKeys.journals, updated);
-
-  return updated;
+const BELL_STRIKES = {
+  start: [{ delay: 0, pitch: 523.25, level: 1 }],
+  interval: [{ delay: 0, pitch: 587.33, level: 0.7 }],
+  end: [
+    { delay: 0, pitch: 523.25, level: 1 },
+    { delay: 2.5, pitch: 523.25, level: 0.85 },
+    { delay: 5, pitch: 392, level: 1 },
+  ],
 };
 
 /**
- * Load all practice sessions
- * @returns {Array} Array of session objects
+ * Synthesize one bell strike on any audio context
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {AudioNode} destination - Node the bell connects to
+ * @param {number} pitch - Strike pitch in Hz
+ * @param {number} level - Peak gain of the strike
+ * @param {number} [when=0] - Context time of the strike
+ * @returns {number} Seconds until the strike has fully rung out
  */
-export const loadSessions = () => safeRead(storageKeys.sessions);
+const createBellStrike = (ctx, destination, pitch, level, when = 0) => {
+  const ringTime = Math.max(...BELL_PARTIALS.map((p) => p.decay)) * 4;
+  const total = BELL_PARTIALS.reduce((sum, p) => sum + p.gain, 0);
+
+  BELL_PARTIALS.forEach((partial) => {
+    const osc = ctx.createOscillator();
+    osc.type = "sine";
+    osc.frequency.value = pitch * partial.ratio;
+
+    const env = ctx.createGain();
+    const peak = (partial.gain / total) * level;
+    env.gain.setValueAtTime(0, when);
+    env.gain.linearRampToValueAtTime(peak, when + 0.005);
+    env.gain.setTargetAtTime(0, when + 0.005, partial.decay);
+
+    osc.connect(env);
+    env.connect(destination);
+    osc.start(when);
+    osc.stop(when + ringTime);
+    osc.onended = () => {
+      osc.disconnect();
+      env.disconnect();
+    };
+  });
+
+  return ringTime;
+};
 
 /**
- * Load all journal entries
- * @returns {Array} Array of journal objects
+ * Synthesize a bell cue on any audio context
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {AudioNode} destination - Node the bell connects to
+ * @param {string} kind - 'start' | 'interval' | 'end'
+ * @param {number} level - Overall gain of the cue
+ * @param {number} [when=0] - Context time of the first strike
+ * @returns {number} Seconds until the cue's last strike has rung out
  */
-export const loadJournals = () => safeRead(storageKeys.journals);
+const createBell = (ctx, destination, kind, level, when = 0) => {
+  const strikes = BELL_STRIKES[kind] || BELL_STRIKES.interval;
+  let ringsUntil = 0;
+  strikes.forEach((strike) => {
+    const ring = createBellStrike(
+      ctx,
+      destination,
+      strike.pitch,
+      strike.level * level,
+      when + strike.delay
+    );
+    ringsUntil = Math.max(ringsUntil, strike.delay + ring);
+  });
+  return ringsUntil;
+};
+
 /**
- * Delete a journal entry by ID
- * @param {number|string} entryId - ID of the entry to delete
- * @returns {Array} Updated journals list
+ * Ring a meditation bell through the bell bus (follows volume and mute)
+ * @param {string} kind - 'start' | 'interval' | 'end'
+ * @returns {Promise<number>} Seconds from now until the last strike lands
  */
-export const deleteJournalEntry = (entryId) => {
-  const journals = safeRead(storageKeys.journals);
-  // Convert to number for consistent comparison (IDs are timestamps)
-  const targetId = Number(entryId);
-  const updated = journals.filter((entry) => entry.id !== targetId);
-  safeWrite(storageKeys.journals, updated);
-  console.log(
-    "🗑️ Journal entry deleted:",
-    targetId,
-    "Entries remaining:",
-    updated.length
-  );
-  return updated;
+export const playBell = async (kind) => {
+  await ensureAudioContext();
+
+  const strikes = BELL_STRIKES[kind] || BELL_STRIKES.interval;
+  createBell(audioContext, bellBus, kind, 1, audioContext.currentTime);
+
+  console.log("🔔 Bell:", kind);
+  return strikes[strikes.length - 1].delay;
 };
 
+// ============================================================================
+// TONE PLAYBACK
+// ============================================================================
+
 /**
- * Save the last visited neter ID
- * @param {number} neterId - The neter ID to save
+ * Play frequency tone with fade in
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} [neterId] - Neter being played (selects per-neter timbre)
+ * @returns {Promise<number>} Timestamp when playback started
  */
-export const saveLastNeter = (neterId) => {
-  try {
-    localStorage.setItem(storageKeys.lastNeter, neterId.toString());
-  } catch (err) {
-    console.warn("Could not save last neter:", err);
+export const playFrequency = async (frequency, neterId) => {
+  if (!isValidFrequency(frequency)) {
+    throw new Error(`Invalid frequency: ${frequency}`);
+  }
+
+  await ensureAudioContext();
+
+  // Debug: Log audio context state
+  console.log("📊 [playFrequency] AudioContext state:", audioContext.state);
+
+  // Stop existing voice (or chord) if playing
+  if (voice || chordVoices.length) {
+    await stopSound();
   }
+
+  const options = getVoiceOptions(neterId, frequency);
+  const now = audioContext.currentTime;
+  sessionStartTime = now;
+  voice = createVoice(audioContext, toneBus, frequency, options, now);
+
+  // Fade the voice's own envelope in using user setting
+  const fadeDuration = getSetting("fadeDuration") || 0.8;
+  voice.envelope.setValueAtTime(0, now);
+  voice.envelope.linearRampToValueAtTime(1, now + fadeDuration);
+  startSoundscape(fadeDuration);
+
+  // Debug: Log volume info
+  console.log("🔊 [playFrequency] Volume debug:", {
+    volume: getVolume(),
+    muted: isMuted,
+    fadeDuration,
+    binaural: options.binaural ? options.beat : false,
+    pulse: options.pulse,
+    timbre: options.timbre.id,
+    engine: voice.synth ? "worklet" : "oscillator",
+    level: options.level,
+    contextTime: now,
+    contextState: audioContext.state,
+  });
+
+  isPlaying = true;
+  return Date.now();
 };
 
 /**
- * Load the last visited neter ID
- * @returns {number|null} The last neter ID, or null if none saved (new user)
+ * Smoothly transition to a new frequency without stopping.
+ * The new voice is built from current settings, so binaural mode, beat
+ * offset and the chosen timbre carry across the crossfade. When only the
+ * beat or level changed, a worklet voice is adjusted in place instead.
+ * With glide on, a voice whose layout is unchanged sweeps its pitch to the
+ * new frequency rather than crossfading.
+ * @param {number} newFrequency - The target frequency in Hz
+ * @param {number} [neterId] - Neter being played (selects per-neter timbre)
+ * @returns {Promise<Object|null>} The glide { duration, curve, from, to }
+ *   when the pitch sweeps, otherwise null
  */
-export const loadLastNeter = () => {
-  try {
-    const stored = localStorage.getItem(storageKeys.lastNeter);
-    if (stored !== null) {
-      const id = parseInt(stored, 10);
-      // Validate it's a valid neter ID (0-10)
-      if (!isNaN(id) && id >= 0 && id <= 10) {
-        return id;
-      }
-    }
-    return null; // New user - no saved neter
+export const transitionFrequency = async (newFrequency, neterId) => {
+  if (!isValidFrequency(newFrequency)) {
+    throw new Error(`Invalid frequency: ${newFrequency}`);
+  }
+
+  // Leaving a chord: its voices fade out under the single tone
+  if (chordVoices.length && isPlaying) {
+    await ensureAudioContext();
+    const now = audioContext.currentTime;
+    releaseChord(now, CROSSFADE_TIME);
+    voice = createVoice(
+      audioContext,
+      toneBus,
+      newFrequency,
+      getVoiceOptions(neterId, newFrequency),
+      now,
+      now - sessionStartTime
+    );
+    scheduleCurve(voice.envelope, getEqualPowerCurve(true), now, CROSSFADE_TIME);
+    console.log("🎵 Chord resolved to", newFrequency, "Hz");
+    return null;
+  }
+
+  if (!voice || !isPlaying) {
+    // If not playing, just start normally
+    await playFrequency(newFrequency, neterId);
+    return null;
+  }
+
+  await ensureAudioContext();
+
+  const now = audioContext.currentTime;
+  const options = getVoiceOptions(neterId, newFrequency);
+
+  // Same tone with new beat or level settings: adjust the running voice
+  if (canRetuneVoice(voice, newFrequency, options)) {
+    retuneVoice(voice, options, CROSSFADE_TIME);
+    console.log("🎚️ Retuned voice at", newFrequency, "Hz");
+    return null;
+  }
+
+  // Portamento: the running voice sweeps to the new pitch
+  const settings = loadSettings();
+  if (settings.glide && voice.frequency !== newFrequency && hasSameLayout(voice, options)) {
+    const glide = {
+      duration: clampGlideTime(settings.glideTime),
+      curve: settings.glideCurve === "linear" ? "linear" : "exponential",
+      from: voice.frequency,
+      to: newFrequency,
+    };
+    glideVoice(voice, newFrequency, options, glide);
+    console.log("〰️ Gliding from", glide.from, "Hz to", glide.to, "Hz", glide);
+    return glide;
+  }
+
+  console.log(
+    "🔄 Crossfading from",
+    voice.frequency,
+    "Hz to",
+    newFrequency,
+    "Hz"
+  );
+
+  // Store reference to old voice
+  const oldVoice = voice;
+
+  // Create new voice immediately
+  voice = createVoice(
+    audioContext,
+    toneBus,
+    newFrequency,
+    options,
+    now,
+    now - sessionStartTime
+  );
+
+  // Equal-power crossfade: both voices sound together, loudness holds steady
+  console.log("🔊 [transitionFrequency] Crossfade debug:", {
+    outgoingGain: oldVoice.envelope.value,
+    crossfadeTime: CROSSFADE_TIME,
+    contextState: audioContext.state,
+  });
+  crossfadeVoices(oldVoice, voice, now, CROSSFADE_TIME);
+
+  // Stop old voice once it has faded out, disconnecting when it has ended
+  try {
+    releaseVoice(oldVoice, now + CROSSFADE_TIME);
+  } catch (err) {
+    console.warn("Error stopping old voice:", err);
+  }
+
+  // Keep playing state true
+  isPlaying = true;
+
+  console.log("🎵 New voice playing at", newFrequency, "Hz");
+  return null;
+};
+
+// ============================================================================
+// CHORDS - two or three spheres sounding together
+// ============================================================================
+
+let chordVoices = []; // [{ neterId, balance (GainNode), voice }] while a chord plays
+
+/**
+ * Fade a voice's envelope to silence and release it when the fade ends
+ * @param {Object} target - Voice from createVoice()
+ * @param {number} when - Context time the fade starts
+ * @param {number} duration - Fade length in seconds
+ */
+const fadeOutVoice = (target, when, duration) => {
+  target.envelope.cancelScheduledValues(when);
+  target.envelope.setValueAtTime(target.envelope.value, when);
+  target.envelope.linearRampToValueAtTime(0, when + duration);
+  releaseVoice(target, when + duration);
+};
+
+/**
+ * Fade out every chord voice
+ * @param {number} when - Context time the fade starts
+ * @param {number} duration - Fade length in seconds
+ */
+const releaseChord = (when, duration) => {
+  chordVoices.forEach((part) => fadeOutVoice(part.voice, when, duration));
+  chordVoices = [];
+};
+
+/**
+ * Play several neter tones at once, each as its own voice with its own
+ * balance. Calling again with a changed set (or changed settings) keeps
+ * the voices that stay, fades in new ones and fades out the rest; a single
+ * tone that was playing crossfades into the chord.
+ * @param {Object[]} parts - [{ neterId, frequency, balance }] with balance 0-100
+ * @returns {Promise<number>} Timestamp when the chord started
+ */
+export const playChord = async (parts) => {
+  parts.forEach((part) => {
+    if (!isValidFrequency(part.frequency)) {
+      throw new Error(`Invalid frequency: ${part.frequency}`);
+    }
+  });
+
+  await ensureAudioContext();
+
+  const now = audioContext.currentTime;
+  const fadeDuration = isPlaying ? CROSSFADE_TIME : getSetting("fadeDuration") || 0.8;
+
+  if (!isPlaying) {
+    sessionStartTime = now;
+    startSoundscape(fadeDuration);
+  }
+
+  const next = parts.map((part) => {
+    const gain = getChordVoiceGain(part.balance, parts.length);
+    const options = getVoiceOptions(part.neterId, part.frequency);
+
+    // Voices that stay in the chord keep sounding, taking new settings in place
+    const existing = chordVoices.find((v) => v.neterId === part.neterId);
+    const unchanged =
+      existing && JSON.stringify(existing.voice.options) === JSON.stringify(options);
+    if (existing && (unchanged || canRetuneVoice(existing.voice, part.frequency, options))) {
+      if (!unchanged) retuneVoice(existing.voice, options, CROSSFADE_TIME);
+      rampTo(existing.balance.gain, gain, CROSSFADE_TIME);
+      return existing;
+    }
+
+    const balance = audioContext.createGain();
+    balance.gain.value = gain;
+    balance.connect(toneBus);
+    const partVoice = createVoice(
+      audioContext,
+      balance,
+      part.frequency,
+      options,
+      now,
+      now - sessionStartTime
+    );
+    partVoice.nodes.push(balance);
+    scheduleCurve(partVoice.envelope, getEqualPowerCurve(true), now, fadeDuration);
+    return { neterId: part.neterId, balance, voice: partVoice };
+  });
+
+  chordVoices
+    .filter((part) => !next.includes(part))
+    .forEach((part) => fadeOutVoice(part.voice, now, CROSSFADE_TIME));
+  chordVoices = next;
+
+  if (voice) {
+    fadeOutVoice(voice, now, CROSSFADE_TIME);
+    voice = null;
+  }
+
+  console.log(
+    "🎶 Chord playing:",
+    parts.map((part) => `${part.frequency} Hz`).join(" + ")
+  );
+
+  isPlaying = true;
+  return Date.now();
+};
+
+/**
+ * Change one chord voice's balance while it plays
+ * @param {number} neterId - Neter whose voice to adjust
+ * @param {number} balance - Balance 0-100
+ */
+export const setChordBalance = (neterId, balance) => {
+  const part = chordVoices.find((v) => v.neterId === neterId);
+  if (!part) return;
+  rampTo(part.balance.gain, getChordVoiceGain(balance, chordVoices.length), 0.05);
+};
+
+// ============================================================================
+// HEARING CALIBRATION
+// ============================================================================
+
+let calibrationVoice = null; // Tone playing in the calibration wizard
+
+/**
+ * Play one sphere's tone for the calibration wizard, replacing any other.
+ * Uses the normal voice (timbre, binaural, loudness compensation) with the
+ * given personal offset in place of the saved hearing curve.
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} neterId - Neter ID (timbre)
+ * @param {number} personalDb - Offset being tried for this sphere
+ * @returns {Promise<void>}
+ */
+export const playCalibrationTone = async (frequency, neterId, personalDb) => {
+  await ensureAudioContext();
+  stopCalibrationTone();
+
+  const now = audioContext.currentTime;
+  calibrationVoice = createVoice(
+    audioContext,
+    toneBus,
+    frequency,
+    // Steady tone: pulses would make levels hard to compare
+    { ...getVoiceOptions(neterId, frequency, personalDb), pulse: null },
+    now
+  );
+  calibrationVoice.envelope.setValueAtTime(0, now);
+  calibrationVoice.envelope.linearRampToValueAtTime(1, now + 0.2);
+};
+
+/**
+ * Change the offset of the calibration tone while it plays
+ * @param {number} frequency - Frequency of the playing tone in Hz
+ * @param {number} personalDb - New personal offset
+ */
+export const setCalibrationOffset = (frequency, personalDb) => {
+  if (!calibrationVoice || calibrationVoice.frequency !== frequency) return;
+  const level = dbToGain(getToneGainDb(loadSettings(), frequency, personalDb));
+  rampTo(calibrationVoice.trim.gain, level, 0.05);
+};
+
+/**
+ * Fade out and release the calibration tone
+ */
+export const stopCalibrationTone = () => {
+  if (!calibrationVoice) return;
+
+  const target = calibrationVoice;
+  calibrationVoice = null;
+  const now = audioContext.currentTime;
+  target.envelope.cancelScheduledValues(now);
+  target.envelope.setValueAtTime(target.envelope.value, now);
+  target.envelope.linearRampToValueAtTime(0, now + 0.15);
+  releaseVoice(target, now + 0.2);
+};
+
+/**
+ * Stop currently playing sound with smooth fade out
+ * @returns {Promise<number|null>} Timestamp when stopped, or null if nothing playing
+ */
+export const stopSound = async () => {
+  if ((!voice && !chordVoices.length) || !isPlaying) return null;
+
+  try {
+    const now = audioContext.currentTime;
+    const fadeTime = getSetting("fadeDuration") || 0.8; // Use user setting
+
+    // Fade out the voice's envelope and the soundscape layer; the voice
+    // stops on the audio clock exactly when its fade reaches zero
+    if (voice) fadeOutVoice(voice, now, fadeTime);
+    voice = null;
+    releaseChord(now, fadeTime);
+    fadeOutSoundscape(fadeTime);
+
+    // Resolve once the fade is over, then stop the beds
+    await new Promise((resolve) => setTimeout(resolve, fadeTime * 1000));
+
+    // A new tone may have started while this one faded
+    if (!voice && !chordVoices.length) {
+      stopSoundscapeBeds();
+      isPlaying = false;
+    }
+  } catch (err) {
+    console.warn("Error stopping voice:", err);
+    voice = null;
+    chordVoices = [];
+    stopSoundscapeBeds();
+    isPlaying = false;
+  }
+
+  return Date.now();
+};
+
+/**
+ * Move the master to a volume level without saving it
+ * @param {number} volume - Volume level (0-100)
+ */
+const applyVolume = (volume) => {
+  // Smooth master change; while muted the new level waits for unmute
+  if (master && !isMuted) {
+    rampTo(master.gain, Math.max(0, Math.min(100, volume)) / 100, 0.1);
+  }
+  storedVolume = volume;
+};
+
+/**
+ * Set volume level
+ * @param {number} volume - Volume level (0-100)
+ */
+export const setVolume = (volume) => {
+  applyVolume(volume);
+  safeWrite(STORES.profile, () => putRecord(STORES.profile, volume, "volume")).then(
+    (saved) => saved && sendToTabs("volume", { volume })
+  );
+};
+
+/**
+ * Get current volume level (saved in the profile store)
+ * @returns {number} Volume level (0-100)
+ */
+export const getVolume = () => storedVolume;
+
+/**
+ * Get current audio playing state
+ * @returns {boolean}
+ */
+export const getIsPlaying = () => isPlaying;
+
+/**
+ * Get current audio context time for synchronization
+ * @returns {number|null}
+ */
+export const getAudioTime = () =>
+  audioContext ? audioContext.currentTime : null;
+
+/**
+ * Read the live output signal (after fades, crossfades, volume and mute)
+ * @returns {Object|null} { level, tone, shimmer, spectrum } or null before audio starts.
+ *   level is overall loudness, tone the 60-1500 Hz band, shimmer 2-8 kHz (0-1 each).
+ *   spectrum is the analyser's byte data and is reused between calls.
+ */
+export const getAudioAnalysis = () => {
+  if (!analyser) return null;
+
+  analyser.getFloatTimeDomainData(analyserSamples);
+  analyser.getByteFrequencyData(analyserSpectrum);
+  const binHz = audioContext.sampleRate / analyser.fftSize;
+
+  return {
+    level: getSignalLevel(analyserSamples),
+    tone: getBandLevel(analyserSpectrum, binHz, 60, 1500),
+    shimmer: getBandLevel(analyserSpectrum, binHz, 2000, 8000),
+    spectrum: analyserSpectrum,
+  };
+};
+
+/**
+ * Toggle mute state
+ * @param {boolean} muted - True to mute, false to unmute
+ * @returns {Promise<void>}
+ */
+export const setMuteState = async (muted) => {
+  await ensureAudioContext();
+  isMuted = muted;
+  // Only the master mutes, so fades and layer levels carry on underneath
+  // and unmuting returns to the current volume slider level
+  rampTo(master.gain, muted ? 0 : getVolume() / 100, 0.05);
+};
+
+// ============================================================================
+// OFFLINE RENDERING - WAV export
+// ============================================================================
+
+/**
+ * Render an export plan offline with the same voices and beds as live playback.
+ * Segments crossfade like transitionFrequency, and the whole file fades in and
+ * out over the user's fade duration.
+ * @param {Object} plan - Export plan { label, segments: [{ neterId, frequency, duration }] }
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Promise<AudioBuffer>} Rendered stereo audio
+ */
+export const renderSessionAudio = async (plan, sampleRate) => {
+  const OfflineCtx =
+    window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineCtx) {
+    throw new Error("Offline audio rendering is not supported in this browser");
+  }
+
+  const total = getExportPlanDuration(plan);
+  const ctx = new OfflineCtx(2, Math.ceil(total * sampleRate), sampleRate);
+  await loadToneWorklet(ctx);
+
+  const fadeDuration = Math.min(getSetting("fadeDuration") || 0.8, total / 2);
+
+  // Same mixer as live playback; the export ignores mute but keeps the volume
+  const output = createOutputChain(ctx, ctx.destination, getVolume() / 100);
+  const offlineToneBus = createBus(ctx, output.master, TONE_LEVEL);
+  const offlineAmbientBus = createBus(ctx, output.master, 0);
+
+  // Tone: one voice per segment, equal-power crossfaded like transitionFrequency
+  let start = 0;
+  let previous = null;
+  plan.segments.forEach((segment, index) => {
+    const segmentVoice = createVoice(
+      ctx,
+      offlineToneBus,
+      segment.frequency,
+      getVoiceOptions(segment.neterId, segment.frequency),
+      start,
+      start
+    );
+
+    if (index === 0) {
+      segmentVoice.envelope.setValueAtTime(0, 0);
+      segmentVoice.envelope.linearRampToValueAtTime(1, fadeDuration);
+    } else {
+      scheduleCurve(segmentVoice.envelope, getEqualPowerCurve(true), start, CROSSFADE_TIME);
+      scheduleCurve(previous.envelope, getEqualPowerCurve(false), start, CROSSFADE_TIME);
+      stopVoice(previous, start + CROSSFADE_TIME);
+    }
+
+    previous = segmentVoice;
+    start += segment.duration;
+  });
+
+  // Fade the last voice out at the end, as stopSound does
+  previous.envelope.setValueAtTime(1, total - fadeDuration);
+  previous.envelope.linearRampToValueAtTime(0, total);
+  stopVoice(previous, total);
+
+  // Soundscape: the saved bed mix under the whole file
+  offlineAmbientBus.gain.setValueAtTime(0, 0);
+  offlineAmbientBus.gain.linearRampToValueAtTime(AMBIENT_LEVEL, fadeDuration);
+  offlineAmbientBus.gain.setValueAtTime(AMBIENT_LEVEL, total - fadeDuration);
+  offlineAmbientBus.gain.linearRampToValueAtTime(0, total);
+  Object.entries(getSetting("soundscape")).forEach(([bedId, bedLevel]) => {
+    if (bedLevel > 0) {
+      const bed = createBed(
+        ctx,
+        offlineAmbientBus,
+        bedId,
+        bedLevelToGain(bedId, bedLevel)
+      );
+      if (bed) stopBed(bed, total);
+    }
+  });
+
+  console.log("🎚️ Rendering", plan.label, {
+    seconds: total,
+    segments: plan.segments.length,
+    sampleRate,
+  });
+
+  return ctx.startRendering();
+};
+
+/**
+ * Render an export plan and encode it as a WAV file
+ * @param {Object} plan - Export plan from core/wav.js
+ * @param {number} bitDepth - 16 or 24
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Promise<Blob>} WAV file
+ */
+export const exportSessionWav = async (plan, bitDepth, sampleRate) => {
+  const rendered = await renderSessionAudio(plan, sampleRate);
+  const channels = Array.from({ length: rendered.numberOfChannels }, (_, i) =>
+    rendered.getChannelData(i)
+  );
+  const wav = encodeWav(channels, rendered.sampleRate, bitDepth);
+  return new Blob([wav], { type: "audio/wav" });
+};
+
+/**
+ * Offer a blob to the user as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// ============================================================================
+// SPATIAL AUDIO - HRTF tone following the Ankh
+// ============================================================================
+
+const SPATIAL_SMOOTHING = 0.05; // Seconds; glides over frame-to-frame jumps
+
+let readSpatialOrientation = null; // Returns { yaw, pitch } of the Ankh, or null
+let spatialFrameId = null;
+
+/**
+ * Connect spatial mode to the scene's orientation
+ * @param {Function} reader - Returns { yaw, pitch } in radians, or null
+ */
+export const setSpatialOrientationSource = (reader) => {
+  readSpatialOrientation = reader;
+};
+
+/**
+ * Spatial mode is on in settings and not overridden by binaural beats
+ * (HRTF filtering mixes the ears, which would smear the beat).
+ * @returns {boolean}
+ */
+const isSpatialActive = () => getSetting("spatial") && !getSetting("binaural");
+
+/**
+ * Move the panner to follow the Ankh, once per display frame
+ */
+const followOrientation = () => {
+  spatialFrameId = requestAnimationFrame(followOrientation);
+
+  const orientation = readSpatialOrientation ? readSpatialOrientation() : null;
+  if (!orientation || !spatialPanner) return;
+
+  const { x, y, z } = getOrbitPosition(orientation);
+  if (spatialPanner.positionX) {
+    const now = audioContext.currentTime;
+    spatialPanner.positionX.setTargetAtTime(x, now, SPATIAL_SMOOTHING);
+    spatialPanner.positionY.setTargetAtTime(y, now, SPATIAL_SMOOTHING);
+    spatialPanner.positionZ.setTargetAtTime(z, now, SPATIAL_SMOOTHING);
+  } else {
+    // Older Safari only has the deprecated setter
+    spatialPanner.setPosition(x, y, z);
+  }
+};
+
+/**
+ * Route the tone bus through the HRTF panner or straight to the master,
+ * following the spatial and binaural settings. Safe to call at any time.
+ */
+export const refreshSpatialMode = () => {
+  if (!audioContext) return;
+
+  const active = isSpatialActive();
+  if (active === Boolean(spatialPanner)) return;
+
+  toneBus.disconnect();
+  if (active) {
+    spatialPanner = audioContext.createPanner();
+    spatialPanner.panningModel = "HRTF";
+    spatialPanner.distanceModel = "inverse";
+    spatialPanner.refDistance = SPATIAL_RADIUS;
+    spatialPanner.rolloffFactor = 0; // Constant radius - direction only, no distance loss
+    spatialPanner.connect(master);
+    toneBus.connect(spatialPanner);
+    followOrientation();
+  } else {
+    cancelAnimationFrame(spatialFrameId);
+    spatialFrameId = null;
+    spatialPanner.disconnect();
+    spatialPanner = null;
+    toneBus.connect(master);
+  }
+  console.log("🎧 Spatial audio:", active);
+};
+
+// ============================================================================
+// MICROPHONE - vocal toning input
+// ============================================================================
+
+const MIC_BLOCK_SIZE = 2048; // ~46ms at 44.1kHz, two periods of a 60 Hz hum
+
+let micStream = null;
+let micSource = null;
+let micAnalyser = null;
+let micSamples = null;
+
+/**
+ * Open the microphone for pitch detection.
+ * The mic feeds an analyser only and is never routed to the speakers.
+ * @returns {Promise<void>} Rejects if the mic is unavailable or permission is denied
+ */
+export const startMicrophone = async () => {
+  if (micStream) return;
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error("Microphone input is not supported in this browser");
+  }
+
+  await ensureAudioContext();
+  micStream = await navigator.mediaDevices.getUserMedia({
+    audio: {
+      // Cancel the tone coming back from the speakers, but leave the voice's
+      // level and harmonics alone so the pitch stays readable
+      echoCancellation: true,
+      noiseSuppression: false,
+      autoGainControl: false,
+    },
+  });
+
+  micSource = audioContext.createMediaStreamSource(micStream);
+  micAnalyser = audioContext.createAnalyser();
+  micAnalyser.fftSize = MIC_BLOCK_SIZE;
+  micSamples = new Float32Array(micAnalyser.fftSize);
+  micSource.connect(micAnalyser);
+  console.log("🎤 Microphone open");
+};
+
+/**
+ * Read the latest block of microphone samples
+ * @returns {Object|null} { samples, sampleRate } or null while the mic is closed.
+ *   samples is reused between calls.
+ */
+export const readMicrophone = () => {
+  if (!micAnalyser) return null;
+  micAnalyser.getFloatTimeDomainData(micSamples);
+  return { samples: micSamples, sampleRate: audioContext.sampleRate };
+};
+
+/**
+ * Close the microphone and release the device
+ */
+export const stopMicrophone = () => {
+  if (!micStream) return;
+
+  micSource.disconnect();
+  micStream.getTracks().forEach((track) => track.stop());
+  micStream = null;
+  micSource = null;
+  micAnalyser = null;
+  micSamples = null;
+  console.log("🎤 Microphone closed");
+};
+
+// ============================================================================
+// MEDIA SESSION - lock screen and hardware media keys
+// ============================================================================
+
+let mediaKeepAlive = null; // Silent <audio> loop that gives the OS a media session
+
+/**
+ * Check for Media Session API support
+ * @returns {boolean}
+ */
+const hasMediaSession = () =>
+  typeof navigator !== "undefined" && "mediaSession" in navigator;
+
+/**
+ * Get (or create) the silent looping audio element.
+ * Mobile browsers only show lock-screen controls while a media element is
+ * playing; Web Audio alone doesn't count, so a second of silence loops
+ * alongside the tone.
+ * @returns {HTMLAudioElement}
+ */
+const getMediaKeepAlive = () => {
+  if (!mediaKeepAlive) {
+    const silence = encodeWav([new Float32Array(8000)], 8000, 16);
+    mediaKeepAlive = new Audio(
+      URL.createObjectURL(new Blob([silence], { type: "audio/wav" }))
+    );
+    mediaKeepAlive.loop = true;
+  }
+  return mediaKeepAlive;
+};
+
+/**
+ * Register media action handlers (play, pause, nexttrack, previoustrack...)
+ * @param {Object} handlers - Map of MediaSessionAction to callback
+ */
+export const initMediaSession = (handlers) => {
+  if (!hasMediaSession()) return;
+
+  Object.entries(handlers).forEach(([action, handler]) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, () => handler());
+    } catch (err) {
+      // Browsers throw for actions they don't support
+      console.warn(`Media Session action "${action}" not supported:`, err);
+    }
+  });
+  console.log("🎛️ Media Session ready");
+};
+
+/**
+ * Show a neter on the lock screen / media notification
+ * @param {Object} neter - Neter object
+ * @param {string} [artworkUrl] - Image URL for the artwork
+ */
+export const updateMediaMetadata = (neter, artworkUrl) => {
+  if (!hasMediaSession() || typeof MediaMetadata === "undefined") return;
+
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: neter.name,
+    artist: `${neter.title} · ${neter.frequency} Hz`,
+    album: "Tree of Life · Neteru",
+    artwork: artworkUrl
+      ? [{ src: artworkUrl, sizes: "512x512", type: "image/png" }]
+      : [],
+  });
+};
+
+/**
+ * Mirror the playing state to the OS media controls
+ * @param {boolean} playing - True while a tone is playing
+ */
+export const setMediaPlaybackState = (playing) => {
+  if (!hasMediaSession()) return;
+
+  navigator.mediaSession.playbackState = playing ? "playing" : "paused";
+
+  const keepAlive = getMediaKeepAlive();
+  if (playing) {
+    keepAlive.play().catch((err) => {
+      console.warn("Media keep-alive could not start:", err);
+    });
+  } else {
+    keepAlive.pause();
+  }
+};
+
+// ============================================================================
+// STORAGE - IndexedDB repository (see infra/repository.js)
+// ============================================================================
+
+const DEFAULT_VOLUME = 75;
+const THEME_KEY = "tol_theme"; // Stays in localStorage: pages apply it before scripts load
+
+let storedVolume = DEFAULT_VOLUME; // Cached so the audio graph can read it synchronously
+let lastRecordId = 0;
+
+/**
+ * Open storage (importing old localStorage data on the first run), load the
+ * settings and cache the volume. Call once before anything reads settings.
+ * Without IndexedDB the app still runs, but nothing is kept between visits.
+ * @returns {Promise<void>}
+ */
+export const initStorage = async () => {
+  let saved = null;
+  try {
+    const [settings, volume] = await Promise.all([
+      getRecord(STORES.settings, SETTINGS_RECORD),
+      getRecord(STORES.profile, "volume"),
+    ]);
+    saved = settings ?? null;
+    if (typeof volume === "number") storedVolume = volume;
+  } catch (err) {
+    console.warn("Storage unavailable, changes won't be kept:", err);
+  }
+
+  initSettings(saved, (settings) =>
+    putRecord(STORES.settings, settings, SETTINGS_RECORD).then(() =>
+      sendToTabs("settings", { settings })
+    )
+  );
+};
+
+/**
+ * Timestamp ID for a new record, unique even within the same millisecond
+ * @returns {number}
+ */
+const nextRecordId = () => {
+  lastRecordId = Math.max(Date.now(), lastRecordId + 1);
+  return lastRecordId;
+};
+
+/**
+ * Safe read of a whole store with error handling
+ * @param {string} storeName - Store name
+ * @returns {Promise<Array>} Records in key order, or empty array on error
+ */
+const safeRead = async (storeName) => {
+  try {
+    return await getAllRecords(storeName);
+  } catch (err) {
+    console.warn(`Storage read failed for "${storeName}":`, err);
+    return [];
+  }
+};
+
+/**
+ * Safe write with error handling
+ * @param {string} storeName - Store being written (for the log)
+ * @param {Function} write - () => Promise doing the write
+ * @returns {Promise<boolean>} True if successful
+ */
+const safeWrite = async (storeName, write) => {
+  try {
+    await write();
+    return true;
+  } catch (err) {
+    console.error(`Storage write failed for "${storeName}":`, err);
+    return false;
+  }
+};
+
+/**
+ * Log a practice session and count it into its day, week and month rollups
+ * (in the same transaction, so the totals always match the history)
+ * @param {Object} sessionData - Session data
+ * @returns {Promise<Object|null>} The stored session, or null on failure
+ */
+export const logSession = async (sessionData) => {
+  const entry = {
+    id: nextRecordId(),
+    ...sessionData,
+    date: new Date().toISOString(),
+  };
+
+  const saved = await safeWrite(STORES.sessions, () =>
+    updateRecords({
+      storeNames: [STORES.sessions, STORES.rollups],
+      reads: getSessionRollupIds(entry).map((key) => ({ storeName: STORES.rollups, key })),
+      write: (rollups) => [
+        { storeName: STORES.sessions, value: entry },
+        ...countSessions(rollups.filter(Boolean), [entry]).map((value) => ({
+          storeName: STORES.rollups,
+          value,
+        })),
+      ],
+    })
+  );
+  announceChange("sessions", saved);
+  return saved ? entry : null;
+};
+
+/**
+ * Save journal entry
+ * @param {Object} journalData - Journal entry data
+ * @returns {Promise<Array>} Updated journals list, newest first
+ */
+export const saveJournalEntry = async (journalData) => {
+  const entry = {
+    id: nextRecordId(),
+    ...journalData,
+    date: new Date().toISOString(),
+  };
+
+  announceChange(
+    "journals",
+    await safeWrite(STORES.journals, () => putRecord(STORES.journals, entry))
+  );
+  return loadJournals();
+};
+
+/**
+ * Replace a stored journal entry (an edit; it keeps its ID)
+ * @param {Object} entry - The whole entry as it should be stored
+ * @returns {Promise<boolean>} True if successful
+ */
+export const updateJournalEntry = async (entry) =>
+  announceChange(
+    "journals",
+    await safeWrite(STORES.journals, () => putRecord(STORES.journals, entry))
+  );
+
+/**
+ * Load the private journal's lock record
+ * @returns {Promise<Object|null>} { salt, iterations, check }, or null when
+ *   the journal isn't encrypted
+ */
+export const loadJournalLock = async () => {
+  try {
+    return (await getRecord(STORES.profile, "journalLock")) ?? null;
+  } catch (err) {
+    console.warn("Could not load journal lock:", err);
+    return null;
+  }
+};
+
+/**
+ * Rewrite journal entries together with the lock record in one transaction,
+ * so entries are never left sealed under a lock that wasn't saved (or the
+ * lock removed while entries still need it)
+ * @param {Object[]} entries - Entries to store (replacing same IDs)
+ * @param {Object|null} lock - Lock record, or null to turn encryption off
+ * @returns {Promise<boolean>} True if successful
+ */
+export const saveJournalVault = async (entries, lock) =>
+  announceChange(
+    "journals",
+    await safeWrite(STORES.journals, () =>
+      writeBatch({
+        puts: [
+          ...entries.map((value) => ({ storeName: STORES.journals, value })),
+          { storeName: STORES.profile, value: lock, key: "journalLock" },
+        ],
+      })
+    )
+  );
+
+/**
+ * Load all practice sessions
+ * @returns {Promise<Array>} Session objects, newest first
+ */
+export const loadSessions = async () => (await safeRead(STORES.sessions)).reverse();
+
+/**
+ * Load one page of the practice log
+ * @param {number} [before] - Only sessions with a lower ID (the last one
+ *   shown); omit for the newest
+ * @returns {Promise<Object>} { sessions: newest first, hasMore }
+ */
+export const loadSessionPage = async (before) => {
+  try {
+    const page = await getRecordPage(STORES.sessions, { before, limit: HISTORY_PAGE_SIZE + 1 });
+    return { sessions: page.slice(0, HISTORY_PAGE_SIZE), hasMore: page.length > HISTORY_PAGE_SIZE };
+  } catch (err) {
+    console.warn("Storage read failed for \"sessions\":", err);
+    return { sessions: [], hasMore: false };
+  }
+};
+
+/**
+ * Load the practice rollups for one period
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @returns {Promise<Array>} Rollups, or empty array on error
+ */
+export const loadRollups = async (period) => {
+  try {
+    return await getRecordsByIndex(STORES.rollups, "period", period);
+  } catch (err) {
+    console.warn("Storage read failed for \"rollups\":", err);
+    return [];
+  }
+};
+
+/**
+ * Drop raw sessions and daily rollups past their retention. Weekly and
+ * monthly rollups are kept, so totals are unchanged.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { sessions, dayRollups } - how many were removed
+ */
+export const compactHistory = async (now = new Date()) => {
+  const { sessionsBefore, dayRollupsBefore } = getCompactionBounds(now);
+  try {
+    return {
+      sessions: await deleteRange(STORES.sessions, 0, sessionsBefore),
+      dayRollups: await deleteRange(STORES.rollups, "day:", dayRollupsBefore),
+    };
+  } catch (err) {
+    console.warn("History compaction failed:", err);
+    return { sessions: 0, dayRollups: 0 };
+  }
+};
+
+/**
+ * Load all journal entries
+ * @returns {Promise<Array>} Journal objects, newest first
+ */
+export const loadJournals = async () => (await safeRead(STORES.journals)).reverse();
+
+/**
+ * Load one journal entry
+ * @param {number|string} entryId - Entry ID
+ * @returns {Promise<Object|null>} The stored entry, or null if it's gone
+ */
+export const loadJournalEntry = async (entryId) => {
+  try {
+    return (await getRecord(STORES.journals, Number(entryId))) ?? null;
+  } catch (err) {
+    console.warn("Could not load journal entry:", err);
+    return null;
+  }
+};
+
+/**
+ * Delete a journal entry by ID
+ * @param {number|string} entryId - ID of the entry to delete
+ * @returns {Promise<Array>} Updated journals list
+ */
+export const deleteJournalEntry = async (entryId) => {
+  // Convert to number for consistent comparison (IDs are timestamps)
+  const targetId = Number(entryId);
+  announceChange(
+    "journals",
+    await safeWrite(STORES.journals, () => deleteRecord(STORES.journals, targetId))
+  );
+  const updated = await loadJournals();
+  console.log(
+    "🗑️ Journal entry deleted:",
+    targetId,
+    "Entries remaining:",
+    updated.length
+  );
+  return updated;
+};
+
+/**
+ * Delete every practice session and the totals counted from them
+ * @returns {Promise<boolean>} True if successful
+ */
+export const clearSessions = async () =>
+  announceChange(
+    "sessions",
+    await safeWrite(STORES.sessions, () => clearStores([STORES.sessions, STORES.rollups]))
+  );
+
+/**
+ * Delete every journal entry
+ * @returns {Promise<boolean>} True if successful
+ */
+export const clearJournals = async () =>
+  announceChange("journals", await safeWrite(STORES.journals, () => clearStores([STORES.journals])));
+
+/**
+ * Delete everything the app has stored (sessions, journals, journeys,
+ * settings and profile)
+ * @returns {Promise<boolean>} True if successful
+ */
+export const clearAllData = async () =>
+  announceChange("reset", await safeWrite("all", () => clearStores(Object.values(STORES))));
+
+/**
+ * Load user-defined journeys
+ * @returns {Promise<Array>} Array of journey objects
+ */
+export const loadCustomJourneys = () => safeRead(STORES.journeys);
+
+/**
+ * Save a user-defined journey, replacing any journey with the same ID
+ * @param {Object} journey - Normalized journey object
+ * @returns {Promise<Array>} Updated journeys list
+ */
+export const saveCustomJourney = async (journey) => {
+  announceChange(
+    "journeys",
+    await safeWrite(STORES.journeys, () => putRecord(STORES.journeys, journey))
+  );
+  return loadCustomJourneys();
+};
+
+/**
+ * Delete a user-defined journey by ID
+ * @param {string} journeyId - ID of the journey to delete
+ * @returns {Promise<Array>} Updated journeys list
+ */
+export const deleteCustomJourney = async (journeyId) => {
+  announceChange(
+    "journeys",
+    await safeWrite(STORES.journeys, () => deleteRecord(STORES.journeys, journeyId))
+  );
+  return loadCustomJourneys();
+};
+
+/**
+ * Save the last visited neter ID
+ * @param {number} neterId - The neter ID to save
+ * @returns {Promise<boolean>} True if successful
+ */
+export const saveLastNeter = (neterId) =>
+  safeWrite(STORES.profile, () => putRecord(STORES.profile, neterId, "lastNeter"));
+
+/**
+ * Load the last visited neter ID
+ * @returns {Promise<number|null>} The last neter ID, or null if none saved (new user)
+ */
+export const loadLastNeter = async () => {
+  try {
+    const id = await getRecord(STORES.profile, "lastNeter");
+    // Validate it's a valid neter ID (0-10)
+    if (Number.isInteger(id) && id >= 0 && id <= 10) {
+      return id;
+    }
+    return null; // New user - no saved neter
   } catch (err) {
     console.warn("Could not load last neter:", err);
     return null;
   }
 };
+
+/**
+ * Everything the user keeps, in the shape core/backup.js expects
+ * @returns {Promise<Object>} { sessions, rollups, journals, journeys, settings,
+ *   volume, lastNeter, theme, journalLock } - private journal entries stay sealed
+ */
+export const loadAllUserData = async () => {
+  const [sessions, rollups, journals, journeys, settings, lastNeter, journalLock] = await Promise.all([
+    loadSessions(),
+    safeRead(STORES.rollups),
+    loadJournals(),
+    loadCustomJourneys(),
+    getRecord(STORES.settings, SETTINGS_RECORD).catch(() => null),
+    loadLastNeter(),
+    loadJournalLock(),
+  ]);
+
+  let theme = null;
+  try {
+    theme = localStorage.getItem(THEME_KEY);
+  } catch (err) {
+    console.warn("Could not read theme:", err);
+  }
+
+  return {
+    sessions,
+    rollups,
+    journals,
+    journeys,
+    settings: settings ?? null,
+    volume: storedVolume,
+    lastNeter,
+    theme,
+    journalLock,
+  };
+};
+
+/**
+ * Write a restore planned by core/backup.js in one transaction, so a failed
+ * restore leaves the current data untouched
+ * @param {Object} plan - From planRestore()
+ * @returns {Promise<boolean>} True if successful
+ */
+export const applyRestorePlan = async (plan) => {
+  const { records, profile, journalLock } = plan;
+  const puts = [
+    ...records.sessions.map((value) => ({ storeName: STORES.sessions, value })),
+    ...records.journals.map((value) => ({ storeName: STORES.journals, value })),
+    ...records.journeys.map((value) => ({ storeName: STORES.journeys, value })),
+    ...records.rollups.map((value) => ({ storeName: STORES.rollups, value })),
+  ];
+
+  if (profile) {
+    if (profile.settings) {
+      puts.push({ storeName: STORES.settings, value: profile.settings, key: SETTINGS_RECORD });
+    }
+    if (profile.volume !== null) {
+      puts.push({ storeName: STORES.profile, value: profile.volume, key: "volume" });
+    }
+    if (profile.lastNeter !== null) {
+      puts.push({ storeName: STORES.profile, value: profile.lastNeter, key: "lastNeter" });
+    }
+  }
+
+  if (journalLock) {
+    puts.push({ storeName: STORES.profile, value: journalLock, key: "journalLock" });
+  }
+
+  const saved = await safeWrite("restore", () =>
+    writeBatch({ clear: plan.replace ? Object.values(STORES) : [], puts })
+  );
+
+  if (saved && profile && profile.theme) {
+    try {
+      localStorage.setItem(THEME_KEY, profile.theme);
+    } catch (err) {
+      console.warn("Could not restore theme:", err);
+    }
+  }
+  return announceChange("reset", saved);
+};
+
+// ============================================================================
+// PRIVATE JOURNAL - Web Crypto (see infra/vault.js)
+// ============================================================================
+
+/**
+ * Whether the journal can be encrypted in this browser
+ * @returns {boolean}
+ */
+export const isJournalEncryptionSupported = () => isVaultSupported();
+
+/**
+ * Make a lock record (and its key) for a new passphrase
+ * @param {string} passphrase - The user's new passphrase
+ * @returns {Promise<Object>} { lock, key }
+ */
+export const createJournalLock = (passphrase) => createLock(passphrase);
+
+/**
+ * Check a passphrase and derive every key it opens for the given entries
+ * @param {Object} lock - Stored lock record
+ * @param {string} passphrase - Passphrase typed by the user
+ * @param {Object[]} entries - Stored journal entries
+ * @returns {Promise<Map|null>} Keys by salt, or null if the passphrase is wrong
+ */
+export const unlockJournalKeys = (lock, passphrase, entries) =>
+  unlockKeys(
+    lock,
+    passphrase,
+    entries.filter(isSealedEntry).map((entry) => entry.encrypted)
+  );
+
+/**
+ * Replace an entry's text, and the text of its revisions, with ciphertext.
+ * Tags and mood are sealed together as encryptedDetails, so a locked
+ * journal doesn't give away what its entries are about.
+ * @param {Object} entry - Journal entry (or new entry data) with text
+ * @param {CryptoKey} key - Key for the lock
+ * @param {Object} lock - Lock record
+ * @returns {Promise<Object>} Entry with encrypted instead of text
+ */
+export const sealJournalEntry = async (entry, key, lock) => {
+  const { text, revisions, tags, mood, ...rest } = entry;
+  const sealed = { ...rest, encrypted: await sealText(key, lock, text) };
+  if (tags !== undefined || mood !== undefined) {
+    sealed.encryptedDetails = await sealText(
+      key,
+      lock,
+      JSON.stringify({ tags: tags || [], mood: mood ?? null })
+    );
+  }
+  if (revisions) {
+    sealed.revisions = await Promise.all(
+      revisions.map(async (revision) => ({
+        date: revision.date,
+        encrypted: await sealText(key, lock, revision.text),
+      }))
+    );
+  }
+  return sealed;
+};
+
+/**
+ * Give a sealed entry its text (and its revisions' text, tags and mood)
+ * back. Plain entries pass through.
+ * @param {Object} entry - Stored journal entry
+ * @param {Map|null} keys - Unlocked keys by salt, or null while locked
+ * @returns {Promise<Object>} Plain entry, or the sealed entry marked
+ *   locked (and unreadable when unlocked keys still don't open it)
+ */
+export const openJournalEntry = async (entry, keys) => {
+  if (!isSealedEntry(entry)) return entry;
+
+  const { encrypted, encryptedDetails, revisions, ...rest } = entry;
+  const open = (sealed) => {
+    const key = keys ? keys.get(sealed.salt) : null;
+    return key ? openText(key, sealed) : null;
+  };
+  const [text, details, ...revisionTexts] = await Promise.all([
+    open(encrypted),
+    encryptedDetails ? open(encryptedDetails) : "{}",
+    ...(revisions || []).map((revision) => open(revision.encrypted)),
+  ]);
+  if (text === null || details === null || revisionTexts.includes(null)) {
+    return { ...entry, locked: true, unreadable: Boolean(keys) };
+  }
+
+  const opened = { ...rest, ...JSON.parse(details), text };
+  if (revisions) {
+    opened.revisions = revisions.map((revision, i) => ({ date: revision.date, text: revisionTexts[i] }));
+  }
+  return opened;
+};
+
+// ============================================================================
+// TAB SYNC - other open tabs of the app (see infra/courier.js)
+// ============================================================================
+
+/**
+ * Tell other tabs a write changed stored data, so they reload it
+ * @param {string} topic - 'sessions' | 'journals' | 'journeys' | 'reset'
+ *   (everything replaced: restore or clear all)
+ * @param {boolean} saved - Whether the write succeeded
+ * @returns {boolean} saved, passed through
+ */
+const announceChange = (topic, saved) => {
+  if (saved) sendToTabs(topic);
+  return saved;
+};
+
+/**
+ * Follow changes made in other tabs. Settings and volume are applied here
+ * first, so by the time a handler runs every getter already returns the
+ * new value.
+ * @param {Object} handlers - Called for what changed:
+ *   { settings(changedKeys), volume(volume), sessions(), journals(),
+ *     journeys(), reset(), audio(action, tabId) }
+ */
+export const initTabSync = (handlers) => {
+  openCourier(({ from, type, detail }) => {
+    if (type === "settings") {
+      const changed = syncSettings(detail.settings);
+      if (changed.length > 0) handlers.settings(changed);
+    } else if (type === "volume") {
+      if (typeof detail.volume !== "number") return;
+      applyVolume(detail.volume);
+      handlers.volume(detail.volume);
+    } else if (type === "audio") {
+      handlers.audio(detail.action, from);
+    } else if (handlers[type]) {
+      handlers[type]();
+    }
+  });
+};
+
+/**
+ * Tell other tabs about audio playback, which only one tab owns at a time
+ * @param {string} action - 'claim' (this tab plays now), 'release' (it
+ *   stopped) or 'hello' (a new tab asking who plays)
+ */
+export const announceAudio = (action) => sendToTabs("audio", { action });
@@ -0,0 +1,362 @@
+/**
+ * INFRA/REPOSITORY.JS
+ * IndexedDB storage for everything the app keeps between visits.
+ * Handles: opening and upgrading the database, one-time localStorage import,
+ * and small promise wrappers over object store reads and writes.
+ *
+ * messenger.js is the only caller; the rest of the app goes through its
+ * storage functions.
+ */
+
+import { storageKeys } from "../core/pure.js";
+import { buildRollups } from "../core/history.js";
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+const DB_NAME = "tree-of-life";
+
+export const STORES = {
+  sessions: "sessions", // Practice log, keyed by id (timestamp), indexed by date
+  journals: "journals", // Journal entries, keyed by id (timestamp), indexed by date
+  journeys: "journeys", // User-imported journeys, keyed by id
+  settings: "settings", // Settings object under SETTINGS_RECORD
+  profile: "profile", // Small per-user values by name: volume, lastNeter, journalLock
+  rollups: "rollups", // Practice totals per day/week/month and neter, keyed by id, indexed by period
+};
+
+export const SETTINGS_RECORD = "app";
+
+/**
+ * Schema upgrades, one per version: UPGRADES[n] takes the database from
+ * version n to n + 1. Never edit a shipped upgrade - append a new one.
+ * Each runs inside the versionchange transaction, so a failure rolls the
+ * whole upgrade back.
+ */
+const UPGRADES = [
+  // v1: the stores, and the data earlier builds kept in localStorage
+  (db, tx) => {
+    db.createObjectStore(STORES.sessions, { keyPath: "id" }).createIndex("date", "date");
+    db.createObjectStore(STORES.journals, { keyPath: "id" }).createIndex("date", "date");
+    db.createObjectStore(STORES.journeys, { keyPath: "id" });
+    db.createObjectStore(STORES.settings);
+    db.createObjectStore(STORES.profile);
+    importLocalStorage(tx);
+  },
+  // v2: practice rollups, counted from the sessions kept so far
+  (db, tx) => {
+    db.createObjectStore(STORES.rollups, { keyPath: "id" }).createIndex("period", "period");
+    tx.objectStore(STORES.sessions).getAll().onsuccess = (event) => {
+      const rollups = tx.objectStore(STORES.rollups);
+      buildRollups(event.target.result).forEach((rollup) => rollups.put(rollup));
+    };
+  },
+];
+
+const DB_VERSION = UPGRADES.length;
+
+// ============================================================================
+// LOCALSTORAGE MIGRATION
+// ============================================================================
+
+/**
+ * Read and parse a localStorage value left by an earlier build
+ * @param {string} key - localStorage key
+ * @returns {*} Parsed value, or null if missing or unreadable
+ */
+const readLegacy = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? null : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Could not read legacy "${key}":`, err);
+    return null;
+  }
+};
+
+/**
+ * Copy the old localStorage data into the new stores. Runs once, as part of
+ * the first upgrade; the old keys are removed only after the upgrade commits.
+ * The theme and first-visit flags stay in localStorage: pages read them
+ * before any script can open the database.
+ * @param {IDBTransaction} tx - The versionchange transaction
+ */
+const importLocalStorage = (tx) => {
+  const imported = [];
+
+  [
+    [storageKeys.sessions, STORES.sessions],
+    [storageKeys.journals, STORES.journals],
+    [storageKeys.journeys, STORES.journeys],
+  ].forEach(([key, storeName]) => {
+    const records = readLegacy(key);
+    if (!Array.isArray(records)) return;
+    const store = tx.objectStore(storeName);
+    records
+      .filter((record) => record && record.id !== undefined && record.id !== null)
+      .forEach((record) => store.put(record));
+    imported.push(key);
+  });
+
+  const settings = readLegacy(storageKeys.settings);
+  if (settings && typeof settings === "object") {
+    tx.objectStore(STORES.settings).put(settings, SETTINGS_RECORD);
+    imported.push(storageKeys.settings);
+  }
+
+  const profile = tx.objectStore(STORES.profile);
+  [
+    [storageKeys.volume, "volume"],
+    [storageKeys.lastNeter, "lastNeter"],
+  ].forEach(([key, name]) => {
+    const value = readLegacy(key);
+    if (typeof value !== "number" || Number.isNaN(value)) return;
+    profile.put(value, name);
+    imported.push(key);
+  });
+
+  tx.addEventListener("complete", () => {
+    if (!imported.length) return;
+    try {
+      imported.forEach((key) => localStorage.removeItem(key));
+    } catch (err) {
+      console.warn("Could not remove imported localStorage keys:", err);
+    }
+    console.log("📦 Imported localStorage data into IndexedDB:", imported);
+  });
+};
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+let dbPromise = null;
+
+/**
+ * Open the database, upgrading (and migrating) it if it's behind
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        UPGRADES[version](db, request.transaction);
+      }
+      console.log(`🗄️ Database upgraded from v${event.oldVersion} to v${DB_VERSION}`);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // A newer build in another tab wants to upgrade: step aside, and
+      // forget this connection so the next call opens the database afresh
+      // rather than using a closed one
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      console.warn("Database upgrade waiting for other tabs to close");
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run one request in its own transaction and resolve once it has committed
+ * @param {string|string[]} storeNames - Store(s) the transaction covers
+ * @param {string} mode - "readonly" | "readwrite"
+ * @param {Function} work - (tx) => IDBRequest | undefined
+ * @returns {Promise<*>} The request's result
+ */
+const runTransaction = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const request = work(tx);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Every record in a store, in key order
+ * @param {string} storeName - Store name (see STORES)
+ * @returns {Promise<Array>}
+ */
+export const getAllRecords = (storeName) =>
+  runTransaction(storeName, "readonly", (tx) => tx.objectStore(storeName).getAll());
+
+/**
+ * Every record with a given index value
+ * @param {string} storeName - Store name (see STORES)
+ * @param {string} indexName - Index name
+ * @param {*} value - Index value to match
+ * @returns {Promise<Array>}
+ */
+export const getRecordsByIndex = (storeName, indexName, value) =>
+  runTransaction(storeName, "readonly", (tx) =>
+    tx.objectStore(storeName).index(indexName).getAll(value)
+  );
+
+/**
+ * A page of records, newest key first, read with a cursor so long
+ * histories don't have to be loaded whole
+ * @param {string} storeName - Store name (see STORES)
+ * @param {Object} page - { before: only keys below this (omit for the
+ *   newest), limit }
+ * @returns {Promise<Array>} Up to limit records, in descending key order
+ */
+export const getRecordPage = async (storeName, { before, limit }) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readonly");
+    const range = before === undefined ? null : IDBKeyRange.upperBound(before, true);
+    const request = tx.objectStore(storeName).openCursor(range, "prev");
+    const records = [];
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || records.length >= limit) return;
+      records.push(cursor.value);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(records);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/**
+ * One record by key
+ * @param {string} storeName - Store name (see STORES)
+ * @param {*} key - Record key
+ * @returns {Promise<*>} The record, or undefined
+ */
+export const getRecord = (storeName, key) =>
+  runTransaction(storeName, "readonly", (tx) => tx.objectStore(storeName).get(key));
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Store name (see STORES)
+ * @param {*} value - Record to store
+ * @param {*} [key] - Key, for stores without a keyPath (settings, profile)
+ * @returns {Promise<*>} The record's key
+ */
+export const putRecord = (storeName, value, key) =>
+  runTransaction(storeName, "readwrite", (tx) =>
+    key === undefined
+      ? tx.objectStore(storeName).put(value)
+      : tx.objectStore(storeName).put(value, key)
+  );
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Store name (see STORES)
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = (storeName, key) =>
+  runTransaction(storeName, "readwrite", (tx) => tx.objectStore(storeName).delete(key));
+
+/**
+ * Delete every record with a key in [lower, upper)
+ * @param {string} storeName - Store name (see STORES)
+ * @param {*} lower - Lowest key deleted
+ * @param {*} upper - First key kept
+ * @returns {Promise<number>} How many records were deleted
+ */
+export const deleteRange = (storeName, lower, upper) => {
+  const range = IDBKeyRange.bound(lower, upper, false, true);
+  let count = 0;
+  return runTransaction(storeName, "readwrite", (tx) => {
+    const store = tx.objectStore(storeName);
+    store.count(range).onsuccess = (event) => {
+      count = event.target.result;
+      store.delete(range);
+    };
+  }).then(() => count);
+};
+
+/**
+ * Empty several stores in one transaction
+ * @param {string[]} storeNames - Store names (see STORES)
+ * @returns {Promise<void>}
+ */
+export const clearStores = (storeNames) =>
+  runTransaction(storeNames, "readwrite", (tx) => {
+    storeNames.forEach((storeName) => tx.objectStore(storeName).clear());
+  });
+
+/**
+ * Apply many writes in one transaction: all of them land, or none do
+ * @param {Object} batch - { clear: storeNames to empty first,
+ *   puts: [{ storeName, value, key? }] }
+ * @returns {Promise<void>}
+ */
+export const writeBatch = ({ clear = [], puts = [] }) => {
+  const storeNames = [...new Set([...clear, ...puts.map((put) => put.storeName)])];
+  if (storeNames.length === 0) return Promise.resolve();
+
+  return runTransaction(storeNames, "readwrite", (tx) => {
+    clear.forEach((storeName) => tx.objectStore(storeName).clear());
+    puts.forEach(({ storeName, value, key }) => {
+      if (key === undefined) tx.objectStore(storeName).put(value);
+      else tx.objectStore(storeName).put(value, key);
+    });
+  });
+};
+
+/**
+ * Read some records, then write based on them, in one transaction - so a
+ * write in another tab can't land in between and be lost
+ * @param {Object} update - { storeNames: every store touched,
+ *   reads: [{ storeName, key }],
+ *   write: (values) => [{ storeName, value, key? }] - values in reads order,
+ *   undefined where missing }
+ * @returns {Promise<void>}
+ */
+export const updateRecords = ({ storeNames, reads, write }) =>
+  runTransaction(storeNames, "readwrite", (tx) => {
+    const values = new Array(reads.length);
+    let pending = reads.length;
+
+    const writeAll = () => {
+      write(values).forEach(({ storeName, value, key }) => {
+        if (key === undefined) tx.objectStore(storeName).put(value);
+        else tx.objectStore(storeName).put(value, key);
+      });
+    };
+
+    if (pending === 0) {
+      writeAll();
+      return;
+    }
+    reads.forEach(({ storeName, key }, index) => {
+      tx.objectStore(storeName).get(key).onsuccess = (event) => {
+        values[index] = event.target.result;
+        pending -= 1;
+        if (pending === 0) writeAll();
+      };
+    });
+  });
@@ -0,0 +1,285 @@
+/**
+ * INFRA/SOUNDSCAPE.JS
+ * Procedural ambient beds generated entirely in Web Audio.
+ * Handles: noise buffers, filters and slow LFOs for each bed.
+ *
+ * No sample files are loaded, so the beds keep working offline.
+ * Every builder takes the audio context as a parameter so the same graph
+ * can be rendered by an OfflineAudioContext.
+ */
+
+// ============================================================================
+// NOISE BUFFERS
+// ============================================================================
+
+const NOISE_SECONDS = 6;
+
+/**
+ * Fill an array with white noise
+ * @param {Float32Array} data - Sample array to fill
+ */
+const fillWhiteNoise = (data) => {
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.random() * 2 - 1;
+  }
+};
+
+/**
+ * Fill an array with pink noise (Paul Kellet's refined filter)
+ * @param {Float32Array} data - Sample array to fill
+ */
+const fillPinkNoise = (data) => {
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.969 * b2 + white * 0.153852;
+    b3 = 0.8665 * b3 + white * 0.3104856;
+    b4 = 0.55 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.016898;
+    data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+    b6 = white * 0.115926;
+  }
+};
+
+/**
+ * Fill an array with brown noise (leaky integrated white noise)
+ * @param {Float32Array} data - Sample array to fill
+ */
+const fillBrownNoise = (data) => {
+  let last = 0;
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    last = (last + 0.02 * white) / 1.02;
+    data[i] = last * 3.5;
+  }
+};
+
+const NOISE_FILLERS = {
+  white: fillWhiteNoise,
+  pink: fillPinkNoise,
+  brown: fillBrownNoise
+};
+
+/**
+ * Create a looping noise source
+ * @param {BaseAudioContext} ctx - Audio context
+ * @param {string} color - 'white' | 'pink' | 'brown'
+ * @returns {AudioBufferSourceNode} Looping source (not started)
+ */
+const createNoiseSource = (ctx, color) => {
+  const length = Math.floor(ctx.sampleRate * NOISE_SECONDS);
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  NOISE_FILLERS[color](buffer.getChannelData(0));
+
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  return source;
+};
+
+/**
+ * Modulate an AudioParam with a slow sine LFO
+ * @param {BaseAudioContext} ctx - Audio context
+ * @param {AudioParam} param - Parameter to modulate
+ * @param {number} rate - LFO rate in Hz
+ * @param {number} depth - Modulation depth in the param's units
+ * @param {Object} bed - Bed collector { sources, nodes }
+ */
+const addLfo = (ctx, param, rate, depth, bed) => {
+  const lfo = ctx.createOscillator();
+  lfo.frequency.value = rate;
+  const lfoDepth = ctx.createGain();
+  lfoDepth.gain.value = depth;
+  lfo.connect(lfoDepth);
+  lfoDepth.connect(param);
+  bed.sources.push(lfo);
+  bed.nodes.push(lfoDepth);
+};
+
+/**
+ * Create a biquad filter
+ * @param {BaseAudioContext} ctx - Audio context
+ * @param {string} type - Filter type
+ * @param {number} frequency - Cutoff/centre frequency in Hz
+ * @param {number} [q=1] - Filter Q
+ * @returns {BiquadFilterNode}
+ */
+const createFilter = (ctx, type, frequency, q = 1) => {
+  const filter = ctx.createBiquadFilter();
+  filter.type = type;
+  filter.frequency.value = frequency;
+  filter.Q.value = q;
+  return filter;
+};
+
+// ============================================================================
+// BED RECIPES
+// ============================================================================
+
+/**
+ * Each recipe wires its sources into `output` and returns nothing.
+ * `calibration` balances perceived loudness between beds at the same level.
+ */
+const BED_RECIPES = {
+  pink: {
+    calibration: 0.6,
+    build: (ctx, output, bed) => {
+      const noise = createNoiseSource(ctx, "pink");
+      noise.connect(output);
+      bed.sources.push(noise);
+    }
+  },
+
+  brown: {
+    calibration: 0.8,
+    build: (ctx, output, bed) => {
+      const noise = createNoiseSource(ctx, "brown");
+      noise.connect(output);
+      bed.sources.push(noise);
+    }
+  },
+
+  wind: {
+    calibration: 1.2,
+    build: (ctx, output, bed) => {
+      const noise = createNoiseSource(ctx, "pink");
+      const band = createFilter(ctx, "bandpass", 500, 0.8);
+      const gust = ctx.createGain();
+      gust.gain.value = 0.6;
+
+      noise.connect(band);
+      band.connect(gust);
+      gust.connect(output);
+
+      // Sweep the band slowly and swell the level for gusts
+      addLfo(ctx, band.frequency, 0.07, 300, bed);
+      addLfo(ctx, gust.gain, 0.13, 0.35, bed);
+
+      bed.sources.push(noise);
+      bed.nodes.push(band, gust);
+    }
+  },
+
+  water: {
+    calibration: 1,
+    build: (ctx, output, bed) => {
+      // Body of the river: brown noise in the low mids
+      const flow = createNoiseSource(ctx, "brown");
+      const flowBand = createFilter(ctx, "bandpass", 700, 0.6);
+      flow.connect(flowBand);
+      flowBand.connect(output);
+
+      // Surface babble: white noise above 2 kHz with a fast flutter
+      const babble = createNoiseSource(ctx, "white");
+      const babbleHigh = createFilter(ctx, "highpass", 2200, 0.7);
+      const babbleGain = ctx.createGain();
+      babbleGain.gain.value = 0.08;
+      babble.connect(babbleHigh);
+      babbleHigh.connect(babbleGain);
+      babbleGain.connect(output);
+
+      addLfo(ctx, flowBand.frequency, 0.2, 150, bed);
+      addLfo(ctx, babbleGain.gain, 6.5, 0.04, bed);
+
+      bed.sources.push(flow, babble);
+      bed.nodes.push(flowBand, babbleHigh, babbleGain);
+    }
+  },
+
+  drone: {
+    calibration: 0.5,
+    build: (ctx, output, bed) => {
+      // Low root, slightly detuned twin and a fifth, softened by a lowpass
+      const lowpass = createFilter(ctx, "lowpass", 320, 0.7);
+      const swell = ctx.createGain();
+      swell.gain.value = 0.8;
+      lowpass.connect(swell);
+      swell.connect(output);
+
+      [
+        { type: "sawtooth", frequency: 55, gain: 0.35 },
+        { type: "sawtooth", frequency: 55.4, gain: 0.3 },
+        { type: "triangle", frequency: 82.5, gain: 0.25 }
+      ].forEach(({ type, frequency, gain }) => {
+        const osc = ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.value = frequency;
+        const oscGain = ctx.createGain();
+        oscGain.gain.value = gain;
+        osc.connect(oscGain);
+        oscGain.connect(lowpass);
+        bed.sources.push(osc);
+        bed.nodes.push(oscGain);
+      });
+
+      addLfo(ctx, swell.gain, 0.05, 0.2, bed);
+      bed.nodes.push(lowpass, swell);
+    }
+  }
+};
+
+// ============================================================================
+// BED LIFECYCLE
+// ============================================================================
+
+/**
+ * Convert a 0-100 bed level to the bed's gain value
+ * @param {string} bedId - Bed ID
+ * @param {number} level - Level 0-100
+ * @returns {number} Gain value
+ */
+export const bedLevelToGain = (bedId, level) => {
+  const recipe = BED_RECIPES[bedId];
+  if (!recipe) return 0;
+  return (Math.max(0, Math.min(100, level)) / 100) * recipe.calibration;
+};
+
+/**
+ * Build and start an ambient bed
+ * @param {BaseAudioContext} ctx - Audio context to build on
+ * @param {AudioNode} destination - Node the bed connects to
+ * @param {string} bedId - Bed ID (pink, brown, wind, water, drone)
+ * @param {number} [gain=0] - Initial gain of the bed's own gain node
+ * @param {number} [when=0] - Context time to start the sources
+ * @returns {Object|null} Bed { id, gain, sources, nodes } or null if unknown
+ */
+export const createBed = (ctx, destination, bedId, gain = 0, when = 0) => {
+  const recipe = BED_RECIPES[bedId];
+  if (!recipe) return null;
+
+  const bedGain = ctx.createGain();
+  bedGain.gain.value = gain;
+  bedGain.connect(destination);
+
+  const bed = { id: bedId, gain: bedGain, sources: [], nodes: [bedGain] };
+  recipe.build(ctx, bedGain, bed);
+  bed.sources.forEach((source) => source.start(when));
+
+  return bed;
+};
+
+/**
+ * Schedule an ambient bed's sources to stop
+ * @param {Object} bed - Bed from createBed()
+ * @param {number} [when=0] - Context time to stop at
+ */
+export const stopBed = (bed, when = 0) => {
+  bed.sources.forEach((source) => {
+    try {
+      source.stop(when);
+    } catch (err) {
+      console.warn("Error stopping bed source:", err);
+    }
+  });
+};
+
+/**
+ * Disconnect every node of a bed from the graph
+ * @param {Object} bed - Bed from createBed()
+ */
+export const disconnectBed = (bed) => {
+  bed.sources.forEach((source) => source.disconnect());
+  bed.nodes.forEach((node) => node.disconnect());
+};
@@ -0,0 +1,188 @@
+/**
+ * INFRA/TONE-WORKLET.JS
+ * AudioWorklet processor for neter tone voices. Runs on the audio thread.
+ *
+ * Loaded by messenger.js through audioWorklet.addModule(). Worklet modules
+ * can't share imports with the page, so the voice arrives fully resolved in
+ * processorOptions (partials from getTimbrePartials, harmonics for 'custom').
+ *
+ * Every partial keeps its own phase, so frequency and beat changes are
+ * phase-continuous, and frequency, beat and the envelope are a-rate params
+ * for sample-accurate glides and fades. The processor ends itself at its
+ * stop time instead of relying on timers on the main thread.
+ */
+
+const TWO_PI = Math.PI * 2;
+
+// ============================================================================
+// WAVEFORMS
+// ============================================================================
+
+/**
+ * PolyBLEP correction - rounds off the jump of a naive saw/square so it
+ * doesn't alias into audible whistles
+ * @param {number} phase - Phase 0-1
+ * @param {number} increment - Phase step per sample
+ * @returns {number} Correction to add at a rising step
+ */
+const polyBlep = (phase, increment) => {
+  if (phase < increment) {
+    const t = phase / increment;
+    return t + t - t * t - 1;
+  }
+  if (phase > 1 - increment) {
+    const t = (phase - 1) / increment;
+    return t * t + t + t + 1;
+  }
+  return 0;
+};
+
+/**
+ * Peak of a sum of sine harmonics, so 'custom' waves peak at ±1 like the
+ * normalized PeriodicWave on the oscillator path
+ * @param {number[]} harmonics - Sine term per harmonic (index 0 is DC, ignored)
+ * @returns {number} Peak amplitude
+ */
+const getHarmonicPeak = (harmonics) => {
+  let peak = 0;
+  for (let i = 0; i < 1024; i++) {
+    const phase = (i / 1024) * TWO_PI;
+    let value = 0;
+    for (let n = 1; n < harmonics.length; n++) value += harmonics[n] * Math.sin(n * phase);
+    peak = Math.max(peak, Math.abs(value));
+  }
+  return peak || 1;
+};
+
+/**
+ * One sample of a waveform, ±1 like OscillatorNode
+ * @param {string} type - sine | triangle | sawtooth | square | custom
+ * @param {number} phase - Phase 0-1
+ * @param {number} increment - Phase step per sample
+ * @param {Object} voice - Processor state ({ harmonics, harmonicPeak })
+ * @returns {number}
+ */
+const waveSample = (type, phase, increment, voice) => {
+  switch (type) {
+    case "triangle":
+      return 1 - 4 * Math.abs(phase - 0.5);
+    case "sawtooth": {
+      const shifted = phase + 0.5 >= 1 ? phase - 0.5 : phase + 0.5;
+      return 2 * shifted - 1 - polyBlep(shifted, increment);
+    }
+    case "square":
+      return (
+        (phase < 0.5 ? 1 : -1) +
+        polyBlep(phase, increment) -
+        polyBlep(phase + 0.5 >= 1 ? phase - 0.5 : phase + 0.5, increment)
+      );
+    case "custom": {
+      let value = 0;
+      for (let n = 1; n < voice.harmonics.length; n++) {
+        value += voice.harmonics[n] * Math.sin(n * phase * TWO_PI);
+      }
+      return value / voice.harmonicPeak;
+    }
+    default:
+      return Math.sin(phase * TWO_PI);
+  }
+};
+
+// ============================================================================
+// PROCESSOR
+// ============================================================================
+
+class ToneVoiceProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: "frequency", defaultValue: 440, minValue: 1, maxValue: 20000 },
+      { name: "beat", defaultValue: 0, minValue: 0, maxValue: 100 }, // Right ear offset (Hz)
+      { name: "gain", defaultValue: 0, minValue: 0, maxValue: 1 }, // Envelope
+    ];
+  }
+
+  /**
+   * @param {Object} options - processorOptions { partials, harmonics, binaural, startTime }
+   */
+  constructor(options) {
+    super();
+    const { partials, harmonics, binaural, startTime } = options.processorOptions;
+
+    this.partials = partials.map((partial) => ({
+      ...partial,
+      detuneRatio: Math.pow(2, partial.detune / 1200),
+    }));
+    this.harmonics = harmonics || [];
+    this.harmonicPeak = getHarmonicPeak(this.harmonics);
+    this.binaural = binaural;
+    this.phases = [
+      new Float64Array(this.partials.length),
+      new Float64Array(this.partials.length),
+    ];
+    this.startTime = startTime || 0;
+    this.stopTime = Infinity;
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === "stop") this.stopTime = event.data.when;
+    };
+  }
+
+  /**
+   * Advance one ear by a sample
+   * @param {number} ear - 0 left, 1 right
+   * @param {number} carrier - Ear's carrier frequency in Hz
+   * @returns {number} Sample before the envelope
+   */
+  renderEar(ear, carrier) {
+    const phases = this.phases[ear];
+    let sum = 0;
+    for (let i = 0; i < this.partials.length; i++) {
+      const partial = this.partials[i];
+      const increment =
+        ((carrier * partial.ratio + partial.offset) * partial.detuneRatio) / sampleRate;
+      sum += waveSample(partial.type, phases[i], increment, this) * partial.gain;
+      phases[i] += increment;
+      phases[i] -= Math.floor(phases[i]);
+    }
+    return sum;
+  }
+
+  process(inputs, outputs, parameters) {
+    const [left, right] = outputs[0];
+
+    if (currentTime >= this.stopTime) {
+      this.port.postMessage({ type: "ended" });
+      return false;
+    }
+
+    // Scheduled ahead (offline export segments): stay silent and cheap
+    const startFrame = Math.max(0, Math.ceil((this.startTime - currentTime) * sampleRate));
+    if (startFrame >= left.length) return true;
+
+    const frequency = parameters.frequency;
+    const beat = parameters.beat;
+    const gain = parameters.gain;
+    const stopFrame = Math.min(
+      left.length,
+      Math.ceil((this.stopTime - currentTime) * sampleRate)
+    );
+
+    for (let i = startFrame; i < stopFrame; i++) {
+      const carrier = frequency.length > 1 ? frequency[i] : frequency[0];
+      const envelope = gain.length > 1 ? gain[i] : gain[0];
+
+      left[i] = this.renderEar(0, carrier) * envelope;
+      if (this.binaural) {
+        const offset = beat.length > 1 ? beat[i] : beat[0];
+        right[i] = this.renderEar(1, carrier + offset) * envelope;
+      } else {
+        right[i] = left[i];
+      }
+    }
+
+    // Output arrays start zeroed, so frames outside start/stop stay silent
+    return true;
+  }
+}
+
+registerProcessor("tone-voice", ToneVoiceProcessor);
@@ -0,0 +1,175 @@
+/**
+ * INFRA/VAULT.JS
+ * Passphrase encryption for the private journal (Web Crypto).
+ * Handles: PBKDF2 key derivation, AES-GCM sealing and opening of entry text,
+ * and the lock record that checks a passphrase without storing it.
+ *
+ * Keys are derived as non-extractable CryptoKeys and only live in memory.
+ * Sealed text carries its own salt, so entries sealed under another
+ * passphrase (merged from another device's backup) stay intact and simply
+ * don't open with this one.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PBKDF2_ITERATIONS = 600000; // OWASP guidance for PBKDF2-HMAC-SHA256
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // Standard AES-GCM nonce length
+const LOCK_CHECK = "tree-of-life-journal"; // Known text sealed in the lock record
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Bytes to base64, for storing binary values in JSON-friendly records
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @returns {string}
+ */
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+/**
+ * Base64 back to bytes
+ * @param {string} text - Base64 string
+ * @returns {Uint8Array}
+ */
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * Cryptographically random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array}
+ */
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Whether this browser can encrypt the journal (Web Crypto needs a secure
+ * context: https or localhost)
+ * @returns {boolean}
+ */
+export const isVaultSupported = () =>
+  typeof crypto !== "undefined" && Boolean(crypto.subtle) && typeof TextEncoder !== "undefined";
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - The user's passphrase
+ * @param {string} salt - Base64 salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+// ============================================================================
+// SEALING
+// ============================================================================
+
+/**
+ * Encrypt text under a lock's key
+ * @param {CryptoKey} key - Key for the lock
+ * @param {Object} lock - Lock record the key belongs to
+ * @param {string} text - Plain text
+ * @returns {Promise<Object>} Sealed text { salt, iterations, iv, data }
+ */
+export const sealText = async (key, lock, text) => {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, encoder.encode(text));
+  return {
+    salt: lock.salt,
+    iterations: lock.iterations,
+    iv: toBase64(iv),
+    data: toBase64(data),
+  };
+};
+
+/**
+ * Decrypt sealed text
+ * @param {CryptoKey} key - Key derived with the sealed text's salt
+ * @param {Object} sealed - From sealText()
+ * @returns {Promise<string|null>} Plain text, or null if the key doesn't fit
+ *   or the data was tampered with
+ */
+export const openText = async (key, sealed) => {
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(sealed.iv) },
+      key,
+      fromBase64(sealed.data)
+    );
+    return decoder.decode(data);
+  } catch {
+    return null;
+  }
+};
+
+// ============================================================================
+// LOCKS
+// ============================================================================
+
+/**
+ * Set up encryption with a new passphrase
+ * @param {string} passphrase - The user's new passphrase
+ * @returns {Promise<Object>} { lock: { salt, iterations, check }, key }
+ */
+export const createLock = async (passphrase) => {
+  const salt = toBase64(randomBytes(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const partial = { salt, iterations: PBKDF2_ITERATIONS };
+  const check = await sealText(key, partial, LOCK_CHECK);
+  return {
+    lock: { ...partial, check: { iv: check.iv, data: check.data } },
+    key,
+  };
+};
+
+/**
+ * Derive the keys a passphrase opens: the lock's own, plus one for each
+ * other salt found on stored entries
+ * @param {Object} lock - Stored lock record
+ * @param {string} passphrase - Passphrase to try
+ * @param {Object[]} [sealed] - Sealed texts whose salts should get keys too
+ * @returns {Promise<Map|null>} Keys by salt, or null if the passphrase is wrong
+ */
+export const unlockKeys = async (lock, passphrase, sealed = []) => {
+  const key = await deriveKey(passphrase, lock.salt, lock.iterations);
+  const check = await openText(key, lock.check);
+  if (check !== LOCK_CHECK) return null;
+
+  const keys = new Map([[lock.salt, key]]);
+  for (const { salt, iterations } of sealed) {
+    if (!keys.has(salt)) {
+      keys.set(salt, await deriveKey(passphrase, salt, iterations));
+    }
+  }
+  return keys;
+};
@@ -14,21 +14,17 @@ if (document.readyState === 'loading') {
     console.log('📄 DOM Content Loaded');
     // Small delay to ensure THREE.js is available on window
     setTimeout(() => {
-      try {
-        init();
-      } catch (err) {
+      init().catch((err) => {
         console.error('❌ Initialization failed:', err);
-      }
+      });
     }, 50);
   });
 } else {
   // DOM already loaded
   console.log('📄 DOM Already Ready');
   setTimeout(() => {
-    try {
-      init();
-    } catch (err) {
+    init().catch((err) => {
       console.error('❌ Initialization failed:', err);
-    }
+    });
   }, 50);
 }
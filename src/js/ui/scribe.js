@@ -7,20 +7,44 @@
 
 import {
   PAUTTI_NETERU,
+  TIMBRE_PRESETS,
   colorToHex,
+  getGlideProgress,
   formatDuration,
+  formatCountdown,
   formatDate,
   createBadgeText,
+  getJournalRevisions,
 } from "../core/pure.js";
+import { formatPeriodLabel, formatPracticeTime } from "../core/history.js";
+import { NEGLECT_DAYS } from "../core/insights.js";
+import {
+  MOOD_LEVELS,
+  parseTags,
+  getEntryTags,
+  getEntryKind,
+  getEntryMood,
+  getHighlightSegments,
+  getSearchSnippet,
+} from "../core/journal.js";
 
 // ============================================================================
 // THREE.JS SCENE - Ankh Visualization
 // ============================================================================
 
 let scene, camera, renderer, ankh, particles, light, animationId;
-let isAudioPlaying = false;
 let isReducedEffects = false;
 
+// Neter colour on screen, and a running colour glide { from, to, glide, startedAt }
+let displayedColor = null;
+let colorTransition = null;
+
+// Live audio analysis (see setThreeAudioSource), eased once per frame
+let readAudioAnalysis = null;
+let audioLevel = 0;
+let audioTone = 0;
+let audioShimmer = 0;
+
 // Interaction state
 let isDragging = false;
 let isHovering = false;
@@ -30,11 +54,33 @@ let ankhVelocity = { x: 0, y: 0 };
 let raycaster, mouse;
 
 /**
- * Set audio playing state for reactive animation
- * @param {boolean} playing - Whether audio is playing
+ * Connect the scene to the live audio signal
+ * @param {Function} reader - Returns { level, tone, shimmer } (0-1 each) or null
+ */
+export const setThreeAudioSource = (reader) => {
+  readAudioAnalysis = reader;
+};
+
+/**
+ * Current orientation of the Ankh, for sound that follows the scene.
+ * Includes spin and drag, since both act on ankh.rotation.
+ * @returns {Object|null} { yaw, pitch } in radians, or null without a scene
+ */
+export const getAnkhOrientation = () =>
+  ankh ? { yaw: ankh.rotation.y, pitch: ankh.rotation.x } : null;
+
+/**
+ * Ease the visual audio levels toward the measured signal.
+ * Fast attack, slower release so the scene breathes instead of flickering.
  */
-export const setThreeAudioState = (playing) => {
-  isAudioPlaying = playing;
+const updateAudioLevels = () => {
+  const analysis = readAudioAnalysis ? readAudioAnalysis() : null;
+  const ease = (current, target) =>
+    current + (target - current) * (target > current ? 0.3 : 0.08);
+
+  audioLevel = ease(audioLevel, analysis ? analysis.level : 0);
+  audioTone = ease(audioTone, analysis ? analysis.tone : 0);
+  audioShimmer = ease(audioShimmer, analysis ? analysis.shimmer : 0);
 };
 
 /**
@@ -117,6 +163,7 @@ export const initThreeScene = (container, neter) => {
     light = new THREE.PointLight(neter.color, 1.8, 100);
     light.position.set(0, 0, 5);
     scene.add(light);
+    displayedColor = new THREE.Color(neter.color);
 
     // Start animation loop
     animate();
@@ -326,13 +373,14 @@ const setupAnkhInteraction = (container, width, height) => {
 };
 
 /**
- * Animation loop - reactive to audio state
+ * Animation loop - reactive to the live audio signal
  */
 const animate = () => {
   animationId = requestAnimationFrame(animate);
 
   const time = Date.now() * 0.001;
-  const audioIntensity = isAudioPlaying ? 1.5 : 0.5;
+  updateAudioLevels();
+  updateColorTransition();
 
   if (ankh) {
     // If reduced effects, just render still (no animation)
@@ -359,56 +407,52 @@ const animate = () => {
       const grabScale = 1.08 + Math.sin(time * 5) * 0.02;
       ankh.scale.set(grabScale, grabScale, grabScale);
     } else {
-      // Normal animation when not dragging
-      const rotationSpeed = isAudioPlaying ? 0.008 : 0.004;
+      // Normal animation when not dragging - louder signal, livelier Ankh
+      const rotationSpeed = 0.004 + audioLevel * 0.004;
       ankh.rotation.y += rotationSpeed;
 
-      // More dramatic oscillation when audio playing
-      const oscAmount = isAudioPlaying ? 0.15 : 0.1;
+      const oscAmount = 0.1 + audioLevel * 0.05;
       ankh.rotation.x = Math.sin(time) * oscAmount;
 
       // Reset z rotation smoothly
       ankh.rotation.z *= 0.9;
 
-      // Pulse scale when audio playing
-      if (isAudioPlaying) {
-        const scale = 1 + Math.sin(time * 2) * 0.05;
-        ankh.scale.set(scale, scale, scale);
-      } else {
-        ankh.scale.set(1, 1, 1);
-      }
+      // Swell with the signal, pulsing more as it gets louder
+      const scale = 1 + audioLevel * 0.04 + Math.sin(time * 2) * 0.05 * audioLevel;
+      ankh.scale.set(scale, scale, scale);
     }
   }
 
   // Skip particle animation if reduced effects
   if (particles && !isReducedEffects) {
-    // Faster rotation when audio playing
-    const particleRotSpeed = isAudioPlaying ? 0.002 : 0.0008;
+    // Tone energy drives drift and spin, high shimmer (bells, water) adds sparkle
+    const particleRotSpeed = 0.0008 + audioTone * 0.0012 + audioShimmer * 0.001;
     particles.rotation.y += particleRotSpeed;
 
     const positions = particles.geometry.attributes.position.array;
-    const moveSpeed = isAudioPlaying ? 0.015 : 0.008;
+    const moveSpeed = 0.008 + audioTone * 0.007;
+    const radialSpeed = (audioTone + audioShimmer) * 0.005;
 
     for (let i = 0; i < positions.length / 3; i++) {
       const yIndex = i * 3 + 1;
       positions[yIndex] += Math.sin(time + i) * moveSpeed;
 
-      // Add radial movement when audio playing
-      if (isAudioPlaying) {
+      // Radial movement grows with the signal
+      if (radialSpeed > 0.0001) {
         const xIndex = i * 3;
         const zIndex = i * 3 + 2;
         const angle = time + i;
-        positions[xIndex] += Math.cos(angle) * 0.005;
-        positions[zIndex] += Math.sin(angle) * 0.005;
+        positions[xIndex] += Math.cos(angle) * radialSpeed;
+        positions[zIndex] += Math.sin(angle) * radialSpeed;
       }
     }
     particles.geometry.attributes.position.needsUpdate = true;
   }
 
   if (light) {
-    // More intense pulsing when audio playing
-    const baseLum = isAudioPlaying ? 2.2 : 1.8;
-    const pulseAmount = isAudioPlaying ? 0.6 : 0.3;
+    // Brighter and deeper pulsing as the signal gets louder
+    const baseLum = 1.8 + audioLevel * 0.4;
+    const pulseAmount = 0.3 + audioLevel * 0.3;
     light.intensity = baseLum + Math.sin(time * 3) * pulseAmount;
   }
 
@@ -420,10 +464,45 @@ const animate = () => {
 /**
  * Update visuals for new neter
  * @param {Object} neter - Neter object with color
+ * @param {Object|null} [glide] - Pitch glide { duration, curve, from, to } the
+ *   colour should keep pace with; without one the colour changes at once
  */
-export const updateNeterVisuals = (neter) => {
+export const updateNeterVisuals = (neter, glide = null) => {
   const color = new THREE.Color(neter.color);
 
+  if (glide && displayedColor && !isReducedEffects) {
+    colorTransition = {
+      from: displayedColor.clone(),
+      to: color,
+      glide,
+      startedAt: performance.now(),
+    };
+    return;
+  }
+
+  colorTransition = null;
+  applyNeterColor(color);
+};
+
+/**
+ * Move the colour glide on by one frame, in step with the pitch
+ */
+const updateColorTransition = () => {
+  if (!colorTransition) return;
+
+  const { from, to, glide, startedAt } = colorTransition;
+  const t = (performance.now() - startedAt) / (glide.duration * 1000);
+  applyNeterColor(from.clone().lerp(to, getGlideProgress(glide, t)));
+  if (t >= 1) colorTransition = null;
+};
+
+/**
+ * Paint the Ankh, particles and light in one colour
+ * @param {THREE.Color} color - Colour to show
+ */
+const applyNeterColor = (color) => {
+  displayedColor = color;
+
   // Update ankh material
   if (ankh) {
     ankh.children.forEach((child) => {
@@ -489,12 +568,57 @@ export const renderNeterInfo = (neter) => {
   if (elements.teaching) elements.teaching.textContent = neter.teaching;
 };
 
+const LONG_PRESS_MS = 500;
+
 /**
- * Render neter grid cards
+ * Call back when an element is held down (touch long-press or a held click)
+ * @param {HTMLElement} element - Element to watch
+ * @param {Function} onLongPress - Called once the hold passes LONG_PRESS_MS
+ * @returns {Function} Reports (once) whether the last press was a long-press,
+ *   so the click that ends it can be ignored
+ */
+const watchLongPress = (element, onLongPress) => {
+  let timerId = null;
+  let fired = false;
+  const cancel = () => {
+    clearTimeout(timerId);
+    timerId = null;
+  };
+
+  element.addEventListener("pointerdown", (event) => {
+    if (event.button !== 0) return;
+    fired = false;
+    cancel();
+    timerId = setTimeout(() => {
+      fired = true;
+      timerId = null;
+      onLongPress();
+    }, LONG_PRESS_MS);
+  });
+  ["pointerup", "pointerleave", "pointercancel"].forEach((type) =>
+    element.addEventListener(type, cancel)
+  );
+  // Keep the touch callout menu from opening over a long-press
+  element.addEventListener("contextmenu", (event) => {
+    if (fired || timerId) event.preventDefault();
+  });
+
+  return () => {
+    const wasLongPress = fired;
+    fired = false;
+    return wasLongPress;
+  };
+};
+
+/**
+ * Render neter grid cards.
+ * Shift/Ctrl/Cmd-click or a long-press adds a sphere to a chord instead of
+ * selecting it; chord spheres are highlighted together.
  * @param {number} activeId - Currently active neter ID
  * @param {Function} onSelect - Callback when neter is selected
+ * @param {Object} [chord] - { chordIds, onChordSelect(id) }
  */
-export const renderNeterGrid = (activeId, onSelect) => {
+export const renderNeterGrid = (activeId, onSelect, { chordIds = [], onChordSelect } = {}) => {
   const grid = document.getElementById("neter-grid");
   if (!grid) return;
 
@@ -503,9 +627,12 @@ export const renderNeterGrid = (activeId, onSelect) => {
   Object.keys(PAUTTI_NETERU).forEach((key) => {
     const id = Number(key);
     const neter = PAUTTI_NETERU[id];
+    const inChord = chordIds.includes(id);
 
     const card = document.createElement("div");
-    card.className = `neter-card${id === activeId ? " active" : ""}`;
+    card.className = `neter-card${id === activeId || inChord ? " active" : ""}${
+      inChord ? " chord" : ""
+    }`;
 
     card.innerHTML = `
       <div class="neter-symbol">${neter.symbol}</div>
@@ -516,7 +643,19 @@ export const renderNeterGrid = (activeId, onSelect) => {
       <div style="font-size: 0.8rem; opacity: 0.7;">${neter.title}</div>
     `;
 
-    card.addEventListener("click", () => onSelect(id));
+    const wasLongPress = onChordSelect
+      ? watchLongPress(card, () => onChordSelect(id))
+      : () => false;
+    if (onChordSelect) card.title = "Shift-click or long-press to play in a chord";
+
+    card.addEventListener("click", (event) => {
+      if (wasLongPress()) return;
+      if (onChordSelect && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+        onChordSelect(id);
+        return;
+      }
+      onSelect(id);
+    });
     grid.appendChild(card);
   });
 };
@@ -541,6 +680,32 @@ export const renderSidePanel = (neter) => {
   if (teaching) teaching.textContent = neter.teaching;
 };
 
+/**
+ * Fill a select element with the timbre presets
+ * @param {HTMLSelectElement} select - Select element to populate
+ * @param {string} [defaultLabel] - Adds a leading "" option (e.g. "Use global")
+ */
+export const renderTimbreOptions = (select, defaultLabel) => {
+  if (!select) return;
+
+  const presets = Object.values(TIMBRE_PRESETS).map(
+    (timbre) => `<option value="${timbre.id}">${timbre.name}</option>`
+  );
+  if (defaultLabel) {
+    presets.unshift(`<option value="">${defaultLabel}</option>`);
+  }
+  select.innerHTML = presets.join("");
+};
+
+/**
+ * Show the current neter's own timbre in the side panel
+ * @param {string} timbreId - Timbre preset ID, or "" when using the global one
+ */
+export const renderNeterTimbre = (timbreId) => {
+  const select = document.getElementById("panel-neter-timbre");
+  if (select) select.value = timbreId || "";
+};
+
 /**
  * Render navigator list inside side panel
  * @param {number} activeId - Active neter ID
@@ -577,6 +742,136 @@ export const renderSidePanelList = (activeId, onSelect) => {
   });
 };
 
+/**
+ * Render guided journey list inside side panel
+ * @param {Array} journeys - Journey objects (presets first, then custom)
+ * @param {Object} handlers - { onStart(journey), onDelete(journeyId) }
+ * @param {string|null} activeId - ID of the running journey
+ */
+export const renderJourneyList = (journeys, { onStart, onDelete }, activeId) => {
+  const list = document.getElementById("journey-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  journeys.forEach((journey) => {
+    const totalSeconds = journey.segments.reduce(
+      (sum, segment) => sum + segment.duration,
+      0
+    );
+
+    const item = document.createElement("li");
+    item.className = "journey-list__item";
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.title = journey.description || journey.name;
+    button.innerHTML = `<strong></strong><span>${formatDuration(
+      totalSeconds
+    )}</span>`;
+    button.querySelector("strong").textContent = journey.name;
+    if (journey.id === activeId) button.classList.add("is-active");
+    button.addEventListener("click", () => onStart(journey));
+    item.appendChild(button);
+
+    if (journey.custom) {
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "journey-list__delete";
+      remove.setAttribute("aria-label", `Delete ${journey.name}`);
+      remove.textContent = "×";
+      remove.addEventListener("click", () => onDelete(journey.id));
+      item.appendChild(remove);
+    }
+
+    list.appendChild(item);
+  });
+};
+
+/**
+ * Show or hide the journey control bar
+ * @param {Object|null} status - { name, neterName, index, count, remaining, paused } or null to hide
+ */
+export const renderJourneyStatus = (status) => {
+  const bar = document.getElementById("journey-controls");
+  if (!bar) return;
+
+  if (!status) {
+    bar.hidden = true;
+    return;
+  }
+
+  bar.hidden = false;
+  const name = document.getElementById("journey-name");
+  const segment = document.getElementById("journey-segment");
+  const pauseBtn = document.getElementById("journey-pause-btn");
+
+  if (name) name.textContent = status.name;
+  if (segment) {
+    segment.textContent = `${status.neterName} · ${status.index + 1}/${
+      status.count
+    } · ${formatCountdown(status.remaining)}${status.paused ? " · paused" : ""}`;
+  }
+  if (pauseBtn) {
+    pauseBtn.textContent = status.paused ? "▶" : "⏸";
+    pauseBtn.setAttribute(
+      "aria-label",
+      status.paused ? "Resume journey" : "Pause journey"
+    );
+  }
+};
+
+/**
+ * Show the chord balance bar with one slider per sphere, or hide it
+ * @param {Object[]|null} voices - Chord neteru with balance (0-100), root first; null to hide
+ * @param {Function} onBalance - Called with (neterId, balance) as a slider moves
+ */
+export const renderChordStatus = (voices, onBalance) => {
+  const bar = document.getElementById("chord-controls");
+  const list = document.getElementById("chord-voices");
+  if (!bar || !list) return;
+
+  if (!voices) {
+    bar.hidden = true;
+    list.innerHTML = "";
+    return;
+  }
+
+  bar.hidden = false;
+  list.innerHTML = "";
+
+  voices.forEach((neter) => {
+    const row = document.createElement("label");
+    row.className = "chord-controls__voice";
+
+    const name = document.createElement("span");
+    name.className = "chord-controls__name";
+    name.style.color = colorToHex(neter.color);
+    name.textContent = `${neter.symbol} ${neter.name}`;
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.value = String(neter.balance);
+    slider.className = "chord-controls__slider";
+    slider.setAttribute("aria-label", `${neter.name} balance`);
+    slider.addEventListener("input", () => onBalance(neter.id, Number(slider.value)));
+
+    row.append(name, slider);
+    list.appendChild(row);
+  });
+};
+
+/**
+ * Show or hide the notice that the app is playing in another tab
+ * @param {boolean} visible - True while another tab owns audio
+ */
+export const renderAudioElsewhere = (visible) => {
+  const notice = document.getElementById("tab-audio-notice");
+  if (notice) notice.hidden = !visible;
+};
+
 /**
  * Update play button state
  * @param {boolean} isPlaying - True if currently playing
@@ -591,6 +886,328 @@ export const updatePlayButton = (isPlaying) => {
   updatePanelPlayButton(isPlaying);
 };
 
+/**
+ * Fill the session timer and interval bell selects
+ * @param {number[]} lengths - Timer lengths in minutes (0 = off)
+ * @param {number[]} intervals - Bell intervals in minutes (0 = none)
+ */
+export const renderTimerOptions = (lengths, intervals) => {
+  const timerSelect = document.getElementById("timer-select");
+  const intervalSelect = document.getElementById("settings-bell-interval");
+
+  if (timerSelect) {
+    timerSelect.innerHTML = lengths
+      .map(
+        (m) => `<option value="${m}">${m === 0 ? "⏱ No timer" : `⏱ ${m} min`}</option>`
+      )
+      .join("");
+  }
+  if (intervalSelect) {
+    intervalSelect.innerHTML = intervals
+      .map(
+        (m) => `<option value="${m}">${m === 0 ? "Off" : `Every ${m} min`}</option>`
+      )
+      .join("");
+  }
+};
+
+/**
+ * Fill the isochronic pulse selects
+ * @param {Array} shapes - Pulse shapes [{ id, name }]
+ * @param {number[]} rampMinutes - Glide lengths in minutes
+ */
+export const renderIsochronicOptions = (shapes, rampMinutes) => {
+  const shapeSelect = document.getElementById("settings-isochronic-shape");
+  const minutesSelect = document.getElementById("settings-isochronic-ramp-minutes");
+
+  if (shapeSelect) {
+    shapeSelect.innerHTML = shapes
+      .map((shape) => `<option value="${shape.id}">${shape.name}</option>`)
+      .join("");
+  }
+  if (minutesSelect) {
+    minutesSelect.innerHTML = rampMinutes
+      .map((m) => `<option value="${m}">${m} min</option>`)
+      .join("");
+  }
+};
+
+/**
+ * Fill the glide curve select
+ * @param {Array} curves - Glide curves [{ id, name }]
+ */
+export const renderGlideCurveOptions = (curves) => {
+  const select = document.getElementById("settings-glide-curve");
+  if (!select) return;
+  select.innerHTML = curves
+    .map((curve) => `<option value="${curve.id}">${curve.name}</option>`)
+    .join("");
+};
+
+/**
+ * Show the time left in a timed session next to the play button
+ * @param {number|null} seconds - Seconds remaining, or null to clear
+ */
+export const renderTimerRemaining = (seconds) => {
+  const el = document.getElementById("timer-remaining");
+  if (!el) return;
+  el.textContent = seconds === null ? "" : formatCountdown(seconds);
+};
+
+/**
+ * Show or hide the toning tuner and mark the mic button
+ * @param {boolean} active - True while the microphone is listening
+ */
+export const setTunerVisible = (active) => {
+  const tuner = document.getElementById("tuner");
+  const btn = document.getElementById("toning-btn");
+  if (tuner) tuner.hidden = !active;
+  if (btn) btn.setAttribute("aria-pressed", String(active));
+  if (!active) renderTuner(null);
+};
+
+/**
+ * Move the tuner needle to the sung pitch
+ * @param {Object|null} reading - { frequency, cents, octave, inTune } or null when silent
+ * @param {number} [range=50] - Cents shown at either end of the scale
+ */
+export const renderTuner = (reading, range = 50) => {
+  const tuner = document.getElementById("tuner");
+  const needle = document.getElementById("tuner-needle");
+  const readout = document.getElementById("tuner-readout");
+  if (!tuner || !needle || !readout) return;
+
+  tuner.classList.toggle("is-voiced", Boolean(reading));
+  tuner.classList.toggle("is-in-tune", Boolean(reading?.inTune));
+
+  if (!reading) {
+    needle.style.left = "50%";
+    readout.textContent = "Sing or hum the tone…";
+    return;
+  }
+
+  const offset = Math.max(-1, Math.min(1, reading.cents / range));
+  needle.style.left = `${50 + offset * 50}%`;
+
+  const cents = Math.round(reading.cents);
+  const octave =
+    reading.octave === 0
+      ? ""
+      : ` · ${reading.octave > 0 ? "+" : ""}${reading.octave} oct`;
+  readout.textContent = `${reading.frequency.toFixed(1)} Hz · ${
+    cents > 0 ? "+" : ""
+  }${cents} ¢${octave}`;
+};
+
+/**
+ * Fill the audio export selects, keeping the current choices
+ * @param {Array} journeys - Journeys that can be exported whole
+ * @param {number[]} durations - Lengths in minutes for a single sphere
+ * @param {number[]} bitDepths - WAV bit depths
+ */
+export const renderExportOptions = (journeys, durations, bitDepths) => {
+  const sourceSelect = document.getElementById("export-source");
+  const durationSelect = document.getElementById("export-duration");
+  const bitDepthSelect = document.getElementById("export-bit-depth");
+
+  if (sourceSelect) {
+    const previous = sourceSelect.value;
+    sourceSelect.innerHTML = `<option value="">This sphere</option>`;
+    journeys.forEach((journey) => {
+      const option = document.createElement("option");
+      option.value = journey.id;
+      option.textContent = `🧭 ${journey.name}`;
+      sourceSelect.appendChild(option);
+    });
+    if (journeys.some((journey) => journey.id === previous)) {
+      sourceSelect.value = previous;
+    }
+  }
+  if (durationSelect && !durationSelect.options.length) {
+    durationSelect.innerHTML = durations
+      .map((m) => `<option value="${m}">${m} min</option>`)
+      .join("");
+  }
+  if (bitDepthSelect && !bitDepthSelect.options.length) {
+    bitDepthSelect.innerHTML = bitDepths
+      .map((bits) => `<option value="${bits}">${bits}-bit WAV</option>`)
+      .join("");
+  }
+
+  // A journey sets its own length
+  if (durationSelect && sourceSelect) {
+    durationSelect.disabled = sourceSelect.value !== "";
+  }
+};
+
+/**
+ * Show audio export progress
+ * @param {string} message - Status text ('' to clear)
+ * @param {boolean} busy - True while rendering
+ */
+export const renderExportStatus = (message, busy) => {
+  const status = document.getElementById("export-status");
+  const button = document.getElementById("export-wav-btn");
+  if (status) status.textContent = message;
+  if (button) {
+    button.disabled = busy;
+    button.textContent = busy ? "Rendering…" : "Download WAV";
+  }
+};
+
+// ============================================================================
+// MEDIA ARTWORK
+// ============================================================================
+
+const artworkCache = {};
+
+/**
+ * Draw a neter's sphere and symbol as lock-screen artwork
+ * @param {Object} neter - Neter object
+ * @returns {string} PNG data URL (cached per neter)
+ */
+export const renderNeterArtwork = (neter) => {
+  if (artworkCache[neter.id]) return artworkCache[neter.id];
+
+  const size = 512;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return "";
+
+  const color = colorToHex(neter.color);
+
+  // Night background with a soft glow of the neter's colour
+  ctx.fillStyle = "#0a0612";
+  ctx.fillRect(0, 0, size, size);
+  const glow = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+  glow.addColorStop(0, color);
+  glow.addColorStop(0.45, `${color}66`);
+  glow.addColorStop(1, "transparent");
+  ctx.fillStyle = glow;
+  ctx.fillRect(0, 0, size, size);
+
+  // Gold ring and symbol
+  ctx.strokeStyle = "#ffd700";
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size * 0.36, 0, Math.PI * 2);
+  ctx.stroke();
+
+  ctx.fillStyle = "#ffd700";
+  ctx.font = `${size * 0.3}px serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(neter.symbol, size / 2, size / 2);
+
+  artworkCache[neter.id] = canvas.toDataURL("image/png");
+  return artworkCache[neter.id];
+};
+
+/**
+ * Render the hearing calibration rows (one per sphere, low to high)
+ * @param {Array} neters - Neters sorted by frequency
+ * @param {Object} offsets - { [neterId]: dB }
+ * @param {Object} range - { min, max, step } in dB
+ * @param {Object} handlers - { onPlay(neter), onChange(neter, db) }
+ */
+export const renderCalibrationList = (neters, offsets, range, { onPlay, onChange }) => {
+  const list = document.getElementById("calibration-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  neters.forEach((neter) => {
+    const item = document.createElement("li");
+    item.className = "calibration-list__item";
+    item.innerHTML = `
+      <button type="button" class="calibration-list__play" data-neter-id="${neter.id}">▶</button>
+      <span><strong></strong> · ${neter.frequency} Hz</span>
+      <input type="range" min="${range.min}" max="${range.max}" step="${range.step}" />
+      <span></span>
+    `;
+    item.querySelector("strong").textContent = neter.name;
+
+    const play = item.querySelector("button");
+    play.setAttribute("aria-label", `Play ${neter.name}`);
+    play.addEventListener("click", () => onPlay(neter));
+
+    const slider = item.querySelector("input");
+    const value = item.querySelector("span:last-child");
+    const db = offsets[neter.id] ?? 0;
+    slider.value = db;
+    slider.setAttribute("aria-label", `${neter.name} level`);
+    value.textContent = `${db > 0 ? "+" : ""}${db} dB`;
+    slider.addEventListener("input", (e) => {
+      const next = parseFloat(e.target.value);
+      value.textContent = `${next > 0 ? "+" : ""}${next} dB`;
+      onChange(neter, next);
+    });
+
+    list.appendChild(item);
+  });
+};
+
+/**
+ * Mark which calibration tone is playing
+ * @param {number|null} neterId - Playing neter, or null when silent
+ */
+export const renderCalibrationPlaying = (neterId) => {
+  document.querySelectorAll(".calibration-list__play").forEach((button) => {
+    const active = Number(button.dataset.neterId) === neterId;
+    button.classList.toggle("is-active", active);
+    button.textContent = active ? "■" : "▶";
+  });
+};
+
+/**
+ * Render the restore preview: what the chosen backup holds
+ * @param {Object} summary - From summarizeBackup()
+ */
+export const renderBackupSummary = (summary) => {
+  const list = document.getElementById("restore-summary");
+  if (!list) return;
+
+  const neter = summary.lastNeter !== null ? PAUTTI_NETERU[summary.lastNeter] : null;
+  const rows = [
+    ["Made", summary.createdAt ? formatDate(summary.createdAt) : "Unknown"],
+    ["Practice log", `${summary.sessions} sessions · ${formatDuration(summary.practiceSeconds)}`],
+    [
+      "Journal",
+      `${summary.journals} entries` +
+        (summary.sealedJournals ? ` (${summary.sealedJournals} encrypted)` : ""),
+    ],
+    ["Journeys", `${summary.journeys} imported`],
+    [
+      "History",
+      summary.firstDate
+        ? `${formatDate(summary.firstDate)} – ${formatDate(summary.lastDate)}`
+        : "Empty",
+    ],
+    [
+      "Preferences",
+      [
+        summary.hasSettings ? "settings" : null,
+        summary.volume !== null ? `volume ${summary.volume}` : null,
+        summary.theme ? `${summary.theme} theme` : null,
+        neter ? `last sphere ${neter.name}` : null,
+      ]
+        .filter(Boolean)
+        .join(", ") || "None",
+    ],
+  ];
+
+  list.innerHTML = "";
+  rows.forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.append(term, detail);
+  });
+};
+
 /**
  * Update mute button state
  * @param {boolean} isMuted - True if currently muted
@@ -602,11 +1219,29 @@ export const updateMuteButton = (isMuted) => {
   }
 };
 
+/**
+ * Add a "show more" button under a history list
+ * @param {HTMLElement} container - List container
+ * @param {string} label - Button text
+ * @param {Function} onMore - Click handler
+ */
+const appendMoreButton = (container, label, onMore) => {
+  const button = document.createElement("button");
+  button.className = "settings-action-btn log-more";
+  button.textContent = label;
+  button.addEventListener("click", () => {
+    button.disabled = true;
+    onMore();
+  });
+  container.appendChild(button);
+};
+
 /**
  * Render session log list
- * @param {Array} sessions - Array of session objects
+ * @param {Array} sessions - Sessions loaded so far, newest first
+ * @param {Function|null} [onMore] - Loads the next page; null when all are shown
  */
-export const renderSessionLog = (sessions) => {
+export const renderSessionLog = (sessions, onMore = null) => {
   const container = document.getElementById("log-list");
   if (!container) return;
 
@@ -616,76 +1251,701 @@ export const renderSessionLog = (sessions) => {
     return;
   }
 
-  container.innerHTML = sessions
+  // Names come from stored records (imported journeys, restored backups),
+  // so they're set as text, never parsed as HTML
+  container.innerHTML = "";
+  sessions.forEach((session) => {
+    const item = document.createElement("div");
+    item.className = "session-item";
+    item.innerHTML = `
+      <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;">
+        <div style="font-weight: 500; color: #ffd700;"></div>
+        <div style="font-size: 0.85rem; opacity: 0.7;"></div>
+      </div>
+      <div style="font-size: 0.8rem; opacity: 0.6;"></div>
+    `;
+    const [name, duration] = item.firstElementChild.children;
+    name.textContent = session.neterName;
+    duration.textContent = formatDuration(session.duration);
+    item.lastElementChild.textContent = [
+      formatDate(session.date),
+      session.journeyName ? `🧭 ${session.journeyName}` : "",
+      session.timerMinutes ? `⏱ ${session.timerMinutes} min` : "",
+      session.resonanceScore != null ? `🎤 ${session.resonanceScore}%` : "",
+    ]
+      .filter(Boolean)
+      .join(" • ");
+    container.appendChild(item);
+  });
+
+  if (onMore) appendMoreButton(container, "Show older sessions", onMore);
+};
+
+/**
+ * Render practice totals per day, week or month
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @param {Array} groups - From groupRollups(), the ones to show
+ * @param {Function|null} [onMore] - Shows more periods; null when all are shown
+ */
+export const renderRollupLog = (period, groups, onMore = null) => {
+  const container = document.getElementById("log-list");
+  if (!container) return;
+
+  if (groups.length === 0) {
+    container.innerHTML =
+      '<p style="text-align: center; opacity: 0.6; padding: 2rem;">No practice sessions yet.</p>';
+    return;
+  }
+
+  container.innerHTML = groups
     .map(
-      (session) => `
+      (group) => `
     <div class="session-item">
       <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;">
-        <div style="font-weight: 500; color: #ffd700;">${
-          session.neterName
-        }</div>
-        <div style="font-size: 0.85rem; opacity: 0.7;">${formatDuration(
-          session.duration
-        )}</div>
+        <div style="font-weight: 500; color: #ffd700;">${formatPeriodLabel(period, group.key)}</div>
+        <div style="font-size: 0.85rem; opacity: 0.7;">${formatPracticeTime(group.seconds)} · ${
+          group.sessions
+        } ${group.sessions === 1 ? "session" : "sessions"}</div>
       </div>
-      <div style="font-size: 0.8rem; opacity: 0.6;">${formatDate(
-        session.date
-      )}</div>
+      <div class="session-item__neters">${group.neters
+        .map((neter) => `${neter.name} ${formatPracticeTime(neter.seconds)}`)
+        .join(" • ")}</div>
     </div>
   `
     )
     .join("");
+
+  if (onMore) appendMoreButton(container, "Show more", onMore);
+};
+
+/**
+ * A titled block of the insights view
+ * @param {string} title - Heading
+ * @param {string} [note] - Small print under the heading
+ * @returns {HTMLElement}
+ */
+const createInsightsSection = (title, note = "") => {
+  const section = document.createElement("section");
+  section.className = "insights-section";
+  const heading = document.createElement("h4");
+  heading.className = "insights-section__title";
+  heading.textContent = title;
+  section.appendChild(heading);
+  if (note) {
+    const small = document.createElement("p");
+    small.className = "insights-section__note";
+    small.textContent = note;
+    section.appendChild(small);
+  }
+  return section;
+};
+
+/**
+ * Calendar heatmap: a column per week, a square per day
+ * @param {Object} heatmap - From buildHeatmap()
+ * @returns {HTMLElement}
+ */
+const createHeatmap = (heatmap) => {
+  const scroller = document.createElement("div");
+  scroller.className = "insights-heatmap";
+
+  const months = document.createElement("div");
+  months.className = "insights-heatmap__months";
+  months.style.gridTemplateColumns = `repeat(${heatmap.weeks.length}, var(--heat-cell))`;
+  heatmap.months.forEach((month, i) => {
+    // Skip a label that would collide with the next one
+    const next = heatmap.months[i + 1];
+    if (next && next.week - month.week < 3) return;
+    const [year, number] = month.key.split("-").map(Number);
+    const label = document.createElement("span");
+    label.style.gridColumn = `${month.week + 1} / span 3`;
+    label.textContent = new Date(year, number - 1, 1).toLocaleDateString(undefined, {
+      month: "short",
+    });
+    months.appendChild(label);
+  });
+
+  const grid = document.createElement("div");
+  grid.className = "insights-heatmap__grid";
+  grid.setAttribute("role", "img");
+  grid.setAttribute("aria-label", "Practice per day over the last year");
+  heatmap.weeks.flat().forEach((day) => {
+    const cell = document.createElement("span");
+    cell.className = `insights-heatmap__day insights-heatmap__day--${day.level}`;
+    if (day.future) {
+      cell.classList.add("insights-heatmap__day--future");
+    } else {
+      cell.title = `${formatPeriodLabel("day", day.key)}: ${
+        day.sessions
+          ? `${formatPracticeTime(day.seconds)} · ${day.sessions} ${
+              day.sessions === 1 ? "session" : "sessions"
+            }`
+          : "no practice"
+      }`;
+    }
+    grid.appendChild(cell);
+  });
+
+  scroller.append(months, grid);
+  return scroller;
+};
+
+/**
+ * Render the practice insights view
+ * @param {Object} insights - From createInsights()
+ * @param {Function} onVisit - Called with a neglected sphere's neterId
+ */
+export const renderInsights = (insights, onVisit) => {
+  const container = document.getElementById("log-list");
+  if (!container) return;
+  container.innerHTML = "";
+
+  const { streaks, timeOfDay } = insights;
+  const usual = timeOfDay.parts.find((part) => part.id === timeOfDay.usual);
+
+  // Headline numbers
+  const stats = document.createElement("div");
+  stats.className = "insights-stats";
+  [
+    [
+      "Current streak",
+      `${streaks.current} ${streaks.current === 1 ? "day" : "days"}`,
+      streaks.current > 0 && !streaks.practicedToday ? "Practise today to keep it" : "",
+    ],
+    ["Longest streak", `${streaks.longest} ${streaks.longest === 1 ? "day" : "days"}`, ""],
+    ["Days practised", String(insights.practiceDays), "In the last year"],
+    [
+      "Usual time",
+      usual ? usual.name : "–",
+      usual ? `${Math.round(usual.share * 100)}% of sessions` : "",
+    ],
+  ].forEach(([label, value, note]) => {
+    const stat = document.createElement("div");
+    stat.className = "insights-stat";
+    stat.innerHTML = `
+      <span class="insights-stat__value"></span>
+      <span class="insights-stat__label"></span>
+      <span class="insights-stat__note"></span>`;
+    stat.querySelector(".insights-stat__value").textContent = value;
+    stat.querySelector(".insights-stat__label").textContent = label;
+    stat.querySelector(".insights-stat__note").textContent = note;
+    stats.appendChild(stat);
+  });
+  container.appendChild(stats);
+
+  // Calendar
+  const calendar = createInsightsSection("Practice calendar");
+  const heatmap = createHeatmap(insights.heatmap);
+  calendar.appendChild(heatmap);
+  container.appendChild(calendar);
+  // Start at the current week (once the modal is showing)
+  requestAnimationFrame(() => {
+    heatmap.scrollLeft = heatmap.scrollWidth;
+  });
+
+  // Time per sphere
+  const spheres = createInsightsSection("Time per sphere", "All time, with reflections written");
+  const bars = document.createElement("ul");
+  bars.className = "insights-bars";
+  insights.neteru.forEach((neter) => {
+    const row = document.createElement("li");
+    row.className = "insights-bar";
+    row.innerHTML = `
+      <span class="insights-bar__name"></span>
+      <span class="insights-bar__track"><span class="insights-bar__fill"></span></span>
+      <span class="insights-bar__value"></span>`;
+    row.querySelector(".insights-bar__name").textContent = neter.name;
+    row.querySelector(".insights-bar__fill").style.width = `${Math.round(neter.share * 100)}%`;
+    row.querySelector(".insights-bar__value").textContent = `${formatPracticeTime(neter.seconds)}${
+      neter.reflections ? ` · ✍️ ${neter.reflections}` : ""
+    }`;
+    bars.appendChild(row);
+  });
+  spheres.appendChild(bars);
+  container.appendChild(spheres);
+
+  // Time of day
+  const hours = createInsightsSection("Time of day", "When sessions start, over the last year");
+  const chart = document.createElement("div");
+  chart.className = "insights-hours";
+  chart.setAttribute("role", "img");
+  chart.setAttribute(
+    "aria-label",
+    timeOfDay.parts
+      .map((part) => `${part.name} ${Math.round(part.share * 100)}%`)
+      .join(", ")
+  );
+  const busiest = timeOfDay.hours.reduce((max, hour) => Math.max(max, hour.sessions), 0);
+  timeOfDay.hours.forEach((hour, i) => {
+    const bar = document.createElement("span");
+    bar.className = "insights-hours__bar";
+    bar.style.height = `${busiest ? Math.round((hour.sessions / busiest) * 100) : 0}%`;
+    bar.title = `${String(i).padStart(2, "0")}:00 · ${hour.sessions} ${
+      hour.sessions === 1 ? "session" : "sessions"
+    }`;
+    chart.appendChild(bar);
+  });
+  const axis = document.createElement("div");
+  axis.className = "insights-hours__axis";
+  axis.innerHTML = "<span>00</span><span>06</span><span>12</span><span>18</span><span>24</span>";
+  hours.append(chart, axis);
+  container.appendChild(hours);
+
+  // Neglected spheres
+  const quiet = createInsightsSection(
+    "Spheres waiting for you",
+    `Not practised or written about for ${NEGLECT_DAYS} days or more`
+  );
+  if (insights.neglected.length === 0) {
+    const none = document.createElement("p");
+    none.className = "insights-section__note";
+    none.textContent = "Every sphere has had your attention recently. 🌳";
+    quiet.appendChild(none);
+  } else {
+    const list = document.createElement("div");
+    list.className = "insights-neglected";
+    insights.neglected.forEach((neter) => {
+      const button = document.createElement("button");
+      button.className = "insights-neglected__item";
+      button.textContent = `${neter.name} · ${
+        neter.daysSince === null ? "never visited" : `${neter.daysSince} days`
+      }`;
+      button.title = `Go to ${neter.name}`;
+      button.addEventListener("click", () => onVisit(neter.neterId));
+      list.appendChild(button);
+    });
+    quiet.appendChild(list);
+  }
+  container.appendChild(quiet);
+};
+
+/**
+ * Fill the practice history view select
+ * @param {Array} views - History views [{ id, name }]
+ * @param {string} selected - Current view ID
+ */
+export const renderHistoryViews = (views, selected) => {
+  const select = document.getElementById("log-view");
+  if (!select) return;
+  select.innerHTML = views
+    .map((view) => `<option value="${view.id}">${view.name}</option>`)
+    .join("");
+  select.value = selected;
+};
+
+/**
+ * Show lifetime practice totals above the history
+ * @param {Object} totals - { sessions, seconds }
+ */
+export const renderHistoryTotals = (totals) => {
+  const el = document.getElementById("log-totals");
+  if (!el) return;
+  el.textContent = totals.sessions
+    ? `All time: ${formatPracticeTime(totals.seconds)} · ${totals.sessions} sessions`
+    : "";
+};
+
+/**
+ * Put text into an element with the search matches marked
+ * @param {HTMLElement} el - Element to fill
+ * @param {string} text - Text to show
+ * @param {string[]} terms - Search words (none: plain text)
+ */
+const appendHighlighted = (el, text, terms) => {
+  getHighlightSegments(text, terms).forEach((segment) => {
+    if (!segment.match) {
+      el.append(segment.text);
+      return;
+    }
+    const mark = document.createElement("mark");
+    mark.className = "journal-match";
+    mark.textContent = segment.text;
+    el.appendChild(mark);
+  });
+};
+
+/**
+ * Mood/energy rating as five dots
+ * @param {number} mood - 1-5
+ * @returns {HTMLElement}
+ */
+const createMoodBadge = (mood) => {
+  const badge = document.createElement("span");
+  badge.className = "journal-mood";
+  badge.title = `Mood ${mood}/5`;
+  badge.setAttribute("aria-label", `Mood ${mood} of 5`);
+  badge.textContent = MOOD_LEVELS.map((level) => (level <= mood ? "●" : "○")).join("");
+  return badge;
+};
+
+/**
+ * An entry's tags as chips
+ * @param {string[]} tags - Tags
+ * @param {string[]} [terms] - Search words; matching tags are marked
+ * @returns {HTMLElement}
+ */
+const createTagList = (tags, terms = []) => {
+  const list = document.createElement("div");
+  list.className = "journal-entry__tags";
+  tags.forEach((tag) => {
+    const chip = document.createElement("span");
+    chip.className = "journal-tag";
+    appendHighlighted(chip, `#${tag}`, terms);
+    list.appendChild(chip);
+  });
+  return list;
 };
 
 /**
  * Render journal entries in the journal panel
- * @param {Array} entries - Array of journal entry objects {date, text, neterName, type}
+ * @param {Array} entries - Journal entries in the order to show them
+ *   {date, text, neterName, type, tags, mood}
+ * @param {Object} [options] - { terms: search words to highlight,
+ *   filtered: whether search or filters are hiding entries }
  */
-export const renderJournalEntries = (entries) => {
+export const renderJournalEntries = (entries, { terms = [], filtered = false } = {}) => {
   const container = document.getElementById("journal-entries");
   if (!container) return;
 
   if (!entries || entries.length === 0) {
-    container.innerHTML =
-      '<p style="text-align: center; opacity: 0.6; padding: 2rem;">No journal entries yet. Click "New Entry" to begin.</p>';
+    container.innerHTML = filtered
+      ? '<p style="text-align: center; opacity: 0.6; padding: 2rem;">No entries match your search.</p>'
+      : '<p style="text-align: center; opacity: 0.6; padding: 2rem;">No journal entries yet. Click "New Entry" to begin.</p>';
     return;
   }
 
-  container.innerHTML = entries
-    .map((entry, index) => {
-      const icon = entry.type === "audio" ? "🎤" : "✍️";
-      const preview =
-        entry.text.length > 100
-          ? entry.text.substring(0, 100) + "..."
-          : entry.text;
-      return `
-      <div class="journal-entry" data-entry-id="${
-        entry.id
-      }" style="cursor: pointer;">
-        <div class="journal-entry__date">${icon} ${formatDate(entry.date)} • ${
-        entry.neterName || "General"
-      }</div>
-        <div class="journal-entry__text">${preview}</div>
-      </div>
-    `;
-    })
-    .reverse()
-    .join("");
+  container.innerHTML = "";
+  entries.forEach((entry) => {
+    const card = document.createElement("div");
+    card.className = `journal-entry${entry.locked ? " journal-entry--locked" : ""}`;
+    card.dataset.entryId = entry.id;
+    card.style.cursor = "pointer";
+
+    const meta = document.createElement("div");
+    meta.className = "journal-entry__date";
+    meta.textContent = `${getEntryKind(entry) === "voice" ? "🎤" : "✍️"} ${formatDate(
+      entry.date
+    )} • ${entry.neterName || "General"}`;
+    const mood = getEntryMood(entry);
+    if (mood) meta.append(" ", createMoodBadge(mood));
+
+    const text = document.createElement("div");
+    text.className = "journal-entry__text";
+    if (entry.locked) {
+      text.textContent = getLockedPreview(entry);
+    } else {
+      appendHighlighted(text, getSearchSnippet(entry.text, terms), terms);
+    }
+
+    card.append(meta, text);
+    const tags = getEntryTags(entry);
+    if (tags.length > 0) card.appendChild(createTagList(tags, terms));
 
-  // Add click handlers
-  container.querySelectorAll(".journal-entry").forEach((el) => {
-    el.addEventListener("click", () => {
-      const entryId = el.getAttribute("data-entry-id");
-      const entry = entries.find((e) => e.id == entryId);
-      if (entry) {
+    card.addEventListener("click", () => {
+      if (entry.locked) {
+        // Reading needs the passphrase - commander asks for it
+        if (!entry.unreadable) window.dispatchEvent(new CustomEvent("unlockJournal"));
+      } else {
         showJournalEntryModal(entry);
       }
     });
+    container.appendChild(card);
   });
 };
 
 /**
- * Show full journal entry in modal
+ * Fill the journal panel's sphere and entry type filters
+ * @param {Object[]} neteru - Neteru { id, name }
+ * @param {Object[]} types - JOURNAL_TYPES
+ */
+export const renderJournalFilterOptions = (neteru, types) => {
+  const neterSelect = document.getElementById("journal-filter-neter");
+  const typeSelect = document.getElementById("journal-filter-type");
+  if (neterSelect) {
+    neterSelect.innerHTML =
+      '<option value="">All spheres</option>' +
+      neteru.map((neter) => `<option value="${neter.id}">${neter.name}</option>`).join("");
+  }
+  if (typeSelect) {
+    typeSelect.innerHTML =
+      '<option value="">All entries</option>' +
+      types.map((type) => `<option value="${type.id}">${type.name}</option>`).join("");
+  }
+};
+
+/**
+ * Fill the tag filter with the tags in use, keeping the chosen one if it
+ * still exists
+ * @param {string[]} tags - Sorted tags
+ */
+export const renderJournalTagOptions = (tags) => {
+  const select = document.getElementById("journal-filter-tag");
+  if (!select) return;
+  const selected = select.value;
+  select.innerHTML = '<option value="">All tags</option>';
+  tags.forEach((tag) => {
+    const option = document.createElement("option");
+    option.value = tag;
+    option.textContent = `#${tag}`;
+    select.appendChild(option);
+  });
+  select.value = tags.includes(selected) ? selected : "";
+};
+
+/**
+ * Read the journal panel's search box and filters
+ * @returns {Object} { query, neterId, from, to, type, tag } (see core/journal.js)
+ */
+export const getJournalFilters = () => {
+  const value = (id) => document.getElementById(id)?.value || "";
+  const neterId = value("journal-filter-neter");
+  return {
+    query: value("journal-search").trim(),
+    neterId: neterId === "" ? null : Number(neterId),
+    from: value("journal-filter-from"),
+    to: value("journal-filter-to"),
+    type: value("journal-filter-type"),
+    tag: value("journal-filter-tag"),
+  };
+};
+
+/**
+ * Empty the journal panel's search box and filters
+ */
+export const resetJournalFilters = () => {
+  [
+    "journal-search",
+    "journal-filter-neter",
+    "journal-filter-from",
+    "journal-filter-to",
+    "journal-filter-type",
+    "journal-filter-tag",
+  ].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.value = "";
+  });
+};
+
+/**
+ * Show how many entries the search and filters leave
+ * @param {number} shown - Entries listed
+ * @param {number} total - Entries in the journal
+ * @param {boolean} filtered - Whether search or filters are set
+ */
+export const renderJournalSearchStatus = (shown, total, filtered) => {
+  const el = document.getElementById("journal-search-status");
+  if (!el) return;
+  el.textContent = filtered ? `${shown} of ${total} ${total === 1 ? "entry" : "entries"}` : "";
+};
+
+/**
+ * Preview line for a private entry that can't be shown
+ * @param {Object} entry - Journal entry with locked: true
+ * @returns {string}
+ */
+const getLockedPreview = (entry) =>
+  entry.unreadable
+    ? "🔒 Sealed with a different passphrase"
+    : "🔒 Private entry – tap to unlock";
+
+/**
+ * Show the private journal's state: lock button in the journal panel,
+ * encrypt/decrypt button and private-only rows in settings
+ * @param {string} status - 'off' | 'locked' | 'unlocked' | 'unsupported'
+ */
+export const renderJournalPrivacy = (status) => {
+  const lockBtn = document.getElementById("journal-lock-btn");
+  const encryptBtn = document.getElementById("settings-journal-encrypt");
+  const encrypted = status === "locked" || status === "unlocked";
+
+  if (lockBtn) {
+    lockBtn.hidden = !encrypted;
+    lockBtn.textContent = status === "unlocked" ? "🔓 Lock Journal" : "🔒 Unlock Journal";
+  }
+  if (encryptBtn) {
+    encryptBtn.disabled = status === "unsupported";
+    encryptBtn.textContent = encrypted
+      ? "🔓 Stop Encrypting Journal"
+      : status === "unsupported"
+        ? "🔐 Encryption needs a secure (https) page"
+        : "🔐 Encrypt Journal…";
+  }
+  document.querySelectorAll("[data-journal-private]").forEach((el) => {
+    el.hidden = !encrypted;
+  });
+};
+
+/**
+ * Fill the private journal auto-lock select
+ * @param {number[]} minutes - Auto-lock choices in minutes
+ */
+export const renderJournalLockOptions = (minutes) => {
+  const select = document.getElementById("settings-journal-lock-minutes");
+  if (!select) return;
+  select.innerHTML = minutes
+    .map((m) => `<option value="${m}">After ${m} min</option>`)
+    .join("");
+};
+
+/**
+ * Fill the journal export format and sphere selects
+ * @param {Object[]} formats - JOURNAL_EXPORT_FORMATS
+ * @param {Object[]} neteru - Neteru { id, name }
+ */
+export const renderJournalExportOptions = (formats, neteru) => {
+  const formatSelect = document.getElementById("settings-export-format");
+  const neterSelect = document.getElementById("settings-export-neter");
+  if (formatSelect) {
+    formatSelect.innerHTML = formats
+      .map((format) => `<option value="${format.id}">${format.name}</option>`)
+      .join("");
+  }
+  if (neterSelect) {
+    neterSelect.innerHTML =
+      '<option value="">All spheres</option>' +
+      neteru.map((neter) => `<option value="${neter.id}">${neter.name}</option>`).join("");
+  }
+};
+
+/**
+ * Read the journal export choices
+ * @returns {Object} { format, neterId: number|null, from, to }
+ */
+export const getJournalExportOptions = () => {
+  const value = (id) => document.getElementById(id)?.value || "";
+  const neterId = value("settings-export-neter");
+  return {
+    format: value("settings-export-format"),
+    neterId: neterId === "" ? null : Number(neterId),
+    from: value("settings-export-from"),
+    to: value("settings-export-to"),
+  };
+};
+
+const VAULT_PROMPTS = {
+  create: {
+    title: "Encrypt Journal",
+    message:
+      "Choose a passphrase. Entries are encrypted on this device with a key " +
+      "made from it, and it is never stored. If you forget it, your private " +
+      "entries cannot be recovered.",
+    submit: "Encrypt",
+  },
+  unlock: {
+    title: "Unlock Journal",
+    message: "Enter your passphrase to read and write private entries.",
+    submit: "Unlock",
+  },
+  decrypt: {
+    title: "Stop Encrypting",
+    message:
+      "Enter your passphrase to decrypt your journal and store it as plain " +
+      "text again.",
+    submit: "Decrypt",
+  },
+};
+
+/**
+ * Set up the passphrase modal
+ * @param {string} mode - 'create' (new passphrase, typed twice) | 'unlock' | 'decrypt'
+ */
+export const renderVaultPrompt = (mode) => {
+  const prompt = VAULT_PROMPTS[mode];
+  const title = document.getElementById("vault-title");
+  const message = document.getElementById("vault-message");
+  const passphrase = document.getElementById("vault-passphrase");
+  const confirmation = document.getElementById("vault-confirm");
+  const submit = document.getElementById("vault-submit");
+
+  if (title) title.textContent = prompt.title;
+  if (message) message.textContent = prompt.message;
+  if (submit) {
+    submit.textContent = prompt.submit;
+    submit.disabled = false;
+  }
+  if (confirmation) {
+    confirmation.value = "";
+    confirmation.hidden = mode !== "create";
+  }
+  if (passphrase) {
+    passphrase.value = "";
+    passphrase.autocomplete = mode === "create" ? "new-password" : "current-password";
+    setTimeout(() => passphrase.focus(), 50);
+  }
+  renderVaultError(null);
+};
+
+/**
+ * Show a problem with the typed passphrase
+ * @param {string|null} message - Error, or null to clear
+ */
+export const renderVaultError = (message) => {
+  const el = document.getElementById("vault-error");
+  if (el) el.textContent = message || "";
+};
+
+/**
+ * Disable the passphrase form while a key is being derived (takes a moment)
+ * @param {boolean} busy - Whether work is in progress
+ */
+export const renderVaultBusy = (busy) => {
+  const submit = document.getElementById("vault-submit");
+  if (!submit) return;
+  if (busy && !submit.disabled) {
+    submit.dataset.label = submit.textContent;
+    submit.textContent = "Working…";
+  } else if (!busy && submit.disabled) {
+    submit.textContent = submit.dataset.label;
+  }
+  submit.disabled = busy;
+};
+
+/**
+ * Read the passphrase modal's fields
+ * @returns {Object} { passphrase, confirmation }
+ */
+export const getVaultInput = () => ({
+  passphrase: document.getElementById("vault-passphrase")?.value || "",
+  confirmation: document.getElementById("vault-confirm")?.value || "",
+});
+
+/**
+ * List an entry's earlier versions, newest first, each with a restore button
+ * @param {HTMLElement} container - Where the list goes
+ * @param {Object} entry - Plain journal entry
+ */
+const renderEntryHistory = (container, entry) => {
+  container.innerHTML = "";
+  getJournalRevisions(entry)
+    .map((revision, index) => ({ revision, index }))
+    .reverse()
+    .forEach(({ revision, index }) => {
+      const item = document.createElement("details");
+      item.className = "entry-revision";
+
+      const summary = document.createElement("summary");
+      summary.textContent = formatDate(revision.date);
+
+      const text = document.createElement("div");
+      text.className = "entry-revision__text";
+      text.textContent = revision.text;
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.className = "side-panel__action entry-revision__restore";
+      restoreBtn.textContent = "↩️ Restore this version";
+      restoreBtn.addEventListener("click", () => {
+        window.dispatchEvent(
+          new CustomEvent("restoreJournalRevision", { detail: { entryId: entry.id, index } })
+        );
+      });
+
+      item.append(summary, text, restoreBtn);
+      container.appendChild(item);
+    });
+};
+
+/**
+ * Show full journal entry in modal, with editing and earlier versions
  * @param {Object} entry - Journal entry object
  */
 export const showJournalEntryModal = (entry) => {
@@ -695,39 +1955,61 @@ export const showJournalEntryModal = (entry) => {
     existingModal.remove();
   }
 
-  const icon = entry.type === "audio" ? "🎤" : "✍️";
+  const icon = getEntryKind(entry) === "voice" ? "🎤" : "✍️";
+  const revisions = getJournalRevisions(entry);
   const modal = document.createElement("div");
   modal.className = "modal visible";
   modal.id = "entry-detail-modal";
   modal.innerHTML = `
     <div class="modal-content">
       <div class="modal-header">
-        <h3>${icon} ${entry.neterName || "Journal Entry"}</h3>
+        <h3></h3>
         <button class="modal-close" id="entry-modal-close">×</button>
       </div>
       <div class="entry-detail-date">
-        ${formatDate(entry.date)}
+        ${formatDate(entry.date)}${entry.editedAt ? ` · edited ${formatDate(entry.editedAt)}` : ""}
       </div>
       ${
         entry.audioUrl
           ? `
         <div class="entry-detail-audio">
           <p style="margin-bottom: 0.5rem; font-size: 0.9rem; opacity: 0.8;">Audio Playback</p>
-          <audio controls src="${entry.audioUrl}"></audio>
+          <audio controls></audio>
         </div>
       `
           : ""
       }
-      <div class="entry-detail-text">
-        ${entry.text}
+      <div class="entry-detail-text" id="entry-detail-text"></div>
+      <textarea class="entry-detail-editor" id="entry-detail-editor" aria-label="Edit entry" hidden></textarea>
+      <div class="entry-detail-details" id="entry-detail-details"></div>
+      <div class="journal-details entry-detail-details-editor" id="entry-detail-details-editor" hidden>
+        <input type="text" class="journal-tags-input" id="entry-detail-tags" aria-label="Tags" autocomplete="off" />
+        <div class="mood-picker" id="entry-detail-mood" role="radiogroup" aria-label="Mood and energy"></div>
       </div>
+      <div class="entry-detail-history" id="entry-detail-history" hidden></div>
       <div class="entry-detail-actions">
+        ${
+          revisions.length > 0
+            ? `<button class="side-panel__action" id="history-entry-btn">🕘 History (${revisions.length})</button>`
+            : ""
+        }
+        <button class="side-panel__action" id="edit-entry-btn">✏️ Edit</button>
+        <button class="side-panel__action" id="cancel-edit-btn" hidden>Cancel</button>
+        <button class="side-panel__action" id="save-edit-btn" hidden>💾 Save</button>
         <button class="side-panel__action" id="delete-entry-btn" style="background: rgba(255, 80, 80, 0.15); border-color: rgba(255, 80, 80, 0.4); color: #ff6b6b;">
           🗑️ Delete
         </button>
       </div>
     </div>
   `;
+  // What the entry holds is set as text, never parsed as HTML: entries can
+  // come from a restored backup file
+  modal.querySelector(".modal-header h3").textContent = `${icon} ${
+    entry.neterName || "Journal Entry"
+  }`;
+  const audio = modal.querySelector(".entry-detail-audio audio");
+  if (audio) audio.src = entry.audioUrl;
+  modal.querySelector("#entry-detail-text").textContent = entry.text;
   document.body.appendChild(modal);
 
   // Close button handler
@@ -735,8 +2017,79 @@ export const showJournalEntryModal = (entry) => {
     .querySelector("#entry-modal-close")
     .addEventListener("click", () => modal.remove());
 
-  // Delete button handler - uses two-click confirmation (no native dialog)
+  const textEl = modal.querySelector("#entry-detail-text");
+  const editor = modal.querySelector("#entry-detail-editor");
+  const details = modal.querySelector("#entry-detail-details");
+  const detailsEditor = modal.querySelector("#entry-detail-details-editor");
+  const tagsInput = modal.querySelector("#entry-detail-tags");
+  const moodPicker = modal.querySelector("#entry-detail-mood");
+  const history = modal.querySelector("#entry-detail-history");
+  const historyBtn = modal.querySelector("#history-entry-btn");
+  const editBtn = modal.querySelector("#edit-entry-btn");
+  const cancelBtn = modal.querySelector("#cancel-edit-btn");
+  const saveBtn = modal.querySelector("#save-edit-btn");
   const deleteBtn = modal.querySelector("#delete-entry-btn");
+
+  // Tags and mood under the text
+  const tags = getEntryTags(entry);
+  if (tags.length > 0) details.appendChild(createTagList(tags));
+  const mood = getEntryMood(entry);
+  if (mood) details.appendChild(createMoodBadge(mood));
+  details.hidden = tags.length === 0 && !mood;
+
+  // Edit in place: the textarea takes the text's spot until saved or cancelled
+  const setEditing = (editing) => {
+    textEl.hidden = editing;
+    history.hidden = true;
+    editor.hidden = !editing;
+    detailsEditor.hidden = !editing;
+    details.hidden = editing || details.childElementCount === 0;
+    cancelBtn.hidden = !editing;
+    saveBtn.hidden = !editing;
+    editBtn.hidden = editing;
+    deleteBtn.hidden = editing;
+    if (historyBtn) {
+      historyBtn.hidden = editing;
+      historyBtn.textContent = `🕘 History (${revisions.length})`;
+    }
+    if (editing) {
+      editor.value = entry.text;
+      tagsInput.value = tags.join(", ");
+      fillMoodPicker(moodPicker, "entry-detail-mood", MOOD_LEVELS, mood);
+      editor.focus();
+    }
+  };
+
+  editBtn.addEventListener("click", () => setEditing(true));
+  cancelBtn.addEventListener("click", () => setEditing(false));
+  saveBtn.addEventListener("click", () => {
+    const text = editor.value.trim();
+    if (!text) return;
+    window.dispatchEvent(
+      new CustomEvent("editJournalEntry", {
+        detail: {
+          entryId: entry.id,
+          text,
+          tags: parseTags(tagsInput.value),
+          mood: readMoodPicker(moodPicker),
+        },
+      })
+    );
+  });
+
+  // Earlier versions show in place of the current text
+  if (historyBtn) {
+    historyBtn.addEventListener("click", () => {
+      const showing = history.hidden;
+      if (showing) renderEntryHistory(history, entry);
+      history.hidden = !showing;
+      textEl.hidden = showing;
+      details.hidden = showing || details.childElementCount === 0;
+      historyBtn.textContent = showing ? "📄 Current Text" : `🕘 History (${revisions.length})`;
+    });
+  }
+
+  // Delete button handler - uses two-click confirmation (no native dialog)
   let confirmPending = false;
 
   deleteBtn.addEventListener("click", (e) => {
@@ -852,6 +2205,62 @@ export const closeModal = (modalId) => {
   if (backdrop) backdrop.classList.remove("visible");
 };
 
+/**
+ * Fill a mood/energy picker: "no rating" plus one radio per level
+ * @param {HTMLElement} container - Picker element
+ * @param {string} name - Radio group name
+ * @param {number[]} levels - Ratings to offer
+ * @param {number|null} selected - Current rating
+ */
+const fillMoodPicker = (container, name, levels, selected) => {
+  container.innerHTML = "";
+  [null, ...levels].forEach((level) => {
+    const option = document.createElement("label");
+    option.className = "mood-picker__option";
+    option.title = level === null ? "No rating" : `Mood ${level}/5`;
+
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = name;
+    input.value = level === null ? "" : String(level);
+    input.checked = level === (selected ?? null);
+
+    const label = document.createElement("span");
+    label.textContent = level === null ? "–" : String(level);
+
+    option.append(input, label);
+    container.appendChild(option);
+  });
+};
+
+/**
+ * Read a mood/energy picker
+ * @param {HTMLElement|null} container - Picker element
+ * @returns {number|null} 1-5, or null for no rating
+ */
+const readMoodPicker = (container) => {
+  const checked = container ? container.querySelector("input:checked") : null;
+  return checked && checked.value ? Number(checked.value) : null;
+};
+
+/**
+ * Set up the new-entry mood/energy picker
+ * @param {number[]} levels - Ratings to offer
+ */
+export const renderJournalMoodOptions = (levels) => {
+  const picker = document.getElementById("journal-mood");
+  if (picker) fillMoodPicker(picker, "journal-mood", levels, null);
+};
+
+/**
+ * Get the new entry's tags and mood
+ * @returns {Object} { tags: string[], mood: 1-5 or null }
+ */
+export const getJournalDetails = () => ({
+  tags: parseTags(document.getElementById("journal-tags")?.value),
+  mood: readMoodPicker(document.getElementById("journal-mood")),
+});
+
 /**
  * Get journal text input value
  * @returns {string} Journal text
@@ -862,9 +2271,13 @@ export const getJournalText = () => {
 };
 
 /**
- * Clear journal text input
+ * Clear the new-entry form (text, tags and mood)
  */
 export const clearJournalText = () => {
   const textarea = document.getElementById("journal-text");
   if (textarea) textarea.value = "";
+  const tags = document.getElementById("journal-tags");
+  if (tags) tags.value = "";
+  const noMood = document.querySelector('#journal-mood input[value=""]');
+  if (noMood) noMood.checked = true;
 };